@@ -0,0 +1,144 @@
+// Antrian offline untuk kiriman petugas (IndexedDB)
+// Dipakai oleh admin-petugas.html dan sw.js (importScripts) sehingga
+// kiriman yang tertunda dikirim ulang berurutan saat sinyal kembali.
+const ParkirOutbox = (() => {
+  const DB_NAME = 'parkir-offline';
+  const DB_VERSION = 1;
+  const STORE = 'outbox';
+  const SYNC_TAG = 'parkir-outbox';
+
+  function openDb() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        // Auto-increment key keeps entries in the order they were queued
+        const store = request.result.createObjectStore(STORE, { keyPath: 'seq', autoIncrement: true });
+        store.createIndex('client_id', 'client_id', { unique: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async function withStore(mode, action) {
+    const db = await openDb();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      const result = action(tx.objectStore(STORE));
+
+      tx.oncomplete = () => {
+        db.close();
+        resolve(result && 'result' in result ? result.result : result);
+      };
+      tx.onerror = () => {
+        db.close();
+        reject(tx.error);
+      };
+    });
+  }
+
+  /**
+   * Simpan kiriman: { client_id, url, token, petugas, payload }
+   */
+  function enqueue(entry) {
+    return withStore('readwrite', store => store.add({ ...entry, queued_at: new Date().toISOString() }));
+  }
+
+  function list() {
+    return withStore('readonly', store => store.getAll());
+  }
+
+  function remove(seq) {
+    return withStore('readwrite', store => store.delete(seq));
+  }
+
+  /**
+   * Pasang token baru pada kiriman petugas yang masih antre (setelah login ulang)
+   */
+  async function updateToken(petugas, token) {
+    const entries = await list();
+    await withStore('readwrite', store => {
+      entries
+        .filter(entry => entry.petugas === petugas)
+        .forEach(entry => store.put({ ...entry, token }));
+    });
+  }
+
+  /**
+   * Minta service worker mengirim antrian saat online (jika didukung)
+   */
+  async function requestSync() {
+    if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) {
+      return false;
+    }
+    try {
+      const registration = await navigator.serviceWorker.ready;
+      if (!registration.sync) {
+        return false;
+      }
+      await registration.sync.register(SYNC_TAG);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Kirim antrian berurutan. Berhenti pada gangguan jaringan atau sesi
+   * kedaluwarsa agar urutan tetap terjaga; kiriman yang ditolak server
+   * dikeluarkan dari antrian.
+   *
+   * onResult({ client_id, status: 'sent' | 'rejected' | 'auth', errors })
+   */
+  async function flush(onResult = () => {}) {
+    const entries = await list();
+    const summary = { sent: 0, rejected: 0, remaining: entries.length };
+
+    for (const entry of entries) {
+      let response;
+      try {
+        response = await fetch(entry.url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${entry.token}`
+          },
+          body: JSON.stringify(entry.payload)
+        });
+      } catch (error) {
+        // Masih offline
+        break;
+      }
+
+      if (response.status >= 500) {
+        break;
+      }
+
+      const result = await response.json().catch(() => ({}));
+
+      if (response.status === 401) {
+        await onResult({ client_id: entry.client_id, status: 'auth', errors: result.errors || [] });
+        break;
+      }
+
+      const status = response.ok && result.accepted ? 'sent' : 'rejected';
+      await remove(entry.seq);
+      summary[status]++;
+      summary.remaining--;
+
+      await onResult({
+        client_id: entry.client_id,
+        status,
+        errors: result.errors || [],
+        queue_length: result.queue_length,
+        duplicate: !!result.duplicate
+      });
+    }
+
+    return summary;
+  }
+
+  return { enqueue, list, updateToken, requestSync, flush, SYNC_TAG };
+})();
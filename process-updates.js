@@ -1,16 +1,92 @@
 const fs = require('fs');
 const path = require('path');
+const { applyUpdates, isUnprocessed, isDue, hasDueTransitions, VEHICLE_TYPES } = require('./scripts/update-processor');
+const { readDataFile, writeDataFile } = require('./scripts/data-store');
+const { acquireLock, writeJsonAtomic, readJson } = require('./scripts/storage');
+const { appendEvents, readEvents } = require('./scripts/event-log');
+const { HISTORY_HOURS } = require('./scripts/anomaly-rules');
+const { jakartaTime } = require('./scripts/capacity-schedule');
+const { TimeSeriesStore } = require('./scripts/timeseries');
+const { applyForecasts } = require('./scripts/forecast');
+const { publishHistory } = require('./scripts/location-history');
+const { operationPaths } = require('./scripts/operation-paths');
 
 console.log('🚗 Processing parking updates...');
 
-// File paths
+const startTime = Date.now();
+const now = new Date();
+const forceProcess = process.env.FORCE_PROCESS === 'true' || process.argv.includes('--force');
+
+// File paths (the other stores belong to the active operation, see below)
 const dataPath = path.join(process.cwd(), 'data/parkir-data.json');
 const pendingPath = path.join(process.cwd(), 'data/pending-updates.json');
 
+// Runs with nothing to process still sample, at most this often: charts
+// carry the last sample forward, and each sample is a commit
+const IDLE_SAMPLE_INTERVAL = 10 * 60 * 1000;
+
+/**
+ * Expose a value to later workflow steps (no-op outside GitHub Actions)
+ */
+function setOutput(name, value) {
+  if (process.env.GITHUB_OUTPUT) {
+    fs.appendFileSync(process.env.GITHUB_OUTPUT, `${name}=${value}\n`);
+  }
+}
+
+/**
+ * Sample occupancy for trends and charts and publish the per-location
+ * history the public page draws them from
+ */
+function sampleOccupancy(timeseries, data) {
+  try {
+    timeseries.record(data, now);
+    console.log(`📈 Sampled occupancy into ${path.relative(process.cwd(), timeseries.dir)}`);
+  } catch (error) {
+    console.error('⚠️  Failed to record occupancy sample:', error.message);
+  }
+
+  try {
+    const published = publishHistory(data, timeseries, historyDir, now);
+    console.log(`📉 Published history of ${published} location(s) to ${path.relative(process.cwd(), historyDir)}`);
+  } catch (error) {
+    console.error('⚠️  Failed to publish location history:', error.message);
+  }
+}
+
+// Keep the ingestion server, validators and other runs out of the data and
+// the queue until this run has written them (released when the process exits)
+const locks = [];
+process.on('exit', () => locks.forEach(release => release()));
+try {
+  [dataPath, pendingPath].forEach(file => locks.push(acquireLock(file)));
+} catch (error) {
+  console.error('❌', error.message);
+  process.exit(1);
+}
+
+// Stores of the active operation, looked up under the locks that activating
+// another operation takes
+const {
+  archiveDir,
+  conflictsPath,
+  quarantinePath,
+  deadLetterPath,
+  timeseriesDir,
+  historyDir
+} = operationPaths(process.cwd());
+
 // Load main data
 let mainData;
 try {
-  mainData = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
+  const { data, migrations, integrity } = readDataFile(dataPath, { now });
+  mainData = data;
+  if (integrity === 'mismatch') {
+    console.warn('⚠️  Data checksum does not match (edited by hand?), it is refreshed on the next write');
+  }
+  migrations.forEach(migration => {
+    console.log(`🔄 Migrated data ${migration.from} → ${migration.to}`);
+  });
   console.log('✅ Loaded main data');
 } catch (error) {
   console.error('❌ Failed to load main data:', error);
@@ -22,111 +98,195 @@ let pendingUpdates = [];
 if (fs.existsSync(pendingPath)) {
   try {
     pendingUpdates = JSON.parse(fs.readFileSync(pendingPath, 'utf8'));
-    console.log(`📋 Found ${pendingUpdates.length} pending updates`);
   } catch (error) {
     console.error('❌ Failed to load pending updates:', error);
   }
 }
 
-// Process each pending update
-const processed = [];
-const failed = [];
+// Failed updates only count once their retry is due
+const unprocessedCount = pendingUpdates.filter(update => isDue(update, now)).length;
+const waitingCount = pendingUpdates.filter(isUnprocessed).length - unprocessedCount;
+console.log(`📋 Found ${unprocessedCount} unprocessed updates${waitingCount > 0 ? ` (${waitingCount} waiting to retry)` : ''}`);
+
+// Capacity windows change the data without new updates
+const transitionsDue = hasDueTransitions(mainData, now);
+
+const timeseries = new TimeSeriesStore({ dir: timeseriesDir });
 
-for (const update of pendingUpdates) {
+if (unprocessedCount === 0 && !forceProcess && !transitionsDue) {
+  console.log('⏭️  No updates to process');
+
+  // Quiet periods still show in trends and charts
+  let lastSample = null;
   try {
-    if (!update.location_id || !update.petugas_name) {
-      throw new Error('Invalid update data');
-    }
-    
-    // Find location
-    const location = mainData.locations.find(l => l.id === update.location_id);
-    if (!location) {
-      throw new Error(`Location ${update.location_id} not found`);
-    }
-    
-    // Update capacities
-    if (update.bus !== undefined) {
-      location.bus.available = parseInt(update.bus);
-      location.bus.last_update = new Date().toISOString();
-      location.bus.updated_by = update.petugas_name;
-    }
-    
-    if (update.mobil !== undefined) {
-      location.mobil.available = parseInt(update.mobil);
-      location.mobil.last_update = new Date().toISOString();
-      location.mobil.updated_by = update.petugas_name;
-    }
-    
-    if (update.motor !== undefined) {
-      location.motor.available = parseInt(update.motor);
-      location.motor.last_update = new Date().toISOString();
-      location.motor.updated_by = update.petugas_name;
-    }
-    
-    if (update.notes) {
-      location.notes = update.notes;
-    }
-    
-    // Mark as processed
-    update.processed_at = new Date().toISOString();
-    update.status = 'processed';
-    processed.push(update);
-    
-    console.log(`✅ Updated ${location.nama}`);
-    
+    lastSample = timeseries.readLines(new Date(now.getTime() - IDLE_SAMPLE_INTERVAL), now).pop();
   } catch (error) {
-    console.error(`❌ Failed to process update:`, error.message);
-    update.error = error.message;
-    update.status = 'failed';
-    failed.push(update);
+    console.error('⚠️  Failed to read occupancy samples:', error.message);
+  }
+  if (!lastSample || now - new Date(lastSample.t) >= IDLE_SAMPLE_INTERVAL) {
+    sampleOccupancy(timeseries, mainData);
   }
+
+  setOutput('processed_count', 0);
+  setOutput('failed_count', 0);
+  setOutput('dead_letter_count', 0);
+  setOutput('updated_locations', '');
+  setOutput('has_changes', 'false');
+  process.exit(0);
 }
 
-// Update statistics
-const stats = mainData.locations.reduce((acc, loc) => {
-  acc.bus += loc.bus.available || 0;
-  acc.mobil += loc.mobil.available || 0;
-  acc.motor += loc.motor.available || 0;
-  return acc;
-}, { bus: 0, mobil: 0, motor: 0 });
+// Recent history for the anomaly rules
+const history = readEvents(archiveDir, { since: new Date(now.getTime() - HISTORY_HOURS * 60 * 60 * 1000) });
+
+const report = applyUpdates(mainData, pendingUpdates, { now, history });
+
+report.processed.forEach(update => {
+  console.log(`✅ Updated ${update.location_name} (${update.changes.join(', ')})`);
+});
+report.no_changes.forEach(update => {
+  console.log(`ℹ️  No changes for ${update.location_name}, marking as processed`);
+});
+report.failed.forEach(update => {
+  console.error(`❌ Failed to process update (attempt ${update.attempts}, retry at ${update.next_retry_at}): ${update.error}`);
+});
+report.dead_letter.forEach(update => {
+  console.error(`🪦 Gave up on update from ${update.petugas_name || 'unknown officer'} after ${update.attempts} attempts: ${update.error}`);
+});
+report.retries.forEach(retry => {
+  const outcome = retry.error ? `${retry.status} (${retry.error})` : retry.status;
+  console.log(`🔁 Retry ${retry.attempt}/${retry.max_attempts} of ${retry.location} from ${retry.petugas_name}: ${outcome}`);
+});
+report.superseded.forEach(update => {
+  console.log(`⏪ Superseded update for ${update.location_name} from ${update.petugas_name} (${update.superseded_fields.join(', ')} reported earlier than the stored count)`);
+});
+report.quarantined.forEach(update => {
+  console.warn(`🚧 Quarantined update for ${update.location_name} from ${update.petugas_name}: ${update.anomalies.map(a => a.reason).join('; ')}`);
+});
+report.conflicts.forEach(conflict => {
+  const [current, other] = conflict.reports;
+  console.warn(`⚠️  Conflicting ${conflict.type} counts for ${conflict.location_name}: ${current.officer}=${current.value}, ${other.officer}=${other.value}`);
+});
+report.schedule_changes.forEach(name => {
+  console.log(`📅 Capacity of ${name} follows its schedule`);
+});
+report.off_hours.forEach(update => {
+  const submitted = jakartaTime(new Date(update.timestamp || update.received_at));
+  console.warn(`🌙 Off-hours update for ${update.location_name} at ${submitted.time} WIB by ${update.petugas_name}`);
+});
+
+// Every processing run samples, so trends follow each update
+sampleOccupancy(timeseries, mainData);
 
-mainData.statistics.total_available_bus = stats.bus;
-mainData.statistics.total_available_mobil = stats.mobil;
-mainData.statistics.total_available_motor = stats.motor;
-mainData.statistics.update_count_today = (mainData.statistics.update_count_today || 0) + processed.length;
-mainData.statistics.last_processed = new Date().toISOString();
+// Minutes until full from the recent trend and yesterday's baseline
+let forecastChanges = [];
+try {
+  forecastChanges = applyForecasts(mainData, timeseries, now);
+} catch (error) {
+  console.error('⚠️  Failed to forecast fill-up:', error.message);
+}
+mainData.locations.forEach(location => {
+  VEHICLE_TYPES.filter(type => location.forecast?.[type]).forEach(type => {
+    console.log(`⏳ ${location.nama} ${type} expected full in ~${location.forecast[type].minutes_until_full} min`);
+  });
+});
 
-mainData.metadata.last_updated = new Date().toISOString();
-mainData.metadata.updated_by = 'GitHub Actions';
+// Confirmed counts only move last_update, but later reports are judged against it
+const dataChanged = report.updated_locations.length > 0 ||
+  report.refreshed_locations.length > 0 ||
+  report.schedule_changes.length > 0 ||
+  forecastChanges.length > 0;
+
+const closed = Object.keys(report.operating_status).filter(name => report.operating_status[name] === 'closed');
+if (closed.length > 0) {
+  console.log(`🔒 Closed now: ${closed.join(', ')}`);
+}
 
 // Save updated data
-fs.writeFileSync(dataPath, JSON.stringify(mainData, null, 2));
-console.log('💾 Saved updated data');
+if (dataChanged) {
+  try {
+    writeDataFile(dataPath, mainData);
+    console.log('💾 Saved updated data');
+  } catch (error) {
+    console.error('❌ Failed to save data:', error.message);
+    process.exit(1);
+  }
+}
 
-// Save failed updates back (retry later)
-fs.writeFileSync(pendingPath, JSON.stringify(failed, null, 2));
+// Record accepted updates in the append-only event log
+const events = appendEvents(archiveDir, report.events);
+if (events.length > 0) {
+  console.log(`📜 Logged events #${events[0].seq}-#${events[events.length - 1].seq}`);
+}
+
+// Save failed updates back to retry at their next_retry_at
+writeJsonAtomic(pendingPath, [...report.failed, ...report.waiting]);
 
-// Create archive
-const archiveDir = path.join(process.cwd(), 'data/updates/archive');
-if (!fs.existsSync(archiveDir)) {
-  fs.mkdirSync(archiveDir, { recursive: true });
+// Updates out of attempts wait in the dead-letter file for a supervisor
+if (report.dead_letter.length > 0) {
+  const deadLetter = readJson(deadLetterPath, []);
+  deadLetter.push(...report.dead_letter);
+  writeJsonAtomic(deadLetterPath, deadLetter);
+  console.log(`🪦 ${report.dead_letter.length} update(s) added to ${path.relative(process.cwd(), deadLetterPath)}`);
 }
 
-const today = new Date().toISOString().split('T')[0];
-const archiveFile = path.join(archiveDir, `updates-${today}.json`);
+// Suspicious reports wait in the quarantine queue instead of being applied
+if (report.quarantined.length > 0) {
+  const quarantine = readJson(quarantinePath, []);
+  quarantine.push(...report.quarantined);
+  writeJsonAtomic(quarantinePath, quarantine);
+  console.log(`🚧 ${report.quarantined.length} update(s) added to ${path.relative(process.cwd(), quarantinePath)}`);
+}
 
-let archiveData = [];
-if (fs.existsSync(archiveFile)) {
-  archiveData = JSON.parse(fs.readFileSync(archiveFile, 'utf8'));
+// Conflicting counts wait in a review list for a supervisor
+if (report.conflicts.length > 0) {
+  const conflicts = readJson(conflictsPath, []);
+  conflicts.push(...report.conflicts.map(conflict => ({ ...conflict, status: 'open' })));
+  writeJsonAtomic(conflictsPath, conflicts);
+  console.log(`🧐 ${report.conflicts.length} conflict(s) added to ${path.relative(process.cwd(), conflictsPath)}`);
 }
 
-archiveData.push(...processed);
-fs.writeFileSync(archiveFile, JSON.stringify(archiveData, null, 2));
+// Archive handled updates
+const handled = [...report.processed, ...report.no_changes, ...report.superseded];
+if (handled.length > 0) {
+  const today = now.toISOString().split('T')[0];
+  const archiveFile = path.join(archiveDir, `updates-${today}.json`);
 
-console.log('\n📊 SUMMARY:');
-console.log(`✅ Processed: ${processed.length}`);
-console.log(`❌ Failed: ${failed.length}`);
-console.log(`🚌 Bus available: ${stats.bus}`);
-console.log(`🚗 Mobil available: ${stats.mobil}`);
-console.log(`🏍️ Motor available: ${stats.motor}`);
+  const archiveData = readJson(archiveFile, []);
+  archiveData.push(...handled);
+  writeJsonAtomic(archiveFile, archiveData);
+}
+
+// Output for the next workflow steps
+setOutput('processed_count', report.processed.length);
+setOutput('failed_count', report.failed.length);
+setOutput('dead_letter_count', report.dead_letter.length);
+setOutput('retry_count', report.retries.length);
+setOutput('updated_locations', report.updated_locations.join(','));
+setOutput('off_hours_count', report.off_hours.length);
+setOutput('superseded_count', report.superseded.length);
+setOutput('conflict_count', report.conflicts.length);
+setOutput('quarantined_count', report.quarantined.length);
+setOutput('has_changes', dataChanged ? 'true' : 'false');
 
+const available = mainData.statistics?.available || {};
+
+console.log('\n📊 SUMMARY:');
+console.log(`⏱️  Processing time: ${Date.now() - startTime}ms`);
+console.log(`✅ Processed: ${report.processed.length}`);
+console.log(`ℹ️  No changes: ${report.no_changes.length}`);
+console.log(`❌ Failed: ${report.failed.length}`);
+// A retry recovered only when it got through; quarantined or superseded ones were held back
+const retriesWith = (...statuses) => report.retries.filter(retry => statuses.includes(retry.status)).length;
+console.log(`🔁 Retried: ${report.retries.length} (${retriesWith('processed', 'no_changes')} recovered, ` +
+  `${retriesWith('quarantined', 'superseded')} held back, ${retriesWith('failed')} failed again, ` +
+  `${retriesWith('dead_letter')} dead-lettered)`);
+console.log(`⏳ Waiting to retry: ${report.waiting.length}`);
+console.log(`🪦 Dead-lettered: ${report.dead_letter.length}`);
+console.log(`⏪ Superseded: ${report.superseded.length}`);
+console.log(`⚠️  Conflicts: ${report.conflicts.length}`);
+console.log(`🚧 Quarantined: ${report.quarantined.length}`);
+console.log(`🌙 Off-hours: ${report.off_hours.length}`);
+console.log(`📍 Updated locations: ${report.updated_locations.length}`);
+console.log(`🚌 Bus available: ${available.bus || 0}`);
+console.log(`🚗 Mobil available: ${available.mobil || 0}`);
+console.log(`🏍️ Motor available: ${available.motor || 0}`);
@@ -0,0 +1,170 @@
+/**
+ * Anomaly Rules
+ * Scores an officer's availability report against the location's stored
+ * counts and its recent history from the event log. Reports that score at
+ * least the quarantine threshold are held for a supervisor instead of
+ * being applied (see update-processor.js).
+ */
+
+const { VEHICLE_TYPES } = require('./statistics');
+
+const MINUTE = 60 * 1000;
+
+const DEFAULT_RULES = {
+  // Available count moving by more than maxJump spaces within jumpWindowMinutes
+  sudden_jump: { enabled: true, score: 1, maxJump: 50, jumpWindowMinutes: 10 },
+  // More spaces available than the location has
+  over_capacity: { enabled: true, score: 1 },
+  // The same count reported again and again for stuckHours (a full site is
+  // expected to stay at 0, so full is not checked)
+  stuck_value: { enabled: true, score: 1, stuckHours: 3, minReports: 4 },
+  // Completely full to completely empty without any report in between,
+  // within windowMinutes
+  full_to_empty: { enabled: true, score: 1, windowMinutes: 60, minTotal: 10 }
+};
+
+// Total score at which a report is quarantined
+const QUARANTINE_SCORE = 1;
+
+// How far back the event log is read for history
+const HISTORY_HOURS = 6;
+
+/**
+ * Rule settings with overrides applied ({ sudden_jump: { maxJump: 80 } })
+ */
+function resolveRules(overrides = {}) {
+  const rules = {};
+  Object.keys(DEFAULT_RULES).forEach(name => {
+    rules[name] = { ...DEFAULT_RULES[name], ...(overrides[name] || {}) };
+  });
+  return rules;
+}
+
+/**
+ * Reports of one vehicle type at a location from the event log, oldest first
+ *
+ * @returns {Array<{at: Date, value: number, officer: string}>}
+ */
+function historyFor(events, locationId, type, since) {
+  return events
+    .filter(event => event.location_id === locationId && event.values?.[type])
+    .map(event => ({
+      at: new Date(event.values[type].updated_at || event.occurred_at || event.recorded_at),
+      value: event.values[type].value,
+      officer: event.officer
+    }))
+    .filter(entry => entry.at >= since)
+    .sort((a, b) => a.at - b.at);
+}
+
+const CHECKS = {
+  sudden_jump(rule, { block, value, reportedAt }) {
+    const lastUpdate = block.last_update ? new Date(block.last_update) : null;
+    if (!lastUpdate || reportedAt - lastUpdate > rule.jumpWindowMinutes * MINUTE) {
+      return null;
+    }
+
+    const jump = Math.abs(value - block.available);
+    const minutes = Math.max(0, Math.round((reportedAt - lastUpdate) / MINUTE));
+    return jump > rule.maxJump
+      ? `changed by ${jump} spaces (${block.available} → ${value}) within ${minutes} min`
+      : null;
+  },
+
+  over_capacity(rule, { value, total }) {
+    return value > total ? `${value} available but capacity is ${total}` : null;
+  },
+
+  stuck_value(rule, { value, history, reportedAt }) {
+    if (value === 0) {
+      return null;
+    }
+
+    // Unbroken run of identical reports leading up to this one
+    let runStart = null;
+    let count = 1;
+    for (let i = history.length - 1; i >= 0 && history[i].value === value; i--) {
+      runStart = history[i].at;
+      count++;
+    }
+
+    if (!runStart || count < rule.minReports) {
+      return null;
+    }
+
+    const hours = (reportedAt - runStart) / (60 * MINUTE);
+    return hours >= rule.stuckHours
+      ? `${value} reported ${count} times in a row over ${Math.floor(hours)} h`
+      : null;
+  },
+
+  full_to_empty(rule, { block, value, total, reportedAt }) {
+    const lastUpdate = block.last_update ? new Date(block.last_update) : null;
+    if (!lastUpdate || total < rule.minTotal || block.available !== 0 || value !== total) {
+      return null;
+    }
+
+    return reportedAt - lastUpdate <= rule.windowMinutes * MINUTE
+      ? `went from full to empty (0 → ${total}) with no report in between`
+      : null;
+  }
+};
+
+/**
+ * Check every vehicle count in an update
+ *
+ * @param {Object} update - pending update
+ * @param {Object} location - the location's current record
+ * @param {Object} options
+ * @param {Date} options.reportedAt - when the officer made the report
+ * @param {Object} options.capacity - resolveCapacity() of the location
+ * @param {Array} options.events - event-log entries (recent history)
+ * @param {Object} options.rules - resolveRules() settings
+ * @returns {{score: number, anomalies: Array<{rule: string, type: string, reason: string, score: number}>}}
+ */
+function detectAnomalies(update, location, { reportedAt, capacity, events = [], rules = resolveRules() }) {
+  const anomalies = [];
+  const since = new Date(reportedAt.getTime() - HISTORY_HOURS * 60 * MINUTE);
+
+  VEHICLE_TYPES.forEach(type => {
+    const value = parseInt(update[type]);
+    if (update[type] === undefined || isNaN(value) || !location[type]) {
+      return;
+    }
+
+    // Reports older than the stored count are superseded, not judged
+    if (location[type].last_update && reportedAt < new Date(location[type].last_update)) {
+      return;
+    }
+
+    const context = {
+      block: location[type],
+      value,
+      total: capacity[type],
+      reportedAt,
+      history: historyFor(events, location.id, type, since)
+    };
+
+    Object.keys(CHECKS).forEach(name => {
+      const rule = rules[name];
+      const reason = rule?.enabled ? CHECKS[name](rule, context) : null;
+      if (reason) {
+        anomalies.push({ rule: name, type, reason: `${type}: ${reason}`, score: rule.score });
+      }
+    });
+  });
+
+  return {
+    score: anomalies.reduce((sum, anomaly) => sum + anomaly.score, 0),
+    anomalies
+  };
+}
+
+module.exports = {
+  detectAnomalies,
+  resolveRules,
+  historyFor,
+  DEFAULT_RULES,
+  QUARANTINE_SCORE,
+  HISTORY_HOURS
+};
@@ -0,0 +1,324 @@
+/**
+ * Backup Manager
+ * Lists, compares, verifies and restores the copies of parkir-data.json that
+ * the validator keeps in the active operation's backups/ folder
+ * (parkir-data-backup-<timestamp>.json).
+ *
+ * Usage (through the validator CLI):
+ *   parking-validator backup list
+ *   parking-validator backup diff <a> <b>     (backup names/paths, "latest" or "current")
+ *   parking-validator backup verify
+ *   parking-validator backup restore <file>
+ *   [--data=file] [--backup-dir=dir]
+ *
+ * Restore verifies the backup, then saves the current file as a
+ * "-pre-restore" backup before writing, so a restore can itself be undone.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateData, verifyChecksum, writeDataFile, listBackups } = require('./data-store');
+const { migrate } = require('./migrations');
+const { withLock, writeFileAtomic } = require('./storage');
+const { displayName } = require('./location-registry');
+const { operationPaths } = require('./operation-paths');
+const { VEHICLE_TYPES } = require('./statistics');
+
+const BACKUP_COMMANDS = ['list', 'diff', 'verify', 'restore'];
+
+// parkir-data-backup-2026-04-21T02-00-00-000Z[-pre-restore].json
+const BACKUP_TIMESTAMP = /-backup-(\d{4}-\d{2}-\d{2}T\d{2})-(\d{2})-(\d{2})-(\d{3})Z/;
+
+class BackupManager {
+  /**
+   * @param {Object} config - dataPath, backupDir (default: the active operation's), now (clock returning a Date)
+   */
+  constructor(config = {}) {
+    const rootDir = config.rootDir || path.resolve(__dirname, '..');
+
+    this.dataPath = config.dataPath || path.join(rootDir, 'data/parkir-data.json');
+    this.backupDir = config.backupDir || operationPaths(rootDir).backupDir;
+    this.now = config.now || (() => new Date());
+  }
+
+  /**
+   * Copy the current data file into the backup directory
+   *
+   * @param {string} suffix - appended to the name (e.g. "pre-restore")
+   * @returns {{file: string, timestamp: string, size: number}}
+   */
+  create(suffix = '') {
+    if (!fs.existsSync(this.dataPath)) {
+      throw new Error(`Data file not found: ${this.dataPath}`);
+    }
+
+    const timestamp = this.now().toISOString().replace(/[:.]/g, '-');
+    const stem = path.basename(this.dataPath, '.json');
+    const file = path.join(this.backupDir, `${stem}-backup-${timestamp}${suffix ? `-${suffix}` : ''}.json`);
+    const size = writeFileAtomic(file, fs.readFileSync(this.dataPath, 'utf8'));
+
+    return { file, timestamp, size };
+  }
+
+  /**
+   * Parse a backup (or the data file) and bring it to the current version
+   *
+   * @returns {{data: Object|null, errors: Array<string>, integrity: string|null, migrations: Array}}
+   */
+  load(filePath) {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      return { data: null, errors: [`Invalid JSON format: ${error.message}`], integrity: null, migrations: [] };
+    }
+
+    const integrity = verifyChecksum(data);
+    let migrations = [];
+    try {
+      migrations = migrate(data, { now: this.now() });
+    } catch (error) {
+      return { data: null, errors: [`Migration failed: ${error.message}`], integrity, migrations };
+    }
+
+    const errors = validateData(data);
+    if (integrity === 'mismatch') {
+      errors.unshift('Checksum does not match the contents');
+    }
+
+    return { data, errors, integrity, migrations };
+  }
+
+  /**
+   * Backups, newest first
+   *
+   * @returns {Array<{name: string, file: string, created_at: string|null, size: number,
+   *                  last_updated: string|null, locations: number|null, valid: boolean}>}
+   */
+  list() {
+    return listBackups(this.dataPath, this.backupDir).map(file => {
+      const { data, errors } = this.load(file);
+      const stamp = BACKUP_TIMESTAMP.exec(path.basename(file));
+
+      return {
+        name: path.basename(file),
+        file,
+        created_at: stamp ? `${stamp[1]}:${stamp[2]}:${stamp[3]}.${stamp[4]}Z` : null,
+        size: fs.statSync(file).size,
+        last_updated: data?.metadata?.last_updated || null,
+        locations: Array.isArray(data?.locations) ? data.locations.length : null,
+        valid: errors.length === 0
+      };
+    });
+  }
+
+  /**
+   * Path of a backup given by name, path, "latest" (newest backup) or
+   * "current" (the data file itself)
+   */
+  resolve(ref) {
+    if (!ref) {
+      throw new Error('Backup file required');
+    }
+    if (ref === 'current') {
+      return this.dataPath;
+    }
+    if (ref === 'latest') {
+      const [latest] = listBackups(this.dataPath, this.backupDir);
+      if (!latest) {
+        throw new Error(`No backups in ${this.backupDir}`);
+      }
+      return latest;
+    }
+
+    const inBackupDir = path.join(this.backupDir, path.basename(ref));
+    if (fs.existsSync(ref)) {
+      return path.resolve(ref);
+    }
+    if (fs.existsSync(inBackupDir)) {
+      return inBackupDir;
+    }
+    throw new Error(`Backup not found: ${ref}`);
+  }
+
+  /**
+   * Check that every backup parses, matches its checksum and passes the schema
+   *
+   * @returns {Array<{name: string, valid: boolean, errors: Array<string>, integrity: string|null, migrated: boolean}>}
+   */
+  verify() {
+    return listBackups(this.dataPath, this.backupDir).map(file => {
+      const { errors, integrity, migrations } = this.load(file);
+      return {
+        name: path.basename(file),
+        valid: errors.length === 0,
+        errors,
+        integrity,
+        migrated: migrations.length > 0
+      };
+    });
+  }
+
+  /**
+   * Per-location availability and capacity changes from backup a to backup b
+   *
+   * @returns {{from: string, to: string, changes: Array<{id, name, change: 'added'|'removed'|'changed',
+   *            types: Object<string, {available: Array<number>, total: Array<number>}>}>}}
+   *   types only lists vehicle types whose available or total changed, as [from, to]
+   */
+  diff(refA, refB) {
+    const [from, to] = [refA, refB].map(ref => {
+      const file = this.resolve(ref);
+      const { data, errors } = this.load(file);
+      if (!data) {
+        throw new Error(`${path.basename(file)}: ${errors.join(', ')}`);
+      }
+      return { file, locations: data.locations || [] };
+    });
+
+    const key = location => location.id ?? displayName(location);
+    const before = new Map(from.locations.map(location => [key(location), location]));
+    const after = new Map(to.locations.map(location => [key(location), location]));
+    const changes = [];
+
+    after.forEach((location, id) => {
+      const previous = before.get(id);
+      const types = {};
+
+      VEHICLE_TYPES.forEach(type => {
+        const a = previous?.[type] || {};
+        const b = location[type] || {};
+        if (!previous || a.available !== b.available || a.total !== b.total) {
+          types[type] = { available: [a.available ?? null, b.available ?? null], total: [a.total ?? null, b.total ?? null] };
+        }
+      });
+
+      if (!previous || Object.keys(types).length > 0) {
+        changes.push({ id, name: displayName(location), change: previous ? 'changed' : 'added', types });
+      }
+    });
+
+    before.forEach((location, id) => {
+      if (!after.has(id)) {
+        changes.push({ id, name: displayName(location), change: 'removed', types: {} });
+      }
+    });
+
+    return { from: from.file, to: to.file, changes };
+  }
+
+  /**
+   * Replace the data file with a verified backup, saving the current file first
+   *
+   * @returns {{restored: string, safety_backup: string}}
+   */
+  restore(ref) {
+    const file = this.resolve(ref);
+    if (file === this.dataPath) {
+      throw new Error('Cannot restore the data file onto itself');
+    }
+
+    const { data, errors } = this.load(file);
+    if (errors.length > 0) {
+      throw new Error(`${path.basename(file)} failed verification: ${errors.join(', ')}`);
+    }
+
+    return withLock(this.dataPath, () => {
+      const safety = fs.existsSync(this.dataPath) ? this.create('pre-restore').file : null;
+      writeDataFile(this.dataPath, data);
+      return { restored: file, safety_backup: safety };
+    });
+  }
+}
+
+function formatChange(values) {
+  const [from, to] = values;
+  if (from === to) {
+    return `${to}`;
+  }
+  const delta = from !== null && to !== null ? ` (${to - from > 0 ? '+' : ''}${to - from})` : '';
+  return `${from ?? '-'} → ${to ?? '-'}${delta}`;
+}
+
+/**
+ * Run "backup <command>" from the validator CLI
+ *
+ * @param {Array<string>} argv - arguments after "backup"
+ * @returns {number} exit code
+ */
+function runBackupCommand(argv) {
+  const args = require('minimist')(argv, { string: ['data', 'backup-dir'] });
+  const [command, ...refs] = args._.map(String);
+
+  const manager = new BackupManager({
+    dataPath: args.data ? path.resolve(args.data) : undefined,
+    backupDir: args['backup-dir'] ? path.resolve(args['backup-dir']) : undefined
+  });
+
+  try {
+    switch (command) {
+      case 'list': {
+        const backups = manager.list();
+        if (backups.length === 0) {
+          console.log(`No backups in ${manager.backupDir}`);
+        }
+        backups.forEach(backup => {
+          const icon = backup.valid ? '💾' : '❌';
+          console.log(`${icon} ${backup.name}  ${(backup.size / 1024).toFixed(1)} KB, ` +
+            `${backup.locations ?? '?'} locations, data of ${backup.last_updated || 'unknown'}`);
+        });
+        return 0;
+      }
+
+      case 'diff': {
+        if (refs.length !== 2) {
+          throw new Error('Usage: backup diff <a> <b>');
+        }
+        const { from, to, changes } = manager.diff(refs[0], refs[1]);
+        console.log(`🔍 ${path.basename(from)} → ${path.basename(to)}`);
+        if (changes.length === 0) {
+          console.log('✅ No availability or capacity changes');
+        }
+        changes.forEach(change => {
+          const label = { added: ' (added)', removed: ' (removed)', changed: '' }[change.change];
+          console.log(`📍 ${change.name}${label}`);
+          Object.entries(change.types).forEach(([type, values]) => {
+            console.log(`   ${type}: available ${formatChange(values.available)}, capacity ${formatChange(values.total)}`);
+          });
+        });
+        return 0;
+      }
+
+      case 'verify': {
+        const results = manager.verify();
+        if (results.length === 0) {
+          console.log(`No backups in ${manager.backupDir}`);
+        }
+        results.forEach(result => {
+          console.log(`${result.valid ? '✅' : '❌'} ${result.name}${result.migrated ? ' (older version)' : ''}`);
+          result.errors.slice(0, 5).forEach(error => console.log(`   ${error}`));
+        });
+        const invalid = results.filter(result => !result.valid).length;
+        console.log(`${invalid > 0 ? '⚠️ ' : '✅'} ${results.length - invalid}/${results.length} backup(s) valid`);
+        return invalid > 0 ? 1 : 0;
+      }
+
+      case 'restore': {
+        const { restored, safety_backup: safety } = manager.restore(refs[0]);
+        if (safety) {
+          console.log(`💾 Saved current data as ${path.basename(safety)}`);
+        }
+        console.log(`♻️  Restored ${manager.dataPath} from ${path.basename(restored)}`);
+        return 0;
+      }
+
+      default:
+        throw new Error(`Usage: parking-validator backup ${BACKUP_COMMANDS.join('|')}`);
+    }
+  } catch (error) {
+    console.error('❌', error.message);
+    return 1;
+  }
+}
+
+module.exports = { BackupManager, runBackupCommand, BACKUP_COMMANDS };
@@ -0,0 +1,200 @@
+/**
+ * Capacity Schedule
+ * Resolves a location's parking capacity for a point in time from its
+ * `capacity_schedule` in parkir-data.json. Shared by the processor, the
+ * validator, index.html and admin-petugas.html (loaded as a plain script,
+ * exposed there as window.CapacitySchedule).
+ *
+ * A schedule is a list of windows with inclusive local dates:
+ *   { "label": "Periode 1", "from": "2026-04-20", "to": "2026-04-22", "mobil": 30, "motor": 150 }
+ * Opening hours come from the location's `operational_hours` ("18:00-24:00");
+ * together with a manual `status: "closed"` they give the operating status.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.CapacitySchedule = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const VEHICLE_TYPES = ['bus', 'mobil', 'motor'];
+
+  // Asia/Jakarta (WIB) is UTC+7 all year
+  const TIMEZONE_OFFSET_MINUTES = 7 * 60;
+
+  // Open locations count as closing soon this many minutes before closing time
+  const CLOSING_SOON_MINUTES = 30;
+
+  const OPERATING_STATES = ['open', 'closing_soon', 'closed'];
+
+  /**
+   * Local date ("2026-04-21") and time ("18:05") in Asia/Jakarta
+   */
+  function jakartaTime(now) {
+    const local = new Date(now.getTime() + TIMEZONE_OFFSET_MINUTES * 60 * 1000).toISOString();
+    return { date: local.substring(0, 10), time: local.substring(11, 16) };
+  }
+
+  /**
+   * Parse "HH:MM-HH:MM" into { open, close }, or null
+   */
+  function parseHours(hours) {
+    const match = /^(\d{2}:\d{2})-(\d{2}:\d{2})$/.exec(hours || '');
+    return match ? { open: match[1], close: match[2] } : null;
+  }
+
+  /**
+   * Whether a local "HH:MM" falls inside opening hours (handles "24:00"
+   * and ranges past midnight such as "18:00-02:00")
+   */
+  function isWithinHours(hours, time) {
+    const parsed = typeof hours === 'string' ? parseHours(hours) : hours;
+    if (!parsed) {
+      return true;
+    }
+    if (parsed.open <= parsed.close) {
+      return time >= parsed.open && time < parsed.close;
+    }
+    return time >= parsed.open || time < parsed.close;
+  }
+
+  function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+
+  /**
+   * Minutes from a local "HH:MM" until closing time (assumes it is open)
+   */
+  function minutesUntilClose(hours, time) {
+    const close = toMinutes(hours.close);
+    const current = toMinutes(time);
+    return close > current ? close - current : close + 24 * 60 - current;
+  }
+
+  /**
+   * Schedule window active on a local date, or null
+   */
+  function activeWindow(location, date) {
+    const schedule = Array.isArray(location.capacity_schedule) ? location.capacity_schedule : [];
+    return schedule.find(entry => entry.from <= date && date <= entry.to) || null;
+  }
+
+  /**
+   * Capacity of a location at `now`
+   *
+   * Locations without a schedule keep their stored totals. Scheduled
+   * locations use the active window's totals and have no capacity outside
+   * every window.
+   *
+   * @returns {{bus: number, mobil: number, motor: number, scheduled: boolean,
+   *            window: Object|null, hours: Object|null, open: boolean}}
+   */
+  function resolveCapacity(location, now = new Date()) {
+    const { date, time } = jakartaTime(now);
+    const hours = parseHours(location.operational_hours);
+    const scheduled = Array.isArray(location.capacity_schedule) && location.capacity_schedule.length > 0;
+    const active = scheduled ? activeWindow(location, date) : null;
+    const capacity = {};
+
+    VEHICLE_TYPES.forEach(type => {
+      if (scheduled) {
+        capacity[type] = active ? Number(active[type]) || 0 : 0;
+      } else {
+        const block = location[type];
+        capacity[type] = Number(block && typeof block === 'object' ? block.total : block) || 0;
+      }
+    });
+
+    return {
+      ...capacity,
+      scheduled,
+      window: active,
+      hours,
+      open: (!scheduled || !!active) && isWithinHours(hours, time)
+    };
+  }
+
+  /**
+   * Operating status of a location at `now`: closed by hand (`status:
+   * "closed"`), outside every schedule window or outside opening hours,
+   * closing soon, or open
+   *
+   * @returns {{state: string, reason: string|null, manual: boolean,
+   *            opens_at: string|null, closes_at: string|null}}
+   */
+  function operatingStatus(location, now = new Date(), closingSoonMinutes = CLOSING_SOON_MINUTES) {
+    const { time } = jakartaTime(now);
+    const capacity = resolveCapacity(location, now);
+    const hours = capacity.hours;
+    const status = {
+      state: 'open',
+      reason: null,
+      manual: false,
+      opens_at: hours ? hours.open : null,
+      closes_at: hours ? hours.close : null
+    };
+
+    if (location.status === 'closed') {
+      return { ...status, state: 'closed', reason: location.closed_reason || 'Ditutup petugas', manual: true };
+    }
+    if (capacity.scheduled && !capacity.window) {
+      return { ...status, state: 'closed', reason: 'Di luar periode operasional' };
+    }
+    if (!capacity.open) {
+      return { ...status, state: 'closed', reason: `Buka pukul ${hours.open} WIB` };
+    }
+    if (hours && minutesUntilClose(hours, time) <= closingSoonMinutes) {
+      return { ...status, state: 'closing_soon', reason: `Tutup pukul ${hours.close} WIB` };
+    }
+
+    return status;
+  }
+
+  /**
+   * Bring a location's stored totals in line with its schedule. Added
+   * capacity starts out empty (available grows with it); removed capacity
+   * is taken off the available count.
+   *
+   * @returns {Array<string>} vehicle types whose total changed
+   */
+  function applySchedule(location, now = new Date()) {
+    const capacity = resolveCapacity(location, now);
+    const changed = [];
+
+    if (!capacity.scheduled) {
+      return changed;
+    }
+
+    VEHICLE_TYPES.forEach(type => {
+      const block = location[type] && typeof location[type] === 'object'
+        ? location[type]
+        : (location[type] = { total: 0, available: 0 });
+      const previousTotal = Number(block.total) || 0;
+      const total = capacity[type];
+
+      if (previousTotal !== total) {
+        const available = (Number(block.available) || 0) + (total - previousTotal);
+        block.total = total;
+        block.available = Math.max(0, Math.min(total, available));
+        changed.push(type);
+      }
+    });
+
+    return changed;
+  }
+
+  return {
+    resolveCapacity,
+    applySchedule,
+    operatingStatus,
+    activeWindow,
+    isWithinHours,
+    parseHours,
+    jakartaTime,
+    VEHICLE_TYPES,
+    OPERATING_STATES,
+    CLOSING_SOON_MINUTES,
+    TIMEZONE_OFFSET_MINUTES
+  };
+});
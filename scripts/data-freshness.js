@@ -0,0 +1,116 @@
+/**
+ * Data Freshness
+ * How long ago an officer last reported a location's numbers, from the
+ * `last_update` / `updated_by` of its vehicle blocks. Shared by the
+ * validator and index.html (loaded after capacity-schedule.js, exposed
+ * there as window.DataFreshness).
+ *
+ * Values written by "System" (seeded data, schedule changes) are not
+ * officer reports. A location is stale when it is open and no officer has
+ * reported it within the window.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./capacity-schedule'));
+  } else {
+    root.DataFreshness = factory(root.CapacitySchedule);
+  }
+})(typeof self !== 'undefined' ? self : this, function (CapacitySchedule) {
+  const { operatingStatus, VEHICLE_TYPES } = CapacitySchedule;
+
+  // Open locations without an officer report for this long are stale
+  const STALE_AFTER_MINUTES = 60;
+
+  const SYSTEM_UPDATERS = ['system'];
+
+  /**
+   * Whether a vehicle block was last written by an officer
+   */
+  function isOfficerReport(block) {
+    return !!(block && typeof block === 'object' && block.last_update && block.updated_by &&
+      !SYSTEM_UPDATERS.includes(String(block.updated_by).toLowerCase()));
+  }
+
+  /**
+   * Newest officer report across a location's vehicle blocks, or null
+   *
+   * @returns {{last_update: string, updated_by: string}|null}
+   */
+  function lastOfficerReport(location) {
+    let latest = null;
+
+    VEHICLE_TYPES.forEach(type => {
+      const block = location[type];
+      if (isOfficerReport(block) && (!latest || new Date(block.last_update) > new Date(latest.last_update))) {
+        latest = { last_update: block.last_update, updated_by: block.updated_by };
+      }
+    });
+
+    return latest;
+  }
+
+  /**
+   * Freshness of a location at `now`
+   *
+   * @returns {{last_update: string|null, updated_by: string|null, age_minutes: number|null,
+   *            operating: boolean, stale: boolean}}
+   */
+  function locationFreshness(location, now = new Date(), staleAfterMinutes = STALE_AFTER_MINUTES) {
+    const report = lastOfficerReport(location);
+    const ageMinutes = report ? Math.max(0, Math.floor((now - new Date(report.last_update)) / 60000)) : null;
+    const operating = operatingStatus(location, now).state !== 'closed';
+
+    return {
+      last_update: report ? report.last_update : null,
+      updated_by: report ? report.updated_by : null,
+      age_minutes: ageMinutes,
+      operating,
+      stale: operating && (ageMinutes === null || ageMinutes > staleAfterMinutes)
+    };
+  }
+
+  /**
+   * Freshness per officer: the locations each officer reported last and
+   * their newest report. An officer is stale when one of those locations
+   * is open and stale.
+   *
+   * @returns {Array<{officer: string, locations: Array<string>, last_update: string,
+   *                  age_minutes: number, stale: boolean}>}
+   */
+  function officerFreshness(locations, now = new Date(), staleAfterMinutes = STALE_AFTER_MINUTES) {
+    const officers = new Map();
+
+    locations.forEach(location => {
+      const freshness = locationFreshness(location, now, staleAfterMinutes);
+      if (!freshness.updated_by) {
+        return;
+      }
+
+      const entry = officers.get(freshness.updated_by) || {
+        officer: freshness.updated_by,
+        locations: [],
+        last_update: freshness.last_update,
+        age_minutes: freshness.age_minutes,
+        stale: false
+      };
+
+      entry.locations.push(location.nama || location.name);
+      if (freshness.age_minutes < entry.age_minutes) {
+        entry.last_update = freshness.last_update;
+        entry.age_minutes = freshness.age_minutes;
+      }
+      entry.stale = entry.stale || freshness.stale;
+      officers.set(freshness.updated_by, entry);
+    });
+
+    return [...officers.values()].sort((a, b) => b.age_minutes - a.age_minutes);
+  }
+
+  return {
+    locationFreshness,
+    officerFreshness,
+    lastOfficerReport,
+    isOfficerReport,
+    STALE_AFTER_MINUTES
+  };
+});
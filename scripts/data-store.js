@@ -0,0 +1,177 @@
+/**
+ * Data Store
+ * Reads parkir-data.json (migrating old versions) and validates every
+ * write against schema/parkir-data.schema.json. Writes are atomic, take the
+ * file's lock (see storage.js) and store a checksum in metadata.checksum.
+ *
+ * A torn file (not parseable, e.g. after a crash mid-write) is recovered on
+ * load from the newest usable backup of the active operation (see
+ * operation-paths.js); the torn copy is kept next to the backups. A
+ * checksum that does not match parseable data (e.g. after a hand edit) is
+ * only reported.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const schema = require('../schema/parkir-data.schema.json');
+const { migrate } = require('./migrations');
+const { writeFileAtomic, withLock } = require('./storage');
+const { activeStorePaths } = require('./operation-paths');
+
+let schemaValidator = null;
+
+function getSchemaValidator() {
+  if (!schemaValidator) {
+    const ajv = new Ajv({ allErrors: true });
+    addFormats(ajv);
+    schemaValidator = ajv.compile(schema);
+  }
+  return schemaValidator;
+}
+
+/**
+ * Validate data against the schema
+ *
+ * @returns {Array<string>} readable error messages (empty when valid)
+ */
+function validateData(data) {
+  const validate = getSchemaValidator();
+
+  if (validate(data)) {
+    return [];
+  }
+
+  return validate.errors.map(error => `${error.instancePath || '/'} ${error.message}`);
+}
+
+/**
+ * Checksum of data, leaving out the stored checksum itself
+ */
+function computeChecksum(data) {
+  const metadata = { ...data.metadata };
+  delete metadata.checksum;
+  const hash = crypto.createHash('sha256').update(JSON.stringify({ ...data, metadata })).digest('hex');
+  return `sha256:${hash}`;
+}
+
+/**
+ * Whether data matches its stored checksum
+ *
+ * @returns {'ok'|'missing'|'mismatch'}
+ */
+function verifyChecksum(data) {
+  const stored = data?.metadata?.checksum;
+  if (!stored) {
+    return 'missing';
+  }
+  return stored === computeChecksum(data) ? 'ok' : 'mismatch';
+}
+
+/**
+ * Backups written by the validator for a data file, newest first
+ */
+function listBackups(filePath, backupDir) {
+  if (!fs.existsSync(backupDir)) {
+    return [];
+  }
+
+  const prefix = `${path.basename(filePath, '.json')}-backup-`;
+  return fs.readdirSync(backupDir)
+    .filter(file => file.startsWith(prefix) && file.endsWith('.json'))
+    .sort()
+    .reverse()
+    .map(file => path.join(backupDir, file));
+}
+
+/**
+ * Replace a torn data file with the newest backup that parses, matches its
+ * checksum and belongs to the given operation
+ *
+ * @param {string} operation - slug of the operation the file holds (null: any)
+ * @returns {{data: Object, from: string, torn_copy: string}}
+ */
+function recoverFromBackup(filePath, backupDir, parseError, operation = null) {
+  return withLock(filePath, () => {
+    const backup = listBackups(filePath, backupDir)
+      .map(file => {
+        try {
+          const raw = fs.readFileSync(file, 'utf8');
+          return { file, raw, data: JSON.parse(raw) };
+        } catch (error) {
+          return null;
+        }
+      })
+      .find(candidate => candidate && verifyChecksum(candidate.data) !== 'mismatch' &&
+        // Backups from before operations existed carry no slug
+        (!operation || !candidate.data.metadata?.operation || candidate.data.metadata.operation.slug === operation));
+
+    if (!backup) {
+      throw new Error(`Invalid JSON format: ${parseError.message} (no usable backup in ${backupDir})`);
+    }
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const tornCopy = path.join(backupDir, `${path.basename(filePath, '.json')}-torn-${timestamp}.json`);
+    fs.copyFileSync(filePath, tornCopy);
+    writeFileAtomic(filePath, backup.raw);
+
+    console.warn(`⚠️  ${path.basename(filePath)} is torn (${parseError.message}), restored from ${path.basename(backup.file)}`);
+    return { data: backup.data, from: backup.file, torn_copy: tornCopy };
+  });
+}
+
+/**
+ * Read and parse a data file, upgrading it to the current version in memory
+ *
+ * @param {string} filePath
+ * @param {Object} options
+ * @param {Date} options.now - clock for migrations
+ * @param {string} options.backupDir - where to look for backups (default: the active operation's)
+ * @param {boolean} options.recover - restore a torn file from backup (default true)
+ * @returns {{data: Object, migrations: Array, integrity: string, recovered: Object|null}}
+ *   integrity is 'ok', 'missing' or 'mismatch' (see verifyChecksum);
+ *   recovered names the backup a torn file was restored from
+ */
+function readDataFile(filePath, { now = new Date(), backupDir, recover = true } = {}) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Data file not found: ${filePath}`);
+  }
+
+  let data;
+  let recovered = null;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (!recover) {
+      throw new Error(`Invalid JSON format: ${error.message}`);
+    }
+    const stores = activeStorePaths(path.dirname(filePath));
+    const restored = recoverFromBackup(filePath, backupDir || stores.backupDir, error, stores.slug);
+    data = restored.data;
+    recovered = { from: restored.from, torn_copy: restored.torn_copy };
+  }
+
+  const integrity = verifyChecksum(data);
+  const migrations = migrate(data, { now });
+  return { data, migrations, integrity, recovered };
+}
+
+/**
+ * Write a data file, refusing anything that does not match the schema
+ *
+ * @returns {number} bytes written
+ */
+function writeDataFile(filePath, data) {
+  const errors = validateData(data);
+
+  if (errors.length > 0) {
+    throw new Error(`Data does not match schema:\n${errors.join('\n')}`);
+  }
+
+  data.metadata.checksum = computeChecksum(data);
+  return withLock(filePath, () => writeFileAtomic(filePath, JSON.stringify(data, null, 2)));
+}
+
+module.exports = { readDataFile, writeDataFile, validateData, computeChecksum, verifyChecksum, listBackups };
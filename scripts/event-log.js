@@ -0,0 +1,267 @@
+/**
+ * Event Log
+ * Append-only record of every accepted update, stored as JSON lines in the
+ * active operation's updates/archive/events-YYYY-MM-DD.jsonl (see
+ * operation-paths.js), and replay of those events
+ * to rebuild parkir-data.json as of any point in time
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { LocationRegistry } = require('./location-registry');
+const { withLock } = require('./storage');
+const { computeStatistics, VEHICLE_TYPES } = require('./statistics');
+
+const EVENT_FILE_PATTERN = /^events-\d{4}-\d{2}-\d{2}\.jsonl$/;
+
+// Location-level fields carried in event values (besides vehicle counts)
+const LOCATION_FIELDS = ['notes', 'status', 'closed_reason'];
+
+/**
+ * Event file holding events recorded on the (UTC) day of a timestamp
+ */
+function eventFileFor(archiveDir, timestamp) {
+  return path.join(archiveDir, `events-${timestamp.split('T')[0]}.jsonl`);
+}
+
+function eventFiles(archiveDir) {
+  if (!fs.existsSync(archiveDir)) {
+    return [];
+  }
+  return fs.readdirSync(archiveDir).filter(file => EVENT_FILE_PATTERN.test(file)).sort();
+}
+
+function readEventFile(archiveDir, file) {
+  const events = [];
+  const lines = fs.readFileSync(path.join(archiveDir, file), 'utf8').split('\n');
+
+  lines.forEach((line, index) => {
+    if (!line.trim()) {
+      return;
+    }
+    try {
+      events.push(JSON.parse(line));
+    } catch (error) {
+      throw new Error(`Corrupt event in ${file} line ${index + 1}: ${error.message}`);
+    }
+  });
+
+  return events;
+}
+
+/**
+ * Read every event in the archive, ordered by sequence number
+ *
+ * @param {Object} options
+ * @param {Date} options.since - skip event files from days before this
+ */
+function readEvents(archiveDir, { since } = {}) {
+  return eventFiles(archiveDir)
+    .filter(file => !since || file >= `events-${since.toISOString().split('T')[0]}.jsonl`)
+    .flatMap(file => readEventFile(archiveDir, file))
+    .sort((a, b) => a.seq - b.seq);
+}
+
+/**
+ * Highest sequence number in the log. Events are numbered as they are
+ * appended and filed by the day they were recorded, so only the newest
+ * file that holds any event needs reading.
+ */
+function lastSeq(archiveDir) {
+  const files = eventFiles(archiveDir);
+
+  for (let i = files.length - 1; i >= 0; i--) {
+    const events = readEventFile(archiveDir, files[i]);
+    if (events.length > 0) {
+      return Math.max(...events.map(event => event.seq));
+    }
+  }
+  return 0;
+}
+
+/**
+ * Append events to the log, numbering them after the last stored event.
+ * The log's lock (`<archiveDir>.lock`) is held from reading the last seq to
+ * the last append, so concurrent writers never reuse a number.
+ *
+ * @param {string} archiveDir - directory holding the event files
+ * @param {Array} events - unsequenced events (see update-processor toEvent)
+ * @returns {Array} the stored events including their seq
+ */
+function appendEvents(archiveDir, events) {
+  if (events.length === 0) {
+    return [];
+  }
+
+  return withLock(archiveDir, () => {
+    if (!fs.existsSync(archiveDir)) {
+      fs.mkdirSync(archiveDir, { recursive: true });
+    }
+
+    let seq = lastSeq(archiveDir);
+
+    const stored = events.map(event => ({ seq: ++seq, ...event }));
+
+    stored.forEach(event => {
+      fs.appendFileSync(eventFileFor(archiveDir, event.recorded_at), JSON.stringify(event) + '\n');
+    });
+
+    return stored;
+  });
+}
+
+/**
+ * Value of one field as of the replay point: start from the value before the
+ * first logged event and apply every event recorded up to `at`. Vehicle
+ * values carry the officer's report time (`updated_at`), which also counts
+ * when a report confirms the same value; older events only stamped changes
+ * with the time they were recorded.
+ */
+function replayField(fieldEvents, field, at) {
+  const first = fieldEvents[0].values[field];
+  const state = {
+    value: first.previous,
+    last_update: first.previous_update ?? null,
+    updated_by: first.previous_by ?? null
+  };
+
+  fieldEvents
+    .filter(event => event.recorded_at <= at)
+    .forEach(event => {
+      const { value, updated_at: updatedAt } = event.values[field];
+      if (updatedAt) {
+        state.value = value;
+        state.last_update = updatedAt;
+        state.updated_by = event.officer;
+      } else if (value !== state.value) {
+        state.value = value;
+        state.last_update = event.recorded_at;
+        state.updated_by = event.officer;
+      }
+    });
+
+  return state;
+}
+
+function setOrDelete(target, key, value) {
+  if (value === null || value === undefined) {
+    delete target[key];
+  } else {
+    target[key] = value;
+  }
+}
+
+/**
+ * Rebuild the data as of a timestamp
+ *
+ * Location definitions (names, capacities) come from `data`; every field
+ * touched by a logged event is reset to what the log says it was at `at`.
+ *
+ * @param {Object} data - current parkir-data.json (not modified)
+ * @param {Array} events - events from readEvents()
+ * @param {Object} options
+ * @param {string} options.at - ISO timestamp to rebuild (default: latest)
+ * @returns {{data: Object, applied: number, last_event: Object|null}}
+ */
+function replay(data, events, { at = new Date().toISOString() } = {}) {
+  const rebuilt = JSON.parse(JSON.stringify(data));
+  const registry = LocationRegistry.fromData(rebuilt);
+  const appliedEvents = events.filter(event => event.recorded_at <= at);
+
+  const byLocation = new Map();
+  events.forEach(event => {
+    const location = registry.resolve(event.location_id);
+    if (!location) {
+      throw new Error(`Event ${event.seq} refers to unknown location ${event.location_id}`);
+    }
+    if (!byLocation.has(location)) {
+      byLocation.set(location, []);
+    }
+    byLocation.get(location).push(event);
+  });
+
+  byLocation.forEach((locationEvents, location) => {
+    VEHICLE_TYPES.forEach(type => {
+      const fieldEvents = locationEvents.filter(event => event.values[type]);
+      if (fieldEvents.length === 0 || !location[type]) {
+        return;
+      }
+
+      const state = replayField(fieldEvents, type, at);
+      location[type].available = state.value;
+      setOrDelete(location[type], 'last_update', state.last_update);
+      setOrDelete(location[type], 'updated_by', state.updated_by);
+    });
+
+    LOCATION_FIELDS.forEach(field => {
+      const fieldEvents = locationEvents.filter(event => event.values[field]);
+      if (fieldEvents.length > 0) {
+        setOrDelete(location, field, replayField(fieldEvents, field, at).value);
+      }
+    });
+  });
+
+  const lastEvent = appliedEvents.length > 0 ? appliedEvents[appliedEvents.length - 1] : null;
+
+  rebuilt.statistics = {
+    ...rebuilt.statistics,
+    ...computeStatistics(rebuilt.locations)
+  };
+
+  if (lastEvent) {
+    rebuilt.statistics.last_processed = lastEvent.recorded_at;
+    rebuilt.metadata.last_updated = lastEvent.recorded_at;
+  }
+
+  return { data: rebuilt, applied: appliedEvents.length, last_event: lastEvent };
+}
+
+/**
+ * Events recording the difference between the live data and a replayed
+ * state, so that writing a rollback keeps the log consistent: replaying to
+ * "now" afterwards reproduces the rolled-back data
+ */
+function rollbackEvents(current, rebuilt, { now = new Date(), at } = {}) {
+  const timestamp = now.toISOString();
+  const registry = LocationRegistry.fromData(current);
+  const events = [];
+
+  rebuilt.locations.forEach(target => {
+    const location = registry.resolve(target.id);
+    const values = {};
+
+    VEHICLE_TYPES.forEach(type => {
+      if (location?.[type] && target[type] && location[type].available !== target[type].available) {
+        values[type] = {
+          previous: location[type].available,
+          previous_update: location[type].last_update ?? null,
+          previous_by: location[type].updated_by ?? null,
+          value: target[type].available
+        };
+      }
+    });
+
+    LOCATION_FIELDS.forEach(field => {
+      if (location && (location[field] ?? null) !== (target[field] ?? null)) {
+        values[field] = { previous: location[field] ?? null, value: target[field] ?? null };
+      }
+    });
+
+    if (Object.keys(values).length > 0) {
+      events.push({
+        type: 'replay_rollback',
+        recorded_at: timestamp,
+        occurred_at: timestamp,
+        location_id: target.id,
+        location_name: target.nama,
+        officer: 'replay',
+        source: `replay --at=${at}`,
+        values
+      });
+    }
+  });
+
+  return events;
+}
+
+module.exports = { appendEvents, readEvents, replay, rollbackEvents, eventFileFor };
@@ -0,0 +1,167 @@
+/**
+ * Fill-up Forecast
+ * Estimates minutes until each location and vehicle type is full from the
+ * occupancy time series (see timeseries.js):
+ *
+ *   - trend: how fast `available` fell over the last TREND_MINUTES
+ *   - baseline: how fast it fell yesterday in the hour following this time
+ *
+ * Both are blended when available. The result is stored next to the vehicle
+ * blocks in parkir-data.json:
+ *
+ *   "forecast": { "computed_at": "...", "mobil": { "minutes_until_full": 25, "rate_per_hour": -48, "method": "blend" } }
+ */
+
+const { VEHICLE_TYPES } = require('./statistics');
+const { displayName } = require('./location-registry');
+
+const MINUTE = 60 * 1000;
+
+// Window of recent samples for the trend
+const TREND_MINUTES = 60;
+
+// Shortest span of samples a rate is computed from
+const MIN_SPAN_MINUTES = 5;
+
+// Share of the trend when blended with yesterday's baseline
+const TREND_WEIGHT = 0.7;
+
+// Fill-ups further away than this are not forecast
+const MAX_FORECAST_MINUTES = 6 * 60;
+
+const FORECAST_METHODS = ['trend', 'baseline', 'blend'];
+
+/**
+ * Least-squares change of `available` in spaces per minute, or null when the
+ * samples cover less than MIN_SPAN_MINUTES
+ *
+ * @param {Array<{t: number, available: number}>} samples
+ */
+function rateOf(samples) {
+  if (samples.length < 2 || samples[samples.length - 1].t - samples[0].t < MIN_SPAN_MINUTES * MINUTE) {
+    return null;
+  }
+
+  const origin = samples[0].t;
+  const points = samples.map(sample => ({ x: (sample.t - origin) / MINUTE, y: sample.available }));
+  const meanX = points.reduce((sum, point) => sum + point.x, 0) / points.length;
+  const meanY = points.reduce((sum, point) => sum + point.y, 0) / points.length;
+  const covariance = points.reduce((sum, point) => sum + (point.x - meanX) * (point.y - meanY), 0);
+  const variance = points.reduce((sum, point) => sum + (point.x - meanX) ** 2, 0);
+
+  return covariance / variance;
+}
+
+/**
+ * Forecast for one vehicle type
+ *
+ * @param {number} available - current free spaces
+ * @param {Array} recent - samples of the last TREND_MINUTES
+ * @param {Array} baseline - samples of the same hour yesterday
+ * @returns {{minutes_until_full: number, rate_per_hour: number, method: string}|null}
+ *   null when the site is full, not filling up, or far from full
+ */
+function forecastFill(available, recent, baseline) {
+  const trend = rateOf(recent);
+  const previous = rateOf(baseline);
+  let rate;
+  let method;
+
+  if (trend !== null && previous !== null) {
+    rate = TREND_WEIGHT * trend + (1 - TREND_WEIGHT) * previous;
+    method = 'blend';
+  } else if (trend !== null) {
+    rate = trend;
+    method = 'trend';
+  } else if (previous !== null) {
+    rate = previous;
+    method = 'baseline';
+  } else {
+    return null;
+  }
+
+  if (available <= 0 || rate >= 0) {
+    return null;
+  }
+
+  const minutes = Math.ceil(available / -rate);
+  if (minutes > MAX_FORECAST_MINUTES) {
+    return null;
+  }
+
+  return {
+    minutes_until_full: minutes,
+    rate_per_hour: Math.round(rate * 60 * 10) / 10,
+    method
+  };
+}
+
+/**
+ * Samples from store.range() grouped by "locationId:type"
+ */
+function groupSamples(rows) {
+  const groups = new Map();
+  rows.forEach(row => {
+    const key = `${row.location_id}:${row.type}`;
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push({ t: new Date(row.t).getTime(), available: row.available });
+  });
+  return groups;
+}
+
+/**
+ * Write the current forecast of every location into `forecast`
+ *
+ * @param {Object} data - parkir-data.json content
+ * @param {TimeSeriesStore} store
+ * @param {Date} now
+ * @returns {Array<string>} names of locations whose forecast changed
+ */
+function applyForecasts(data, store, now = new Date()) {
+  const recent = groupSamples(store.range(new Date(now.getTime() - TREND_MINUTES * MINUTE), now));
+  const yesterday = new Date(now.getTime() - 24 * 60 * MINUTE);
+  const baseline = groupSamples(store.range(yesterday, new Date(yesterday.getTime() + 60 * MINUTE)));
+  const changed = [];
+
+  (data.locations || []).forEach(location => {
+    const forecast = {};
+
+    VEHICLE_TYPES.forEach(type => {
+      const block = location[type];
+      if (!block || !(block.total > 0)) {
+        return;
+      }
+
+      const key = `${location.id}:${type}`;
+      const result = forecastFill(block.available, recent.get(key) || [], baseline.get(key) || []);
+      if (result) {
+        forecast[type] = result;
+      }
+    });
+
+    const previous = { ...location.forecast };
+    delete previous.computed_at;
+    if (JSON.stringify(previous) !== JSON.stringify(forecast)) {
+      changed.push(displayName(location));
+    }
+
+    if (Object.keys(forecast).length > 0) {
+      location.forecast = { computed_at: now.toISOString(), ...forecast };
+    } else {
+      delete location.forecast;
+    }
+  });
+
+  return changed;
+}
+
+module.exports = {
+  applyForecasts,
+  forecastFill,
+  rateOf,
+  TREND_MINUTES,
+  MAX_FORECAST_MINUTES,
+  FORECAST_METHODS
+};
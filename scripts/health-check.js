@@ -0,0 +1,240 @@
+#!/usr/bin/env node
+
+/**
+ * Health Check
+ * Checks that the parking data is usable and the pipeline is keeping up.
+ * Used by the Dockerfile HEALTHCHECK and the server's /healthz route.
+ *
+ * Usage: node scripts/health-check.js [--root=dir] [--stale-minutes=120]
+ *        [--max-pending=50] [--min-free-mb=100] [--json]
+ *
+ * Each check is ok, warn or fail; any fail makes the exit code 1.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readDataFile, validateData } = require('./data-store');
+const { isUnprocessed } = require('./update-processor');
+const { operationPaths } = require('./operation-paths');
+
+const HEALTH_STATUSES = ['ok', 'warn', 'fail'];
+
+// Overridable with HEALTH_STALE_MINUTES, HEALTH_MAX_PENDING and HEALTH_MIN_FREE_MB
+const DEFAULT_LIMITS = {
+  staleMinutes: Number(process.env.HEALTH_STALE_MINUTES) || 120, // metadata.last_updated older than this fails
+  maxPending: Number(process.env.HEALTH_MAX_PENDING) || 50,      // unprocessed updates waiting before the backlog fails
+  minFreeMb: Number(process.env.HEALTH_MIN_FREE_MB) || 100       // free space below this in backups/logs fails
+};
+
+/**
+ * Paths and limits with defaults under rootDir
+ */
+function resolveConfig(config = {}) {
+  const rootDir = config.rootDir || path.resolve(__dirname, '..');
+  const stores = operationPaths(rootDir);
+
+  return {
+    dataPath: path.join(rootDir, 'data/parkir-data.json'),
+    pendingPath: path.join(rootDir, 'data/pending-updates.json'),
+    deadLetterPath: stores.deadLetterPath,
+    reportPath: path.join(rootDir, 'data/reports/validation-report-latest.json'),
+    backupDir: stores.backupDir,
+    logDir: path.join(rootDir, 'data/logs'),
+    now: () => new Date(),
+    ...DEFAULT_LIMITS,
+    ...config
+  };
+}
+
+function result(name, status, message, details = {}) {
+  return { name, status, message, ...details };
+}
+
+const CHECKS = {
+  data(config, context) {
+    let data;
+    let integrity;
+    try {
+      // Read-only: a torn file is reported, the next writer recovers it
+      ({ data, integrity } = readDataFile(config.dataPath, { now: config.now(), recover: false }));
+    } catch (error) {
+      return result('data', 'fail', error.message);
+    }
+
+    context.data = data;
+    const errors = validateData(data);
+    if (errors.length > 0) {
+      return result('data', 'fail', `Data does not match schema (${errors.length} error(s))`, { errors: errors.slice(0, 10) });
+    }
+    return integrity === 'mismatch'
+      ? result('data', 'warn', `${data.locations.length} locations, checksum does not match (edited by hand?)`)
+      : result('data', 'ok', `${data.locations.length} locations`);
+  },
+
+  freshness(config, context) {
+    const lastUpdated = context.data?.metadata?.last_updated;
+    if (!lastUpdated) {
+      return result('freshness', 'fail', 'metadata.last_updated missing');
+    }
+
+    const ageMinutes = Math.round((config.now() - new Date(lastUpdated)) / 60000);
+    const details = { last_updated: lastUpdated, age_minutes: ageMinutes, limit_minutes: config.staleMinutes };
+    return ageMinutes > config.staleMinutes
+      ? result('freshness', 'fail', `Data is ${ageMinutes} min old (limit ${config.staleMinutes} min)`, details)
+      : result('freshness', 'ok', `Updated ${ageMinutes} min ago`, details);
+  },
+
+  backlog(config) {
+    if (!fs.existsSync(config.pendingPath)) {
+      return result('backlog', 'ok', 'No pending updates file', { pending: 0, failed: 0 });
+    }
+
+    let updates;
+    try {
+      updates = JSON.parse(fs.readFileSync(config.pendingPath, 'utf8'));
+    } catch (error) {
+      return result('backlog', 'fail', `Pending updates unreadable: ${error.message}`);
+    }
+
+    // Failed updates stay in the file and are retried, so they count too
+    const pending = updates.filter(isUnprocessed).length;
+    const details = { pending, failed: updates.filter(update => update.status === 'failed').length, limit: config.maxPending };
+    return pending > config.maxPending
+      ? result('backlog', 'fail', `${pending} updates waiting (limit ${config.maxPending})`, details)
+      : result('backlog', 'ok', `${pending} updates waiting`, details);
+  },
+
+  last_run(config) {
+    const failed = [];
+
+    // Updates the processor could not apply are written back with status "failed"
+    if (fs.existsSync(config.pendingPath)) {
+      try {
+        const updates = JSON.parse(fs.readFileSync(config.pendingPath, 'utf8'));
+        const count = updates.filter(update => update.status === 'failed').length;
+        if (count > 0) {
+          failed.push(`${count} update(s) failed processing`);
+        }
+      } catch (error) {
+        // Reported by the backlog check
+      }
+    }
+
+    // Updates out of retry attempts wait for a supervisor
+    if (fs.existsSync(config.deadLetterPath)) {
+      try {
+        const count = JSON.parse(fs.readFileSync(config.deadLetterPath, 'utf8')).length;
+        if (count > 0) {
+          failed.push(`${count} update(s) in the dead letter`);
+        }
+      } catch (error) {
+        failed.push(`dead letter unreadable: ${error.message}`);
+      }
+    }
+
+    // Strict validation fails the run when it finds issues
+    if (fs.existsSync(config.reportPath)) {
+      try {
+        const report = JSON.parse(fs.readFileSync(config.reportPath, 'utf8'));
+        if (report.mode === 'strict' && report.summary?.issues_found > 0) {
+          failed.push(`validation at ${report.timestamp} found ${report.summary.issues_found} issue(s)`);
+        }
+      } catch (error) {
+        failed.push(`validation report unreadable: ${error.message}`);
+      }
+    }
+
+    return failed.length > 0
+      ? result('last_run', 'warn', failed.join('; '))
+      : result('last_run', 'ok', 'No failures in the last run');
+  },
+
+  disk_space(config) {
+    // fs.statfsSync arrived in Node 18.15
+    if (typeof fs.statfsSync !== 'function') {
+      return result('disk_space', 'warn', `Disk space not checked: needs Node 18.15 or newer (running ${process.version})`);
+    }
+
+    const dirs = [config.backupDir, config.logDir];
+    const free = {};
+    const low = [];
+
+    dirs.forEach(dir => {
+      // Not created yet: measure the closest existing parent
+      let existing = dir;
+      while (!fs.existsSync(existing) && path.dirname(existing) !== existing) {
+        existing = path.dirname(existing);
+      }
+
+      const stats = fs.statfsSync(existing);
+      const freeMb = Math.floor((stats.bavail * stats.bsize) / (1024 * 1024));
+      free[path.basename(dir)] = freeMb;
+      if (freeMb < config.minFreeMb) {
+        low.push(`${path.basename(dir)} ${freeMb} MB`);
+      }
+    });
+
+    const details = { free_mb: free, limit_mb: config.minFreeMb };
+    return low.length > 0
+      ? result('disk_space', 'fail', `Low disk space: ${low.join(', ')} (limit ${config.minFreeMb} MB)`, details)
+      : result('disk_space', 'ok', `Free: ${Object.keys(free).map(dir => `${dir} ${free[dir]} MB`).join(', ')}`, details);
+  }
+};
+
+/**
+ * Run every check
+ *
+ * @returns {{status: string, checked_at: string, checks: Array<{name, status, message}>}}
+ */
+function runHealthChecks(options = {}) {
+  const config = resolveConfig(options);
+  const context = {};
+
+  const checks = Object.keys(CHECKS).map(name => {
+    try {
+      return CHECKS[name](config, context);
+    } catch (error) {
+      return result(name, 'fail', error.message);
+    }
+  });
+
+  const worst = Math.max(...checks.map(check => HEALTH_STATUSES.indexOf(check.status)));
+  return {
+    status: HEALTH_STATUSES[worst],
+    checked_at: config.now().toISOString(),
+    checks
+  };
+}
+
+module.exports = { runHealthChecks, DEFAULT_LIMITS, HEALTH_STATUSES };
+
+// Main execution
+if (require.main === module) {
+  const args = require('minimist')(process.argv.slice(2), {
+    string: ['root'],
+    number: ['stale-minutes', 'max-pending', 'min-free-mb'],
+    boolean: ['json'],
+    default: {
+      'stale-minutes': DEFAULT_LIMITS.staleMinutes,
+      'max-pending': DEFAULT_LIMITS.maxPending,
+      'min-free-mb': DEFAULT_LIMITS.minFreeMb
+    }
+  });
+
+  const health = runHealthChecks({
+    ...(args.root ? { rootDir: path.resolve(args.root) } : {}),
+    staleMinutes: args['stale-minutes'],
+    maxPending: args['max-pending'],
+    minFreeMb: args['min-free-mb']
+  });
+
+  if (args.json) {
+    console.log(JSON.stringify(health, null, 2));
+  } else {
+    const icons = { ok: '✅', warn: '⚠️ ', fail: '❌' };
+    health.checks.forEach(check => console.log(`${icons[check.status]} ${check.name}: ${check.message}`));
+    console.log(`${icons[health.status]} Health: ${health.status}`);
+  }
+
+  process.exit(health.status === 'fail' ? 1 : 0);
+}
@@ -0,0 +1,117 @@
+/**
+ * Live Feed
+ * Watches parkir-data.json and streams changed locations to connected
+ * browsers over Server-Sent Events (GET /api/stream on the ingestion server)
+ */
+
+const fs = require('fs');
+
+const HEARTBEAT_INTERVAL = 25 * 1000; // keep idle proxies from closing the stream
+
+/**
+ * Locations whose content differs between two data snapshots
+ *
+ * @returns {Array<Object>} the changed (or new) locations from `after`
+ */
+function diffLocations(before, after) {
+  const previous = new Map((before?.locations || []).map(location => [location.id, JSON.stringify(location)]));
+
+  return (after?.locations || []).filter(location => previous.get(location.id) !== JSON.stringify(location));
+}
+
+class LiveFeed {
+  /**
+   * @param {Object} config
+   * @param {string} config.dataPath - file to watch
+   * @param {number} config.watchInterval - polling interval of the watcher in ms
+   */
+  constructor({ dataPath, watchInterval = 1000 }) {
+    this.dataPath = dataPath;
+    this.watchInterval = watchInterval;
+    this.clients = new Set();
+    this.snapshot = null;
+    this.heartbeat = null;
+    this.onFileChange = () => this.refresh();
+  }
+
+  start() {
+    this.snapshot = this.readData();
+    fs.watchFile(this.dataPath, { interval: this.watchInterval }, this.onFileChange);
+    this.heartbeat = setInterval(() => this.broadcastComment('heartbeat'), HEARTBEAT_INTERVAL);
+  }
+
+  stop() {
+    fs.unwatchFile(this.dataPath, this.onFileChange);
+    clearInterval(this.heartbeat);
+    this.clients.forEach(res => res.end());
+    this.clients.clear();
+  }
+
+  /**
+   * Current data, or null while the file is missing or half written
+   */
+  readData() {
+    try {
+      return JSON.parse(fs.readFileSync(this.dataPath, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Register an SSE client and send it the full current data
+   */
+  subscribe(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${5 * 1000}\n\n`);
+
+    this.clients.add(res);
+    req.on('close', () => this.clients.delete(res));
+
+    if (this.snapshot) {
+      this.send(res, 'snapshot', this.snapshot);
+    }
+  }
+
+  /**
+   * Re-read the data file and push the locations that changed
+   */
+  refresh() {
+    const data = this.readData();
+    if (!data || !Array.isArray(data.locations)) {
+      return [];
+    }
+
+    const changed = diffLocations(this.snapshot, data);
+    this.snapshot = data;
+
+    if (changed.length > 0) {
+      this.broadcast('locations', {
+        last_updated: data.metadata?.last_updated || null,
+        statistics: data.statistics || null,
+        locations: changed
+      });
+    }
+
+    return changed;
+  }
+
+  send(res, event, payload) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+  }
+
+  broadcast(event, payload) {
+    this.clients.forEach(res => this.send(res, event, payload));
+  }
+
+  broadcastComment(text) {
+    this.clients.forEach(res => res.write(`: ${text}\n\n`));
+  }
+}
+
+module.exports = { LiveFeed, diffLocations };
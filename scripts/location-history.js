@@ -0,0 +1,79 @@
+/**
+ * Location History
+ * Publishes one small JSON file per location in the active operation's
+ * folder (data/operations/<slug>/history/<id>.json) with today's availability in 15-minute buckets,
+ * for the sparklines and day charts on index.html:
+ *
+ *   { "location_id": 2, "interval": 15, "from": "...", "to": "...",
+ *     "series": { "mobil": [["2026-04-21T01:00:00.000Z", 40, 80], ...] } }
+ *
+ * Each point is [bucket start, available, total].
+ */
+
+const path = require('path');
+const { jakartaTime, TIMEZONE_OFFSET_MINUTES } = require('./capacity-schedule');
+const { displayName } = require('./location-registry');
+const { writeFileAtomic } = require('./storage');
+
+const MINUTE = 60 * 1000;
+
+// Bucket width of the published points
+const HISTORY_INTERVAL = 15;
+
+// The sparkline shows this much even shortly after midnight
+const SPARKLINE_HOURS = 3;
+
+/**
+ * Start of the local (WIB) day of `now`
+ */
+function startOfJakartaDay(now) {
+  const midnight = new Date(`${jakartaTime(now).date}T00:00:00.000Z`);
+  return new Date(midnight.getTime() - TIMEZONE_OFFSET_MINUTES * MINUTE);
+}
+
+/**
+ * History of every location from the time series
+ *
+ * @returns {Map<number, Object>} history document per location id
+ */
+function buildHistory(data, store, now = new Date()) {
+  const from = new Date(Math.min(startOfJakartaDay(now).getTime(), now.getTime() - SPARKLINE_HOURS * 60 * MINUTE));
+  const documents = new Map();
+
+  (data.locations || []).forEach(location => {
+    documents.set(location.id, {
+      location_id: location.id,
+      location_name: displayName(location),
+      generated_at: now.toISOString(),
+      interval: HISTORY_INTERVAL,
+      from: from.toISOString(),
+      to: now.toISOString(),
+      series: {}
+    });
+  });
+
+  store.buckets(from, now, { interval: HISTORY_INTERVAL }).forEach(({ location_id, type, points }) => {
+    const document = documents.get(location_id);
+    if (document && points.length > 0) {
+      document.series[type] = points.map(point => [point.start, Math.round(point.avg), point.total]);
+    }
+  });
+
+  return documents;
+}
+
+/**
+ * Write <dir>/<id>.json for every location
+ *
+ * @returns {number} files written
+ */
+function publishHistory(data, store, dir, now = new Date()) {
+  const documents = buildHistory(data, store, now);
+  documents.forEach((document, id) => {
+    writeFileAtomic(path.join(dir, `${id}.json`), JSON.stringify(document));
+  });
+
+  return documents.size;
+}
+
+module.exports = { buildHistory, publishHistory, startOfJakartaDay, HISTORY_INTERVAL, SPARKLINE_HOURS };
@@ -0,0 +1,111 @@
+/**
+ * Location Registry
+ * Resolves any location reference (numeric id, display name or alias)
+ * to the canonical location record in parkir-data.json
+ */
+
+const fs = require('fs');
+
+/**
+ * Normalise a name or alias for lookups ("  ex  menara cafe" → "EX MENARA CAFE")
+ */
+function normalizeKey(value) {
+  return String(value).trim().replace(/\s+/g, ' ').toUpperCase();
+}
+
+/**
+ * Display name of a location (legacy files use "name" instead of "nama")
+ */
+function displayName(location) {
+  return location.nama || location.name;
+}
+
+class LocationRegistry {
+  constructor(locations = []) {
+    this.locations = locations;
+    this.byId = new Map();
+    this.byKey = new Map();
+
+    locations.forEach((location, index) => this.register(location, index));
+  }
+
+  static fromData(data) {
+    return new LocationRegistry(Array.isArray(data?.locations) ? data.locations : []);
+  }
+
+  static fromFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+      return new LocationRegistry([]);
+    }
+    return LocationRegistry.fromData(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  }
+
+  /**
+   * Index a location by id, display name and aliases
+   */
+  register(location, index) {
+    const name = displayName(location);
+
+    if (!name) {
+      throw new Error(`Location at index ${index} missing "nama"`);
+    }
+
+    if (location.id !== undefined && location.id !== null) {
+      if (this.byId.has(String(location.id))) {
+        throw new Error(`Duplicate location id: ${location.id}`);
+      }
+      this.byId.set(String(location.id), location);
+    }
+
+    const keys = [name, ...(Array.isArray(location.aliases) ? location.aliases : [])];
+
+    keys.forEach(key => {
+      const normalized = normalizeKey(key);
+      const existing = this.byKey.get(normalized);
+
+      if (existing && existing !== location) {
+        throw new Error(`Location name or alias "${key}" is used by both ${displayName(existing)} and ${name}`);
+      }
+      this.byKey.set(normalized, location);
+    });
+  }
+
+  /**
+   * Find the location for an id, name or alias
+   */
+  resolve(ref) {
+    if (ref === undefined || ref === null || ref === '') {
+      return null;
+    }
+
+    if (typeof ref === 'number' || /^\d+$/.test(String(ref).trim())) {
+      const byId = this.byId.get(String(ref).trim());
+      if (byId) {
+        return byId;
+      }
+    }
+
+    return this.byKey.get(normalizeKey(ref)) || null;
+  }
+
+  /**
+   * Canonical id for a reference (falls back to the name for id-less locations)
+   */
+  resolveId(ref) {
+    const location = this.resolve(ref);
+    if (!location) {
+      return null;
+    }
+    return location.id !== undefined && location.id !== null ? location.id : displayName(location);
+  }
+
+  has(ref) {
+    return this.resolve(ref) !== null;
+  }
+
+  names() {
+    return this.locations.map(displayName);
+  }
+}
+
+module.exports = { LocationRegistry, displayName, normalizeKey };
@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+
+/**
+ * Manage officer accounts for the admin panel
+ *
+ * Usage:
+ *   node scripts/manage-officers.js add --code=P001SEN [--name="Nama"] [--location=SENOPATI ...]
+ *        [--role=officer|supervisor]
+ *   node scripts/manage-officers.js remove --code=P001SEN
+ *   node scripts/manage-officers.js list
+ *
+ * The PIN is read from --pin or the OFFICER_PIN environment variable. Without
+ * --location the officer gets every location whose "petugas" code matches.
+ * Supervisors (--role=supervisor) review the update queues in supervisor.html.
+ */
+
+const path = require('path');
+const { LocationRegistry, displayName, normalizeKey } = require('./location-registry');
+const { OfficerStore } = require('./officer-auth');
+
+const args = require('minimist')(process.argv.slice(2), {
+  string: ['code', 'name', 'pin', 'location', 'officers', 'data', 'role'],
+  default: {
+    role: 'officer',
+    officers: path.resolve(__dirname, '../data/officers.json'),
+    data: path.resolve(__dirname, '../data/parkir-data.json')
+  }
+});
+
+const command = args._[0];
+
+try {
+  const officersPath = path.resolve(args.officers);
+  const store = OfficerStore.fromFile(officersPath);
+  const registry = LocationRegistry.fromFile(path.resolve(args.data));
+
+  switch (command) {
+    case 'add': {
+      const refs = [].concat(args.location || []);
+      const locations = refs.length > 0
+        ? refs.map(ref => {
+          const location = registry.resolve(ref);
+          if (!location) {
+            throw new Error(`Location ${ref} not found`);
+          }
+          return location;
+        })
+        : registry.locations.filter(location => location.petugas && normalizeKey(location.petugas) === normalizeKey(args.code));
+
+      const officer = store.upsert({
+        code: args.code,
+        name: args.name,
+        pin: args.pin || process.env.OFFICER_PIN,
+        locations: locations.map(location => location.id),
+        role: args.role
+      });
+      store.save(officersPath);
+
+      console.log(`✅ Saved ${officer.role} ${officer.code}${locations.length > 0 ? ` for ${locations.map(displayName).join(', ')}` : ''}`);
+      break;
+    }
+
+    case 'remove':
+      if (!store.remove(args.code)) {
+        throw new Error(`Officer ${args.code} not found`);
+      }
+      store.save(officersPath);
+      console.log(`🗑️  Removed officer ${args.code}`);
+      break;
+
+    case 'list':
+      if (store.officers.length === 0) {
+        console.log('No officers registered');
+      }
+      store.officers.forEach(officer => {
+        const names = officer.locations.map(id => {
+          const location = registry.resolve(id);
+          return location ? displayName(location) : `#${id}`;
+        });
+        const icon = officer.role === 'supervisor' ? '🧑‍⚖️' : '👮';
+        console.log(`${icon} ${officer.code}${officer.name ? ` (${officer.name})` : ''}: ${names.join(', ') || 'all locations'}`);
+      });
+      break;
+
+    default:
+      throw new Error('Usage: manage-officers.js add|remove|list');
+  }
+
+} catch (error) {
+  console.error('❌', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+
+/**
+ * Manage operations (Ops Ketupat, Nataru, big events)
+ *
+ * Usage:
+ *   node scripts/manage-operations.js list
+ *   node scripts/manage-operations.js create --slug=nataru-2026 --name="Operasi Lilin Progo 2026"
+ *        --start=2026-12-23 --end=2027-01-02 [--from=ketupat-progo-2026] [--label="23 Des - 2 Jan"]
+ *   node scripts/manage-operations.js activate --slug=nataru-2026
+ *   node scripts/manage-operations.js init --slug=ketupat-progo-2026 --start=2026-04-20 --end=2026-04-26
+ *
+ * create copies the location set of --from (default: the active operation)
+ * with every space free. init registers data from before operations existed.
+ */
+
+const path = require('path');
+const { OperationStore } = require('./operations');
+
+const args = require('minimist')(process.argv.slice(2), {
+  string: ['slug', 'name', 'start', 'end', 'label', 'from', 'root'],
+  default: {
+    root: path.resolve(__dirname, '..')
+  }
+});
+
+const command = args._[0];
+
+try {
+  const store = new OperationStore({ rootDir: path.resolve(args.root) });
+  const options = { slug: args.slug, name: args.name, start: args.start, end: args.end, label: args.label };
+
+  switch (command) {
+    case 'list': {
+      const operations = store.list();
+      if (operations.length === 0) {
+        console.log('No operations registered (run "init" first)');
+      }
+      operations.forEach(operation => {
+        console.log(`${operation.active ? '▶️ ' : '  '} ${operation.slug}: ${operation.name}, ${operation.period.label} ` +
+          `(${operation.locations ?? '?'} locations)`);
+      });
+      break;
+    }
+
+    case 'create': {
+      const { operation, dropped_schedules: dropped } = store.create({ ...options, from: args.from });
+      console.log(`✅ Created ${operation.slug} (${operation.name}, ${operation.period.label}) from ${operation.cloned_from}`);
+      if (dropped.length > 0) {
+        console.log(`⚠️  Capacity schedules not copied: ${dropped.join(', ')}`);
+      }
+      console.log(`   Activate with: npm run operation -- activate --slug=${operation.slug}`);
+      break;
+    }
+
+    case 'activate': {
+      const { operation, previous } = store.activate(args.slug);
+      if (previous) {
+        console.log(`📦 Archived ${previous} in ${path.relative(process.cwd(), store.archivePath(previous))}`);
+      }
+      console.log(`▶️  ${operation.name} (${operation.period.label}) is now active`);
+      break;
+    }
+
+    case 'init': {
+      const operation = store.init(options);
+      console.log(`✅ Registered current data as ${operation.slug} (${operation.name}, ${operation.period.label})`);
+      break;
+    }
+
+    default:
+      throw new Error('Usage: manage-operations.js list|create|activate|init');
+  }
+
+} catch (error) {
+  console.error('❌', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+
+/**
+ * Migrate parkir-data.json to the current schema version in place
+ *
+ * Usage: node scripts/migrate-data.js [--data=data/parkir-data.json] [--dry-run]
+ */
+
+const path = require('path');
+const { readDataFile, writeDataFile } = require('./data-store');
+const { CURRENT_VERSION } = require('./migrations');
+
+const args = require('minimist')(process.argv.slice(2), {
+  string: ['data'],
+  boolean: ['dry-run'],
+  alias: { d: 'dry-run' },
+  default: {
+    data: path.resolve(__dirname, '../data/parkir-data.json'),
+    'dry-run': false
+  }
+});
+
+try {
+  const dataPath = path.resolve(args.data);
+  const { data, migrations } = readDataFile(dataPath);
+
+  if (migrations.length === 0) {
+    console.log(`✅ ${dataPath} is already at version ${CURRENT_VERSION}`);
+    process.exit(0);
+  }
+
+  migrations.forEach(migration => {
+    console.log(`🔄 ${migration.from} → ${migration.to}: ${migration.description}`);
+  });
+
+  if (args['dry-run']) {
+    console.log('⏭️  Dry-run mode: data file not written');
+    process.exit(0);
+  }
+
+  writeDataFile(dataPath, data);
+  console.log(`💾 Migrated ${dataPath} to version ${CURRENT_VERSION}`);
+
+} catch (error) {
+  console.error('❌ Migration failed:', error.message);
+  process.exit(1);
+}
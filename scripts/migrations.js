@@ -0,0 +1,103 @@
+/**
+ * Data Migrations
+ * Upgrades parkir-data.json step by step based on metadata.version
+ */
+
+const { computeStatistics, VEHICLE_TYPES } = require('./statistics');
+
+const CURRENT_VERSION = '2.0.0';
+
+// Files written before versioning (setup-validator.sh seeds, test data) count as 1.0.0
+const INITIAL_VERSION = '1.0.0';
+
+const MIGRATIONS = [
+  {
+    from: '1.0.0',
+    to: '2.0.0',
+    description: 'Unify statistics block, rename location "name" to "nama", assign missing ids',
+    up(data, { now }) {
+      const oldStats = data.statistics && typeof data.statistics === 'object' ? data.statistics : {};
+      const oldMeta = oldStats.metadata || {};
+
+      data.metadata = data.metadata && typeof data.metadata === 'object' ? data.metadata : {};
+      data.metadata.last_updated = data.metadata.last_updated ||
+        oldMeta.lastUpdated ||
+        oldStats.last_processed ||
+        now.toISOString();
+
+      const locations = Array.isArray(data.locations) ? data.locations : [];
+      let nextId = locations.reduce((max, loc) => Math.max(max, Number.isInteger(loc.id) ? loc.id : 0), 0) + 1;
+
+      locations.forEach(location => {
+        if (!location.nama && location.name) {
+          location.nama = location.name;
+          delete location.name;
+        }
+
+        if (!Number.isInteger(location.id)) {
+          location.id = nextId++;
+        }
+
+        VEHICLE_TYPES.forEach(type => {
+          if (!location[type] || typeof location[type] !== 'object') {
+            location[type] = { total: 0, available: 0 };
+          }
+        });
+      });
+
+      data.metadata.total_locations = locations.length;
+
+      const statistics = {
+        ...computeStatistics(locations),
+        update_count_today: oldStats.update_count_today ?? oldStats.performance?.updateCount ?? 0,
+        last_processed: oldStats.last_processed || null
+      };
+
+      if (oldMeta.validatedAt) {
+        statistics.validation = {
+          validated_at: oldMeta.validatedAt,
+          mode: oldMeta.validationMode || 'unknown',
+          issues_found: oldMeta.issuesFound || 0,
+          fixes_applied: oldMeta.fixesApplied || 0
+        };
+      }
+
+      data.statistics = statistics;
+    }
+  }
+];
+
+/**
+ * Schema version of a data object
+ */
+function getVersion(data) {
+  return data?.metadata?.version || INITIAL_VERSION;
+}
+
+/**
+ * Upgrade data in place to CURRENT_VERSION
+ *
+ * @returns {Array<{from: string, to: string, description: string}>} applied migrations
+ */
+function migrate(data, { now = new Date() } = {}) {
+  const applied = [];
+  let version = getVersion(data);
+
+  while (version !== CURRENT_VERSION) {
+    const migration = MIGRATIONS.find(m => m.from === version);
+    if (!migration) {
+      throw new Error(`No migration path from data version ${version} to ${CURRENT_VERSION}`);
+    }
+
+    migration.up(data, { now });
+    data.metadata = data.metadata || {};
+    data.metadata.version = migration.to;
+
+    applied.push({ from: migration.from, to: migration.to, description: migration.description });
+    version = migration.to;
+  }
+
+  return applied;
+}
+
+module.exports = { migrate, getVersion, CURRENT_VERSION, MIGRATIONS };
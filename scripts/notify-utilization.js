@@ -0,0 +1,361 @@
+#!/usr/bin/env node
+
+/**
+ * Utilization Notifier
+ * Reads the latest validation report and notifies when a location reaches
+ * the utilization threshold, or drops back below it, since the last run.
+ * What was last delivered is kept per transport in a state file, so every
+ * crossing reaches each transport once: a transport that failed is retried
+ * on the next run without resending to the others.
+ *
+ * Usage: node scripts/notify-utilization.js [--report=data/reports/validation-report-latest.json]
+ *        [--state=data/notify-state.json] [--threshold=90] [--dry-run]
+ *
+ * Transports are enabled by environment variables:
+ *   SLACK_WEBHOOK_URL, TEAMS_WEBHOOK_URL, NOTIFY_WEBHOOK_URL,
+ *   TELEGRAM_BOT_TOKEN + TELEGRAM_CHAT_ID (TELEGRAM_API_URL to override the API host)
+ *
+ * The threshold defaults to NOTIFY_THRESHOLD, then the one the report was
+ * validated with.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const { writeJsonAtomic } = require('./storage');
+
+const SEND_TIMEOUT = 10000; // 10 seconds per transport
+
+/**
+ * Compare the report's locations with the last notified state
+ *
+ * @param {Object} report - validation report (details.locations)
+ * @param {Object} state - { locations: { id: { over, utilization, changed_at } } }
+ * @param {Object} options
+ * @param {number} options.threshold - utilization percentage
+ * @returns {{alerts: Array<{kind: string, id, name: string, utilization: number}>, state: Object}}
+ */
+function detectChanges(report, state, { threshold }) {
+  const previous = state?.locations || {};
+  const locations = {};
+  const alerts = [];
+
+  (report.details?.locations || []).forEach(location => {
+    const key = String(location.id ?? location.name);
+    const over = location.utilization >= threshold;
+    const before = previous[key];
+
+    if (over && !before?.over) {
+      alerts.push({ kind: 'crossed', id: location.id, name: location.name, utilization: location.utilization });
+    } else if (!over && before?.over) {
+      alerts.push({ kind: 'recovered', id: location.id, name: location.name, utilization: location.utilization });
+    }
+
+    locations[key] = {
+      name: location.name,
+      over,
+      utilization: location.utilization,
+      changed_at: before && before.over === over ? before.changed_at : report.timestamp
+    };
+  });
+
+  return {
+    alerts,
+    state: { threshold, updated_at: report.timestamp, locations }
+  };
+}
+
+/**
+ * Plain-text title and lines shared by every transport
+ */
+function buildMessage(alerts, { threshold }) {
+  const crossed = alerts.filter(alert => alert.kind === 'crossed');
+  const recovered = alerts.filter(alert => alert.kind === 'recovered');
+  const lines = [
+    ...crossed.map(alert => `🚨 ${alert.name}: ${alert.utilization}% terisi (ambang ${threshold}%)`),
+    ...recovered.map(alert => `✅ ${alert.name}: kembali ${alert.utilization}% terisi`)
+  ];
+
+  const title = crossed.length > 0
+    ? `Parkir hampir penuh di ${crossed.length} lokasi`
+    : `Parkir kembali normal di ${recovered.length} lokasi`;
+
+  return { title, lines, crossed: crossed.length > 0 };
+}
+
+/**
+ * Available transports: a name, the env variables that enable it, and how
+ * to turn a message into a request
+ */
+const TRANSPORTS = {
+  slack: {
+    env: ['SLACK_WEBHOOK_URL'],
+    request: (message, env) => ({
+      url: env.SLACK_WEBHOOK_URL,
+      body: {
+        text: `${message.title}\n${message.lines.join('\n')}`,
+        blocks: [
+          { type: 'header', text: { type: 'plain_text', text: message.title } },
+          { type: 'section', text: { type: 'mrkdwn', text: message.lines.join('\n') } }
+        ]
+      }
+    })
+  },
+
+  teams: {
+    env: ['TEAMS_WEBHOOK_URL'],
+    request: (message, env) => ({
+      url: env.TEAMS_WEBHOOK_URL,
+      body: {
+        '@type': 'MessageCard',
+        '@context': 'https://schema.org/extensions',
+        summary: message.title,
+        themeColor: message.crossed ? 'DC2626' : '16A34A',
+        title: message.title,
+        text: message.lines.join('\n\n')
+      }
+    })
+  },
+
+  webhook: {
+    env: ['NOTIFY_WEBHOOK_URL'],
+    request: (message, env, { alerts, threshold, report }) => ({
+      url: env.NOTIFY_WEBHOOK_URL,
+      body: {
+        event: 'utilization_threshold',
+        threshold,
+        report_timestamp: report.timestamp,
+        title: message.title,
+        alerts
+      }
+    })
+  },
+
+  telegram: {
+    env: ['TELEGRAM_BOT_TOKEN', 'TELEGRAM_CHAT_ID'],
+    request: (message, env) => ({
+      url: `${env.TELEGRAM_API_URL || 'https://api.telegram.org'}/bot${env.TELEGRAM_BOT_TOKEN}/sendMessage`,
+      body: {
+        chat_id: env.TELEGRAM_CHAT_ID,
+        text: `${message.title}\n\n${message.lines.join('\n')}`,
+        disable_web_page_preview: true
+      }
+    })
+  }
+};
+
+/**
+ * Transports whose env variables are all set
+ */
+function enabledTransports(env = process.env) {
+  return Object.keys(TRANSPORTS).filter(name => TRANSPORTS[name].env.every(key => env[key]));
+}
+
+/**
+ * POST a JSON body; resolves with the status code, rejects on non-2xx
+ */
+function postJson(url, body) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const payload = JSON.stringify(body);
+    const client = target.protocol === 'https:' ? https : http;
+
+    const req = client.request(target, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(payload)
+      },
+      timeout: SEND_TIMEOUT
+    }, res => {
+      res.resume();
+      res.on('end', () => {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          resolve(res.statusCode);
+        } else {
+          reject(new Error(`HTTP ${res.statusCode}`));
+        }
+      });
+    });
+
+    req.on('timeout', () => req.destroy(new Error(`Timed out after ${SEND_TIMEOUT}ms`)));
+    req.on('error', reject);
+    req.end(payload);
+  });
+}
+
+/**
+ * Send the alerts through the given transports (default: every enabled one)
+ *
+ * @returns {Promise<Array<{transport: string, ok: boolean, error?: string}>>}
+ */
+async function sendAlerts(alerts, { threshold, report, env = process.env, transports = enabledTransports(env) }) {
+  const message = buildMessage(alerts, { threshold });
+
+  return Promise.all(transports.map(async name => {
+    const { url, body } = TRANSPORTS[name].request(message, env, { alerts, threshold, report });
+    try {
+      await postJson(url, body);
+      return { transport: name, ok: true };
+    } catch (error) {
+      return { transport: name, ok: false, error: error.message };
+    }
+  }));
+}
+
+/**
+ * Last delivered state of one transport. State files from before
+ * per-transport state count for every transport.
+ */
+function transportState(state, name) {
+  return state?.transports?.[name] || (state?.locations ? state : null);
+}
+
+/**
+ * Send one transport the changes since what it last received
+ *
+ * @returns {Promise<{result: Object|null, alerts: Array, state: Object}>}
+ *   state is what the transport has now received; result is null when
+ *   there was nothing to send
+ */
+async function deliver(name, report, state, { threshold, env }) {
+  const previous = transportState(state, name);
+  const changes = detectChanges(report, previous, { threshold });
+
+  if (changes.alerts.length === 0) {
+    return { result: null, alerts: [], state: changes.state };
+  }
+
+  const [result] = await sendAlerts(changes.alerts, { threshold, report, env, transports: [name] });
+  // Failed deliveries keep the old state so the next run tries again
+  return { result, alerts: changes.alerts, state: result.ok ? changes.state : previous };
+}
+
+/**
+ * What a transport's state decides on: which locations are over the
+ * threshold and since when. updated_at and the utilization figures move on
+ * every run and are left out.
+ */
+function stateKey(state) {
+  return JSON.stringify({
+    threshold: state?.threshold ?? null,
+    locations: Object.entries(state?.locations || {})
+      .map(([key, location]) => [key, location.name, location.over, location.changed_at])
+  });
+}
+
+/**
+ * Read the report, notify every enabled transport of what it has not
+ * received yet and save the new state when it changed
+ *
+ * @returns {Promise<{alerts: Array, results: Array, saved: boolean}>}
+ *   saved is true when every transport is up to date; alerts are not
+ *   marked as sent while no transport is configured
+ */
+async function notify({ reportPath, statePath, threshold, dryRun = false, env = process.env }) {
+  if (!fs.existsSync(reportPath)) {
+    throw new Error(`Validation report not found: ${reportPath}`);
+  }
+
+  const report = JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+  const state = fs.existsSync(statePath) ? JSON.parse(fs.readFileSync(statePath, 'utf8')) : null;
+  const limit = Number(threshold ?? env.NOTIFY_THRESHOLD ?? report.metadata?.config?.threshold);
+
+  if (isNaN(limit)) {
+    throw new Error('No utilization threshold given and none in the report');
+  }
+
+  const transports = enabledTransports(env);
+
+  if (dryRun || transports.length === 0) {
+    // Nothing is delivered, so nothing is marked as notified
+    const pending = transports.length > 0
+      ? transports.flatMap(name => detectChanges(report, transportState(state, name), { threshold: limit }).alerts)
+      : detectChanges(report, state?.locations ? state : null, { threshold: limit }).alerts;
+    return { threshold: limit, alerts: uniqueAlerts(pending), results: [], saved: false };
+  }
+
+  const deliveries = await Promise.all(transports.map(name => deliver(name, report, state, { threshold: limit, env })));
+  const results = deliveries.map(delivery => delivery.result).filter(Boolean);
+  const updated = Object.fromEntries(transports.map((name, index) => [name, deliveries[index].state]));
+
+  // The state file is committed by the workflow, so an unchanged state is not rewritten
+  if (transports.some(name => stateKey(transportState(state, name)) !== stateKey(updated[name]))) {
+    writeJsonAtomic(statePath, {
+      threshold: limit,
+      updated_at: report.timestamp,
+      transports: { ...state?.transports, ...updated }
+    });
+  }
+
+  return {
+    threshold: limit,
+    alerts: uniqueAlerts(deliveries.flatMap(delivery => delivery.alerts)),
+    results,
+    saved: results.every(result => result.ok)
+  };
+}
+
+// The same crossing pending for several transports is listed once
+function uniqueAlerts(alerts) {
+  const seen = new Set();
+  return alerts.filter(alert => {
+    const key = `${alert.kind}:${alert.id ?? alert.name}`;
+    return seen.has(key) ? false : seen.add(key);
+  });
+}
+
+module.exports = { notify, detectChanges, buildMessage, sendAlerts, enabledTransports, TRANSPORTS };
+
+// Main execution
+if (require.main === module) (async () => {
+  const args = require('minimist')(process.argv.slice(2), {
+    string: ['report', 'state', 'threshold'],
+    boolean: ['dry-run'],
+    default: {
+      report: path.resolve(__dirname, '../data/reports/validation-report-latest.json'),
+      state: path.resolve(__dirname, '../data/notify-state.json'),
+      'dry-run': false
+    }
+  });
+
+  try {
+    const result = await notify({
+      reportPath: path.resolve(args.report),
+      statePath: path.resolve(args.state),
+      threshold: args.threshold,
+      dryRun: args['dry-run']
+    });
+
+    if (result.alerts.length === 0) {
+      console.log(`✅ No threshold crossings (${result.threshold}%)`);
+    }
+    result.alerts.forEach(alert => {
+      console.log(`${alert.kind === 'crossed' ? '🚨' : '✅'} ${alert.name}: ${alert.utilization}% (${alert.kind})`);
+    });
+
+    if (args['dry-run']) {
+      console.log('⏭️  Dry-run mode: nothing sent, state not saved');
+    } else if (result.alerts.length > 0 && result.results.length === 0) {
+      console.warn('⚠️  No transports configured (SLACK_WEBHOOK_URL, TEAMS_WEBHOOK_URL, NOTIFY_WEBHOOK_URL, TELEGRAM_BOT_TOKEN)');
+    }
+
+    result.results.forEach(entry => {
+      if (entry.ok) {
+        console.log(`📨 Sent via ${entry.transport}`);
+      } else {
+        console.error(`❌ ${entry.transport} failed: ${entry.error}`);
+      }
+    });
+
+    // No transport configured is a setup warning, a failed transport an error
+    if (result.results.some(entry => !entry.ok)) {
+      process.exit(1);
+    }
+
+  } catch (error) {
+    console.error('❌ Notification failed:', error.message);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,252 @@
+/**
+ * Officer Authentication
+ * Officer accounts (PIN hashed with scrypt) kept server-side in
+ * data/officers.json, and signed session tokens bound to the officer's
+ * assigned locations. Accounts with role "supervisor" may also review the
+ * update queues (supervisor.html). Failed logins are throttled per officer
+ * code and per client address (LoginThrottle).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { normalizeKey } = require('./location-registry');
+const { writeJsonAtomic } = require('./storage');
+
+const HASH_PREFIX = 'scrypt';
+const KEY_LENGTH = 32;
+const MIN_SECRET_LENGTH = 6;
+const DEFAULT_TOKEN_TTL = 8 * 60 * 60 * 1000; // 8 hours, same as the panel session
+const ROLES = ['officer', 'supervisor'];
+
+const LOGIN_LIMITS = {
+  maxFailuresPerCode: 5,       // wrong PINs for one officer code before it is locked
+  maxFailuresPerAddress: 20,   // wrong logins from one address, over all codes
+  lockoutMs: 60 * 1000,        // first lockout; doubles with every further failure
+  maxLockoutMs: 60 * 60 * 1000,
+  windowMs: 15 * 60 * 1000     // failures older than this are forgotten
+};
+
+/**
+ * Hash a PIN or passphrase as "scrypt$<salt>$<hash>"
+ */
+function hashSecret(secret, salt = crypto.randomBytes(16).toString('hex')) {
+  if (typeof secret !== 'string' || secret.length < MIN_SECRET_LENGTH) {
+    throw new Error(`PIN must be at least ${MIN_SECRET_LENGTH} characters`);
+  }
+  const hash = crypto.scryptSync(secret, salt, KEY_LENGTH).toString('hex');
+  return `${HASH_PREFIX}$${salt}$${hash}`;
+}
+
+/**
+ * Check a PIN against a stored hash in constant time
+ */
+function verifySecret(secret, stored) {
+  const [prefix, salt, hash] = (stored || '').split('$');
+  if (prefix !== HASH_PREFIX || !salt || !hash || typeof secret !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(secret, salt, expected.length);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function base64url(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+function sign(body, secret) {
+  return crypto.createHmac('sha256', secret).update(body).digest('base64url');
+}
+
+/**
+ * Create a signed session token "<payload>.<signature>"
+ *
+ * @param {{sub: string, role?: string, locations: Array<number>}} claims
+ */
+function signToken(claims, secret, { now = new Date(), ttl = DEFAULT_TOKEN_TTL } = {}) {
+  const payload = {
+    ...claims,
+    iat: now.getTime(),
+    exp: now.getTime() + ttl
+  };
+  const body = base64url(JSON.stringify(payload));
+  return `${body}.${sign(body, secret)}`;
+}
+
+/**
+ * Verify a session token
+ *
+ * @returns {Object|null} the claims, or null when tampered with or expired
+ */
+function verifyToken(token, secret, { now = new Date() } = {}) {
+  const [body, signature, extra] = (token || '').split('.');
+  if (!body || !signature || extra !== undefined) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(body, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+
+  if (!payload.sub || !Array.isArray(payload.locations) || !(payload.exp > now.getTime())) {
+    return null;
+  }
+
+  return payload;
+}
+
+class OfficerStore {
+  /**
+   * @param {Array<{code: string, name?: string, role?: string, pin_hash: string, locations: Array<number>}>} officers
+   *   accounts without a role are officers
+   */
+  constructor(officers = []) {
+    this.officers = officers;
+  }
+
+  static fromFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+      return new OfficerStore([]);
+    }
+    const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return new OfficerStore(Array.isArray(parsed.officers) ? parsed.officers : []);
+  }
+
+  save(filePath) {
+    writeJsonAtomic(filePath, { officers: this.officers });
+  }
+
+  find(code) {
+    const key = normalizeKey(code);
+    return this.officers.find(officer => normalizeKey(officer.code) === key) || null;
+  }
+
+  /**
+   * Add or replace an account. Supervisors review every location, so they
+   * do not need assigned locations.
+   */
+  upsert({ code, name, pin, locations, role = 'officer' }) {
+    if (!code || !code.toString().trim()) {
+      throw new Error('Officer code is required');
+    }
+    if (!ROLES.includes(role)) {
+      throw new Error(`Invalid role "${role}" (expected one of: ${ROLES.join(', ')})`);
+    }
+    if (!Array.isArray(locations) || (locations.length === 0 && role !== 'supervisor')) {
+      throw new Error(`Officer ${code} has no assigned locations`);
+    }
+
+    const officer = {
+      code: code.toString().trim().toUpperCase(),
+      name: name || null,
+      role,
+      pin_hash: hashSecret(pin),
+      locations
+    };
+
+    this.officers = this.officers.filter(existing => normalizeKey(existing.code) !== normalizeKey(code));
+    this.officers.push(officer);
+    return officer;
+  }
+
+  remove(code) {
+    const before = this.officers.length;
+    this.officers = this.officers.filter(officer => normalizeKey(officer.code) !== normalizeKey(code));
+    return this.officers.length < before;
+  }
+
+  /**
+   * @returns {Object|null} the officer when code and PIN match
+   */
+  authenticate(code, pin) {
+    const officer = this.find(code);
+    return officer && verifySecret(pin, officer.pin_hash) ? officer : null;
+  }
+}
+
+/**
+ * Failed-login counters per officer code and per client address, kept in
+ * memory by the ingestion server. Past the limit a key is locked out, for
+ * lockoutMs doubling with each further failure up to maxLockoutMs, so
+ * guessing a PIN takes months instead of minutes.
+ */
+class LoginThrottle {
+  /**
+   * @param {Object} limits - see LOGIN_LIMITS
+   * @param {Function} now - clock returning milliseconds
+   */
+  constructor(limits = {}, now = () => Date.now()) {
+    this.limits = { ...LOGIN_LIMITS, ...limits };
+    this.now = now;
+    this.entries = new Map();
+  }
+
+  keys(code, address) {
+    return [
+      [`code:${normalizeKey(code)}`, this.limits.maxFailuresPerCode],
+      [`address:${address || 'unknown'}`, this.limits.maxFailuresPerAddress]
+    ];
+  }
+
+  /**
+   * @returns {number} milliseconds until a login for this code from this
+   *   address is allowed again (0 = allowed now)
+   */
+  retryAfter(code, address) {
+    const now = this.now();
+    return Math.max(0, ...this.keys(code, address).map(([key]) => (this.entries.get(key)?.lockedUntil || 0) - now));
+  }
+
+  recordFailure(code, address) {
+    const now = this.now();
+    this.prune(now);
+
+    this.keys(code, address).forEach(([key, maxFailures]) => {
+      const entry = this.entries.get(key);
+      const failures = entry && now - entry.lastFailure <= this.limits.windowMs ? entry.failures + 1 : 1;
+      const lockedUntil = failures >= maxFailures
+        ? now + Math.min(this.limits.maxLockoutMs, this.limits.lockoutMs * 2 ** (failures - maxFailures))
+        : 0;
+
+      this.entries.set(key, { failures, lastFailure: now, lockedUntil });
+    });
+  }
+
+  /**
+   * A right PIN clears the code's failures; the address keeps its count
+   */
+  recordSuccess(code) {
+    this.entries.delete(`code:${normalizeKey(code)}`);
+  }
+
+  // Forget keys whose failures expired and that are no longer locked
+  prune(now) {
+    this.entries.forEach((entry, key) => {
+      if (now - entry.lastFailure > this.limits.windowMs && entry.lockedUntil <= now) {
+        this.entries.delete(key);
+      }
+    });
+  }
+}
+
+module.exports = {
+  OfficerStore,
+  LoginThrottle,
+  LOGIN_LIMITS,
+  hashSecret,
+  verifySecret,
+  signToken,
+  verifyToken,
+  DEFAULT_TOKEN_TTL,
+  ROLES
+};
@@ -0,0 +1,55 @@
+/**
+ * Operation Paths
+ * Where the stores of an operation live. Each operation keeps its own event
+ * log, review queues, received ids, time series, chart history and backups
+ * in data/operations/<slug>/, so activating another operation starts from
+ * empty stores and a replay, a review or a restore never reaches into the
+ * previous operation's. Data from before operations existed keeps its
+ * stores directly in data/.
+ *
+ * data/parkir-data.json and data/pending-updates.json stay shared: the live
+ * file of the active operation, and a queue that must be empty to switch.
+ */
+
+const path = require('path');
+const { readJson } = require('./storage');
+
+/**
+ * Store paths of an operation folder (or of data/ before operations existed)
+ */
+function storePaths(dir) {
+  return {
+    archiveDir: path.join(dir, 'updates/archive'),
+    conflictsPath: path.join(dir, 'updates/conflicts.json'),
+    quarantinePath: path.join(dir, 'updates/quarantine.json'),
+    deadLetterPath: path.join(dir, 'updates/dead-letter.json'),
+    invalidDir: path.join(dir, 'updates/invalid'),
+    auditPath: path.join(dir, 'updates/audit.jsonl'),
+    receivedIdsPath: path.join(dir, 'updates/received-ids.json'),
+    timeseriesDir: path.join(dir, 'timeseries'),
+    historyDir: path.join(dir, 'history'),
+    backupDir: path.join(dir, 'backups')
+  };
+}
+
+/**
+ * Store paths of the operation active in a data directory. Read on every
+ * call, so long-running processes follow an activation.
+ *
+ * @param {string} dataDir - directory holding parkir-data.json and operations/
+ * @returns {Object} slug (null before operations existed), dir and the paths of storePaths
+ */
+function activeStorePaths(dataDir) {
+  const slug = readJson(path.join(dataDir, 'operations/active.json'), null)?.slug || null;
+  const dir = slug ? path.join(dataDir, 'operations', slug) : dataDir;
+  return { slug, dir, ...storePaths(dir) };
+}
+
+/**
+ * activeStorePaths for the data/ directory of a repository checkout
+ */
+function operationPaths(rootDir = path.resolve(__dirname, '..')) {
+  return activeStorePaths(path.join(rootDir, 'data'));
+}
+
+module.exports = { operationPaths, activeStorePaths, storePaths };
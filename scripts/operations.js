@@ -0,0 +1,325 @@
+/**
+ * Operations
+ * Each operation (Ops Ketupat, Nataru, a big event) has its own folder,
+ * data/operations/<slug>/, with operation.json (name and period), the
+ * operation's parkir-data.json and its stores: event log, review queues,
+ * time series, history and backups (see operation-paths.js).
+ * data/operations/active.json points at the active operation; the pages
+ * and the scripts find its name, period and stores from there.
+ *
+ * data/parkir-data.json stays the live file of the active operation. The
+ * copy in the operation's folder is its archive: it is written when
+ * another operation is activated, and restored from when this one is
+ * activated again.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readDataFile, writeDataFile } = require('./data-store');
+const { withLock, writeFileAtomic, writeJsonAtomic, readJson } = require('./storage');
+const { computeStatistics, VEHICLE_TYPES } = require('./statistics');
+const { CURRENT_VERSION } = require('./migrations');
+const { storePaths } = require('./operation-paths');
+
+const SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const MONTHS = ['Januari', 'Februari', 'Maret', 'April', 'Mei', 'Juni', 'Juli',
+  'Agustus', 'September', 'Oktober', 'November', 'Desember'];
+
+// Location fields that describe the place rather than one operation's counts
+const LOCATION_FIELDS = ['id', 'nama', 'aliases', 'alamat', 'koordinat', 'petugas', 'operational_hours'];
+
+/**
+ * Period as shown on the pages, e.g. "20-26 April 2026" or
+ * "24 Desember 2026 - 2 Januari 2027"
+ */
+function formatPeriod(start, end) {
+  const [startYear, startMonth, startDay] = start.split('-').map(Number);
+  const [endYear, endMonth, endDay] = end.split('-').map(Number);
+
+  if (startYear === endYear && startMonth === endMonth) {
+    return `${startDay}-${endDay} ${MONTHS[endMonth - 1]} ${endYear}`;
+  }
+  if (startYear === endYear) {
+    return `${startDay} ${MONTHS[startMonth - 1]} - ${endDay} ${MONTHS[endMonth - 1]} ${endYear}`;
+  }
+  return `${startDay} ${MONTHS[startMonth - 1]} ${startYear} - ${endDay} ${MONTHS[endMonth - 1]} ${endYear}`;
+}
+
+/**
+ * Check and complete the description of an operation
+ *
+ * @returns {{slug: string, name: string, period: {start: string, end: string, label: string}}}
+ */
+function normalizeOperation({ slug, name, start, end, label }) {
+  if (!slug || !SLUG_PATTERN.test(slug)) {
+    throw new Error(`Invalid operation slug "${slug || ''}" (use lowercase letters, digits and dashes)`);
+  }
+  if (!name || !String(name).trim()) {
+    throw new Error('Operation name required');
+  }
+  [start, end].forEach(date => {
+    if (!DATE_PATTERN.test(date || '') || Number.isNaN(Date.parse(date))) {
+      throw new Error(`Invalid date "${date || ''}" (use YYYY-MM-DD)`);
+    }
+  });
+  if (end < start) {
+    throw new Error(`Operation ends (${end}) before it starts (${start})`);
+  }
+
+  return { slug, name: String(name).trim(), period: { start, end, label: label || formatPeriod(start, end) } };
+}
+
+/**
+ * Describe the operation in the data's metadata
+ */
+function applyOperation(data, operation) {
+  data.metadata.operation_name = operation.name;
+  data.metadata.operation_period = operation.period.label;
+  data.metadata.operation = { slug: operation.slug, start: operation.period.start, end: operation.period.end };
+  return data;
+}
+
+/**
+ * A location of a previous operation, ready for a new one: every space
+ * free, open, no notes. Dated capacity schedules belong to the previous
+ * operation and are left out.
+ */
+function cloneLocation(location, now) {
+  const clone = {};
+  LOCATION_FIELDS.forEach(field => {
+    if (location[field] !== undefined) {
+      clone[field] = location[field];
+    }
+  });
+
+  VEHICLE_TYPES.forEach(type => {
+    const total = Math.max(0, location[type]?.total || 0);
+    clone[type] = { total, available: total, last_update: now.toISOString(), updated_by: 'System' };
+  });
+  clone.status = 'open';
+  clone.notes = '';
+
+  return clone;
+}
+
+class OperationStore {
+  /**
+   * @param {Object} config - rootDir, dataPath, pendingPath, operationsDir, now (clock returning a Date)
+   */
+  constructor(config = {}) {
+    const rootDir = config.rootDir || path.resolve(__dirname, '..');
+
+    this.dataPath = config.dataPath || path.join(rootDir, 'data/parkir-data.json');
+    this.pendingPath = config.pendingPath || path.join(rootDir, 'data/pending-updates.json');
+    this.operationsDir = config.operationsDir || path.join(rootDir, 'data/operations');
+    this.activePath = path.join(this.operationsDir, 'active.json');
+    this.now = config.now || (() => new Date());
+  }
+
+  operationPath(slug) {
+    return path.join(this.operationsDir, slug, 'operation.json');
+  }
+
+  archivePath(slug) {
+    return path.join(this.operationsDir, slug, 'parkir-data.json');
+  }
+
+  /**
+   * @returns {Object|null} operation.json of an operation
+   */
+  get(slug) {
+    return SLUG_PATTERN.test(slug || '') ? readJson(this.operationPath(slug), null) : null;
+  }
+
+  /**
+   * @returns {Object|null} the active-operation pointer
+   */
+  active() {
+    return readJson(this.activePath, null);
+  }
+
+  /**
+   * All operations, oldest first
+   *
+   * @returns {Array<Object>} operation.json plus active and locations (count)
+   */
+  list() {
+    if (!fs.existsSync(this.operationsDir)) {
+      return [];
+    }
+
+    const activeSlug = this.active()?.slug;
+    return fs.readdirSync(this.operationsDir)
+      .map(slug => this.get(slug))
+      .filter(Boolean)
+      .sort((a, b) => a.period.start.localeCompare(b.period.start))
+      .map(operation => {
+        const active = operation.slug === activeSlug;
+        const data = readJson(active ? this.dataPath : this.archivePath(operation.slug), null);
+        return { ...operation, active, locations: Array.isArray(data?.locations) ? data.locations.length : null };
+      });
+  }
+
+  /**
+   * Data of an operation: the live file when it is active, its archive otherwise
+   */
+  loadData(slug) {
+    if (!this.get(slug)) {
+      throw new Error(`Operation not found: ${slug}`);
+    }
+    const file = this.active()?.slug === slug ? this.dataPath : this.archivePath(slug);
+    return readDataFile(file, { now: this.now(), recover: false }).data;
+  }
+
+  /**
+   * Register the live data file as an operation and make it the active one.
+   * Used once, for data from before operations existed; the stores kept in
+   * data/ until then move into the operation's folder.
+   */
+  init(options) {
+    // Same lock order as process-updates.js: data, then pending
+    return withLock(this.dataPath, () => withLock(this.pendingPath, () => {
+      if (this.active()) {
+        throw new Error(`Operations already set up (active: ${this.active().slug})`);
+      }
+
+      const { data } = readDataFile(this.dataPath, { now: this.now(), recover: false });
+      const operation = normalizeOperation({
+        ...options,
+        name: options.name || data.metadata.operation_name,
+        label: options.label || data.metadata.operation_period
+      });
+      if (this.get(operation.slug)) {
+        throw new Error(`Operation already exists: ${operation.slug}`);
+      }
+
+      const record = { ...operation, created_at: this.now().toISOString(), cloned_from: null };
+      writeJsonAtomic(this.operationPath(operation.slug), record);
+      writeDataFile(this.dataPath, applyOperation(data, operation));
+      this.adoptStores(operation.slug);
+      this.point(record);
+
+      return record;
+    }));
+  }
+
+  /**
+   * Move the stores of data/ (from before operations existed) into an
+   * operation's folder
+   *
+   * @returns {Array<string>} the stores moved
+   */
+  adoptStores(slug) {
+    const legacy = storePaths(path.dirname(this.dataPath));
+    const target = storePaths(path.join(this.operationsDir, slug));
+
+    return Object.keys(legacy)
+      .filter(key => fs.existsSync(legacy[key]) && !fs.existsSync(target[key]))
+      .map(key => {
+        fs.mkdirSync(path.dirname(target[key]), { recursive: true });
+        fs.renameSync(legacy[key], target[key]);
+        return path.relative(path.dirname(this.dataPath), legacy[key]);
+      });
+  }
+
+  /**
+   * Create an operation with the location set of another one. The new
+   * operation is not activated.
+   *
+   * @param {Object} options - slug, name, start, end, label (optional), from (slug to clone)
+   * @returns {{operation: Object, dropped_schedules: Array<string>}}
+   *   dropped_schedules names the locations whose capacity schedule was not copied
+   */
+  create({ from, ...options }) {
+    const operation = normalizeOperation(options);
+    if (this.get(operation.slug)) {
+      throw new Error(`Operation already exists: ${operation.slug}`);
+    }
+
+    const source = from || this.active()?.slug;
+    if (!source) {
+      throw new Error('No operation to clone locations from (use --from)');
+    }
+
+    const now = this.now();
+    const previous = this.loadData(source);
+    const locations = previous.locations.map(location => cloneLocation(location, now));
+
+    const data = applyOperation({
+      metadata: {
+        last_updated: now.toISOString(),
+        updated_by: 'System',
+        version: CURRENT_VERSION,
+        total_locations: locations.length
+      },
+      statistics: { ...computeStatistics(locations), update_count_today: 0, last_processed: null },
+      locations
+    }, operation);
+
+    const record = { ...operation, created_at: now.toISOString(), cloned_from: source };
+    writeDataFile(this.archivePath(operation.slug), data);
+    writeJsonAtomic(this.operationPath(operation.slug), record);
+
+    return {
+      operation: record,
+      dropped_schedules: previous.locations.filter(location => location.capacity_schedule?.length).map(location => location.nama)
+    };
+  }
+
+  /**
+   * Make an operation the active one: the live data is archived in the
+   * current operation's folder and replaced by the chosen operation's data;
+   * from then on every store is the chosen operation's. Refused while
+   * updates are still pending, so they cannot land in the wrong operation.
+   *
+   * @returns {{operation: Object, previous: string}}
+   */
+  activate(slug) {
+    const operation = this.get(slug);
+    if (!operation) {
+      throw new Error(`Operation not found: ${slug}`);
+    }
+
+    // Same lock order as process-updates.js: data, then pending
+    return withLock(this.dataPath, () => withLock(this.pendingPath, () => {
+      const current = this.active();
+      if (!current && fs.existsSync(this.dataPath)) {
+        throw new Error('The current data is not registered as an operation (run "init" first)');
+      }
+      if (current?.slug === slug) {
+        throw new Error(`Operation ${slug} is already active`);
+      }
+
+      const pending = readJson(this.pendingPath, []);
+      if (pending.length > 0) {
+        throw new Error(`${pending.length} update(s) still pending for ${current ? current.slug : 'the current data'}; process or clear them first`);
+      }
+
+      const { data } = readDataFile(this.archivePath(slug), { now: this.now(), recover: false });
+      if (current) {
+        writeFileAtomic(this.archivePath(current.slug), fs.readFileSync(this.dataPath, 'utf8'));
+      }
+      writeDataFile(this.dataPath, applyOperation(data, operation));
+      this.point(operation);
+
+      return { operation, previous: current?.slug || null };
+    }));
+  }
+
+  /**
+   * Write the active-operation pointer; it repeats name and period so the
+   * pages need only this file
+   */
+  point(operation) {
+    writeJsonAtomic(this.activePath, {
+      slug: operation.slug,
+      name: operation.name,
+      period: operation.period,
+      activated_at: this.now().toISOString()
+    });
+  }
+}
+
+module.exports = { OperationStore, formatPeriod, cloneLocation, SLUG_PATTERN };
@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+
+/**
+ * Query the occupancy time series
+ *
+ * Usage:
+ *   node scripts/query-timeseries.js range   [--location=NGABEAN] [--type=mobil]
+ *   node scripts/query-timeseries.js buckets [--interval=15] [--location=NGABEAN] [--type=mobil|all]
+ *   node scripts/query-timeseries.js peak    [--location=NGABEAN]
+ *
+ * The period is one local day (--date=2026-04-21, default today in WIB) or
+ * --from/--to timestamps. Results are printed as JSON for reports and charts.
+ * The series is the active operation's unless --dir names another.
+ */
+
+const path = require('path');
+const { TimeSeriesStore } = require('./timeseries');
+const { LocationRegistry, displayName } = require('./location-registry');
+const { jakartaTime, TIMEZONE_OFFSET_MINUTES } = require('./capacity-schedule');
+const { VEHICLE_TYPES } = require('./statistics');
+const { activeStorePaths } = require('./operation-paths');
+
+const args = require('minimist')(process.argv.slice(2), {
+  string: ['from', 'to', 'date', 'location', 'type', 'dir', 'data'],
+  default: {
+    interval: 15,
+    data: path.resolve(__dirname, '../data/parkir-data.json')
+  }
+});
+
+const command = args._[0];
+
+function parseTime(value, name) {
+  const time = new Date(value);
+  if (isNaN(time.getTime())) {
+    throw new Error(`Invalid --${name} timestamp: ${value}`);
+  }
+  return time;
+}
+
+/**
+ * [from, to] of the query: a whole WIB day or explicit timestamps
+ */
+function resolvePeriod() {
+  if (args.from || args.to) {
+    const to = args.to ? parseTime(args.to, 'to') : new Date();
+    const from = args.from ? parseTime(args.from, 'from') : new Date(to.getTime() - 24 * 60 * 60 * 1000);
+    return { from, to };
+  }
+
+  const date = args.date || jakartaTime(new Date()).date;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    throw new Error(`Invalid --date: ${date}`);
+  }
+
+  const from = new Date(new Date(`${date}T00:00:00Z`).getTime() - TIMEZONE_OFFSET_MINUTES * 60 * 1000);
+  return { from, to: new Date(from.getTime() + 24 * 60 * 60 * 1000 - 1) };
+}
+
+try {
+  const dir = args.dir ? path.resolve(args.dir) : activeStorePaths(path.dirname(path.resolve(args.data))).timeseriesDir;
+  const store = new TimeSeriesStore({ dir });
+  const registry = LocationRegistry.fromFile(path.resolve(args.data));
+  const { from, to } = resolvePeriod();
+  const filter = {};
+
+  if (args.location) {
+    const location = registry.resolve(args.location);
+    if (!location) {
+      throw new Error(`Location ${args.location} not found`);
+    }
+    filter.locationId = location.id;
+  }
+
+  if (args.type) {
+    if (![...VEHICLE_TYPES, 'all'].includes(args.type)) {
+      throw new Error(`Invalid --type: ${args.type} (${VEHICLE_TYPES.join(', ')} or all)`);
+    }
+    filter.type = args.type;
+  }
+
+  const withName = entry => {
+    const location = registry.resolve(entry.location_id);
+    return { ...entry, location_name: location ? displayName(location) : `#${entry.location_id}` };
+  };
+
+  let result;
+  switch (command) {
+    case 'range':
+      result = store.range(from, to, filter).map(withName);
+      break;
+
+    case 'buckets': {
+      const interval = Number(args.interval);
+      if (!Number.isInteger(interval) || interval <= 0) {
+        throw new Error(`Invalid --interval: ${args.interval}`);
+      }
+      result = store.buckets(from, to, { ...filter, interval }).map(withName);
+      break;
+    }
+
+    case 'peak':
+      result = store.peakHours(from, to, filter).map(withName);
+      break;
+
+    default:
+      throw new Error('Usage: query-timeseries.js range|buckets|peak');
+  }
+
+  console.log(JSON.stringify({ from: from.toISOString(), to: to.toISOString(), [command]: result }, null, 2));
+
+} catch (error) {
+  console.error('❌', error.message);
+  process.exit(1);
+}
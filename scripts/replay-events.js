@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+
+/**
+ * Rebuild parkir-data.json from the event log as of a timestamp
+ *
+ * Usage: node scripts/replay-events.js [--at=2026-04-21T10:00:00Z]
+ *        [--data=data/parkir-data.json] [--archive-dir=<event log of the active operation>]
+ *        [--out=file] [--dry-run]
+ *
+ * Without --out the live data file is replaced. The difference is logged as
+ * replay_rollback events so later replays include the rollback.
+ */
+
+const path = require('path');
+const { readDataFile, writeDataFile } = require('./data-store');
+const { readEvents, appendEvents, replay, rollbackEvents } = require('./event-log');
+const { withLock } = require('./storage');
+const { activeStorePaths } = require('./operation-paths');
+
+const args = require('minimist')(process.argv.slice(2), {
+  string: ['at', 'data', 'archive-dir', 'out'],
+  boolean: ['dry-run'],
+  alias: { d: 'dry-run' },
+  default: {
+    data: path.resolve(__dirname, '../data/parkir-data.json'),
+    'dry-run': false
+  }
+});
+
+/**
+ * Replay under the data file's lock, so no update lands between reading the
+ * live data and writing the rebuilt one (lock order as in process-updates.js:
+ * data, then the event log). The event log is the active operation's unless
+ * --archive-dir names another.
+ */
+function run({ at, now, dataPath, archiveDir: logDir, outPath, dryRun }) {
+  return withLock(dataPath, () => {
+    const archiveDir = logDir || activeStorePaths(path.dirname(dataPath)).archiveDir;
+    const { data } = readDataFile(dataPath, { now });
+    const events = readEvents(archiveDir);
+    const result = replay(data, events, { at: at.toISOString() });
+
+    console.log(`📜 ${events.length} events in log, ${result.applied} up to ${at.toISOString()}`);
+    if (result.last_event) {
+      console.log(`🔢 Last applied event: #${result.last_event.seq} (${result.last_event.location_name}, ${result.last_event.recorded_at})`);
+    }
+
+    if (dryRun) {
+      const available = result.data.statistics.available;
+      console.log(`🚌 Bus ${available.bus} | 🚗 Mobil ${available.mobil} | 🏍️ Motor ${available.motor}`);
+      console.log('⏭️  Dry-run mode: data file not written');
+      return;
+    }
+
+    if (outPath !== dataPath) {
+      writeDataFile(outPath, result.data);
+      console.log(`💾 Replayed state written to ${outPath}`);
+      return;
+    }
+
+    const rollback = appendEvents(archiveDir, rollbackEvents(data, result.data, { now, at: at.toISOString() }));
+    const rebuilt = replay(data, [...events, ...rollback], { at: now.toISOString() }).data;
+
+    writeDataFile(dataPath, rebuilt);
+    console.log(`↩️  Logged ${rollback.length} rollback event(s)`);
+    console.log(`💾 Rebuilt ${dataPath} as of ${at.toISOString()}`);
+  });
+}
+
+try {
+  const now = new Date();
+  const at = args.at ? new Date(args.at) : now;
+
+  if (isNaN(at.getTime())) {
+    throw new Error(`Invalid --at timestamp: ${args.at}`);
+  }
+
+  const dataPath = path.resolve(args.data);
+  run({
+    at,
+    now,
+    dataPath,
+    archiveDir: args['archive-dir'] ? path.resolve(args['archive-dir']) : null,
+    outPath: args.out ? path.resolve(args.out) : dataPath,
+    dryRun: args['dry-run']
+  });
+
+} catch (error) {
+  console.error('❌ Replay failed:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,442 @@
+/**
+ * Review Queue
+ * Lets a supervisor work through updates that did not make it into the
+ * data: waiting (pending), failed processing (failed, kept in
+ * pending-updates.json with an `error`), held by the anomaly rules
+ * (updates/quarantine.json), rejected by validate-updates.js
+ * (updates/invalid/invalid-<ts>.json) or out of retry attempts
+ * (updates/dead-letter.json), all in the active operation's folder (see
+ * operation-paths.js). Open conflicts (updates/conflicts.json, two officers
+ * reporting different counts within minutes) are listed with them.
+ *
+ * Each entry can be approved (optionally edited; approved updates skip the
+ * anomaly rules), re-queued for normal processing, or rejected. A conflict
+ * is resolved instead: it is closed, and a corrected count (if given) goes
+ * to pending as an approved update. Every action is appended to the
+ * operation's updates/audit.jsonl.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { LocationRegistry, displayName } = require('./location-registry');
+const { resolveCapacity } = require('./capacity-schedule');
+const { isUnprocessed, VEHICLE_TYPES, LOCATION_STATUSES } = require('./update-processor');
+const { readJson, writeJsonAtomic, withLock } = require('./storage');
+const { operationPaths } = require('./operation-paths');
+
+const QUEUES = ['pending', 'failed', 'quarantined', 'invalid', 'dead_letter', 'conflicts'];
+const REVIEW_ACTIONS = ['approve', 'reject', 'requeue', 'resolve'];
+
+// Fields a supervisor may change when approving or re-queueing
+const EDITABLE_FIELDS = ['location_id', ...VEHICLE_TYPES, 'location_status', 'closed_reason', 'notes'];
+
+// Bookkeeping of earlier processing attempts, dropped when an entry goes back to pending
+const PROCESSING_FIELDS = [
+  'status', 'error', 'failed_at', 'processed_at', 'anomalies', 'anomaly_score', 'quarantined_at',
+  'flags', 'changes', 'superseded_fields', 'location_name', 'attempts', 'next_retry_at', 'dead_lettered_at'
+];
+
+const MAX_REASON_LENGTH = 500;
+const DEFAULT_AUDIT_LIMIT = 100;
+
+function reviewError(message, statusCode, details = {}) {
+  return Object.assign(new Error(message), { statusCode, ...details });
+}
+
+/**
+ * Stable id of a queue entry: it changes when the entry does, so an action
+ * on an entry someone else already handled fails instead of hitting another
+ */
+function entryId(queue, source, record) {
+  const hash = crypto.createHash('sha256').update(`${source}\n${JSON.stringify(record)}`).digest('hex');
+  return `${queue}-${hash.substring(0, 16)}`;
+}
+
+/**
+ * Problems with an update about to go back to pending, as readable messages
+ */
+function validateUpdate(update, registry, now) {
+  const errors = [];
+  const location = registry.resolve(update.location_id);
+
+  if (!location) {
+    errors.push(`Location ${update.location_id} not found`);
+  }
+  if (!update.petugas_name || typeof update.petugas_name !== 'string') {
+    errors.push('Missing petugas name');
+  }
+
+  const capacity = location ? resolveCapacity(location, now) : null;
+  let valueCount = 0;
+
+  VEHICLE_TYPES.forEach(type => {
+    if (update[type] === undefined) {
+      return;
+    }
+    const value = update[type];
+    if (!Number.isInteger(value) || value < 0) {
+      errors.push(`Invalid ${type} value: ${value}`);
+    } else if (capacity && value > capacity[type]) {
+      errors.push(`${type} value (${value}) exceeds capacity (${capacity[type]})`);
+    } else {
+      valueCount++;
+    }
+  });
+
+  if (update.location_status !== undefined) {
+    if (!LOCATION_STATUSES.includes(update.location_status)) {
+      errors.push(`Invalid location_status: ${update.location_status}`);
+    } else if (update.location_status === 'closed' && !update.closed_reason) {
+      errors.push('Closing a location requires closed_reason');
+    }
+  }
+
+  if (valueCount === 0 && update.location_status === undefined && errors.length === 0) {
+    errors.push('No vehicle data in update');
+  }
+
+  return errors;
+}
+
+/**
+ * A conflict as the update now in the data: the report that was stored last
+ * wins, so corrections keep its officer and are not seen as a new conflict
+ */
+function conflictUpdate(conflict) {
+  const kept = conflict.reports.reduce((latest, report) =>
+    new Date(report.reported_at) > new Date(latest.reported_at) ? report : latest);
+
+  return {
+    location_id: conflict.location_id,
+    location_name: conflict.location_name,
+    petugas_name: kept.officer,
+    [conflict.type]: kept.value,
+    timestamp: kept.reported_at
+  };
+}
+
+class ReviewQueue {
+  /**
+   * @param {Object} config - rootDir, or the individual paths; now (clock returning a Date)
+   */
+  constructor(config = {}) {
+    const rootDir = config.rootDir || path.resolve(__dirname, '..');
+
+    this.rootDir = rootDir;
+    this.overrides = { ...config };
+    delete this.overrides.now;
+
+    this.now = config.now || (() => new Date());
+  }
+
+  /**
+   * Paths, with the queues of the operation active right now so a running
+   * server follows an activation
+   */
+  get config() {
+    const stores = operationPaths(this.rootDir);
+
+    return {
+      dataPath: path.join(this.rootDir, 'data/parkir-data.json'),
+      pendingPath: path.join(this.rootDir, 'data/pending-updates.json'),
+      quarantinePath: stores.quarantinePath,
+      invalidDir: stores.invalidDir,
+      deadLetterPath: stores.deadLetterPath,
+      conflictsPath: stores.conflictsPath,
+      auditPath: stores.auditPath,
+      ...this.overrides
+    };
+  }
+
+  /**
+   * Every entry waiting for review, by queue
+   *
+   * @returns {{pending: Array, failed: Array, quarantined: Array, invalid: Array, dead_letter: Array, conflicts: Array}}
+   *   entries as { id, queue, source, update, errors, since }
+   */
+  list() {
+    const queues = Object.fromEntries(QUEUES.map(queue => [queue, []]));
+    this.entries().forEach(entry => queues[entry.queue].push(this.describe(entry)));
+    return queues;
+  }
+
+  /**
+   * Entries with where they are stored, so an action can remove them
+   */
+  entries() {
+    const entries = [];
+
+    readJson(this.config.pendingPath, []).forEach((record, index) => {
+      if (record.status === 'failed') {
+        entries.push({ queue: 'failed', file: this.config.pendingPath, index, record, update: record, errors: [record.error], since: record.failed_at });
+      } else if (isUnprocessed(record)) {
+        entries.push({ queue: 'pending', file: this.config.pendingPath, index, record, update: record, errors: [], since: record.received_at || record.timestamp });
+      }
+    });
+
+    readJson(this.config.quarantinePath, []).forEach((record, index) => {
+      entries.push({
+        queue: 'quarantined',
+        file: this.config.quarantinePath,
+        index,
+        record,
+        update: record,
+        errors: (record.anomalies || []).map(anomaly => anomaly.reason),
+        since: record.quarantined_at
+      });
+    });
+
+    if (fs.existsSync(this.config.invalidDir)) {
+      fs.readdirSync(this.config.invalidDir)
+        .filter(file => /^invalid-\d+\.json$/.test(file))
+        .sort()
+        .forEach(file => {
+          const filePath = path.join(this.config.invalidDir, file);
+          readJson(filePath, []).forEach((record, index) => {
+            entries.push({ queue: 'invalid', file: filePath, index, record, update: record.original || {}, errors: record.errors || [], since: record.failed_at });
+          });
+        });
+    }
+
+    readJson(this.config.deadLetterPath, []).forEach((record, index) => {
+      entries.push({
+        queue: 'dead_letter',
+        file: this.config.deadLetterPath,
+        index,
+        record,
+        update: record,
+        errors: [record.error],
+        since: record.dead_lettered_at
+      });
+    });
+
+    readJson(this.config.conflictsPath, []).forEach((record, index) => {
+      if (record.status !== 'open') {
+        return;
+      }
+      entries.push({
+        queue: 'conflicts',
+        file: this.config.conflictsPath,
+        index,
+        record,
+        update: conflictUpdate(record),
+        errors: [`Conflicting ${record.type} counts: ${record.reports.map(report => `${report.officer}=${report.value}`).join(', ')}`],
+        since: record.detected_at
+      });
+    });
+
+    return entries.map(entry => ({ ...entry, id: entryId(entry.queue, path.basename(entry.file), entry.record) }));
+  }
+
+  describe(entry) {
+    return {
+      id: entry.id,
+      queue: entry.queue,
+      source: path.relative(this.rootDir, entry.file),
+      update: entry.update,
+      errors: entry.errors.filter(Boolean),
+      since: entry.since || null
+    };
+  }
+
+  /**
+   * Approve, re-queue or reject one entry, or resolve a conflict
+   *
+   * @param {string} id - entry id from list()
+   * @param {string} action - approve | requeue | reject, or resolve for conflicts
+   * @param {Object} options
+   * @param {string} options.supervisor - code of the supervisor acting
+   * @param {Object} options.changes - edited fields (null removes a field), approve/requeue, or
+   *   the corrected count when resolving
+   * @param {string} options.reason - required to reject
+   * @returns {{entry: Object, update: Object|null, audit: Object}}
+   */
+  act(id, action, { supervisor, changes = {}, reason } = {}) {
+    if (!REVIEW_ACTIONS.includes(action)) {
+      throw reviewError(`Unknown action "${action}" (expected one of: ${REVIEW_ACTIONS.join(', ')})`, 400);
+    }
+    if (!supervisor) {
+      throw reviewError('Supervisor is required', 400);
+    }
+
+    // process-updates.js rewrites the queue files while it holds this lock
+    return withLock(this.config.pendingPath, () => this.applyAction(id, action, { supervisor, changes, reason }));
+  }
+
+  applyAction(id, action, { supervisor, changes, reason }) {
+    const entry = this.entries().find(candidate => candidate.id === id);
+    if (!entry) {
+      throw reviewError(`Entry ${id} not found (it may have been handled already)`, 404);
+    }
+
+    if ((entry.queue === 'conflicts') !== (action === 'resolve')) {
+      throw reviewError(entry.queue === 'conflicts'
+        ? 'Conflicts can only be resolved'
+        : 'Only conflicts can be resolved', 400);
+    }
+
+    const now = this.now();
+    const note = reason ? reason.toString().trim().substring(0, MAX_REASON_LENGTH) : null;
+    let update = null;
+
+    if (action === 'resolve') {
+      // The count in the data stays unless the supervisor corrects it
+      if (Object.keys(changes || {}).length > 0) {
+        update = this.prepareUpdate(entry, changes, now);
+        update.approved_by = supervisor;
+        update.approved_at = now.toISOString();
+        const pending = readJson(this.config.pendingPath, []);
+        pending.push(update);
+        writeJsonAtomic(this.config.pendingPath, pending);
+      }
+      this.closeConflict(entry, { supervisor, now, note, update });
+    } else if (action === 'reject') {
+      if (!note) {
+        throw reviewError('Rejecting requires a reason', 400);
+      }
+      this.removeEntry(entry);
+    } else {
+      if (action === 'requeue' && entry.queue === 'pending') {
+        throw reviewError('Entry is already waiting to be processed', 400);
+      }
+
+      update = this.prepareUpdate(entry, changes, now);
+      if (action === 'approve') {
+        update.approved_by = supervisor;
+        update.approved_at = now.toISOString();
+      } else {
+        delete update.approved_by;
+        delete update.approved_at;
+      }
+
+      this.returnToPending(entry, update);
+    }
+
+    const audit = this.appendAudit({
+      at: now.toISOString(),
+      supervisor,
+      action,
+      queue: entry.queue,
+      entry_id: entry.id,
+      location_id: (update || entry.update).location_id ?? null,
+      petugas_name: entry.update.petugas_name ?? null,
+      reason: note,
+      errors: entry.errors.filter(Boolean),
+      before: entry.update,
+      after: update
+    });
+
+    return { entry: this.describe(entry), update, audit };
+  }
+
+  /**
+   * Entry as a fresh pending update with the supervisor's edits applied
+   */
+  prepareUpdate(entry, changes, now) {
+    const unknown = Object.keys(changes || {}).filter(field => !EDITABLE_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      throw reviewError(`Fields cannot be edited: ${unknown.join(', ')}`, 400);
+    }
+
+    const update = { ...entry.update };
+    PROCESSING_FIELDS.forEach(field => delete update[field]);
+
+    Object.entries(changes || {}).forEach(([field, value]) => {
+      if (value === null || value === '') {
+        delete update[field];
+      } else {
+        // The dashboard sends numbers as typed
+        update[field] = VEHICLE_TYPES.includes(field) && !isNaN(Number(value)) ? Number(value) : value;
+      }
+    });
+
+    const registry = LocationRegistry.fromFile(this.config.dataPath);
+    const errors = validateUpdate(update, registry, now);
+    if (errors.length > 0) {
+      throw reviewError(`Update is not valid: ${errors.join(', ')}`, 422, { errors });
+    }
+
+    const location = registry.resolve(update.location_id);
+    update.location_id = location.id ?? displayName(location);
+    update.status = 'pending';
+    return update;
+  }
+
+  /**
+   * Put an update (back) into pending-updates.json in place of its entry
+   */
+  returnToPending(entry, update) {
+    if (entry.file === this.config.pendingPath) {
+      const pending = readJson(this.config.pendingPath, []);
+      pending[entry.index] = update;
+      writeJsonAtomic(this.config.pendingPath, pending);
+      return;
+    }
+
+    this.removeEntry(entry);
+    const pending = readJson(this.config.pendingPath, []);
+    pending.push(update);
+    writeJsonAtomic(this.config.pendingPath, pending);
+  }
+
+  /**
+   * Mark a conflict resolved; it stays in conflicts.json as a record
+   */
+  closeConflict(entry, { supervisor, now, note, update }) {
+    const conflicts = readJson(entry.file, []);
+    conflicts[entry.index] = {
+      ...entry.record,
+      status: 'resolved',
+      resolved_by: supervisor,
+      resolved_at: now.toISOString(),
+      resolution: note,
+      corrected_value: update ? update[entry.record.type] ?? null : null
+    };
+    writeJsonAtomic(entry.file, conflicts);
+  }
+
+  /**
+   * Remove an entry from the file it is stored in; emptied invalid files are deleted
+   */
+  removeEntry(entry) {
+    const records = readJson(entry.file, []);
+    records.splice(entry.index, 1);
+
+    if (records.length === 0 && entry.queue === 'invalid') {
+      fs.unlinkSync(entry.file);
+    } else {
+      writeJsonAtomic(entry.file, records);
+    }
+  }
+
+  appendAudit(record) {
+    fs.mkdirSync(path.dirname(this.config.auditPath), { recursive: true });
+    fs.appendFileSync(this.config.auditPath, JSON.stringify(record) + '\n');
+    return record;
+  }
+
+  /**
+   * Most recent audit records first
+   */
+  readAudit({ limit = DEFAULT_AUDIT_LIMIT } = {}) {
+    if (!fs.existsSync(this.config.auditPath)) {
+      return [];
+    }
+
+    return fs.readFileSync(this.config.auditPath, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map((line, index) => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          throw new Error(`Corrupt audit record in ${path.basename(this.config.auditPath)} line ${index + 1}: ${error.message}`);
+        }
+      })
+      .reverse()
+      .slice(0, limit);
+  }
+}
+
+module.exports = { ReviewQueue, validateUpdate, QUEUES, REVIEW_ACTIONS, EDITABLE_FIELDS };
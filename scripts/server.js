@@ -0,0 +1,629 @@
+#!/usr/bin/env node
+
+/**
+ * Parking Ingestion Server
+ * Receives officer submissions from admin-petugas.html and queues them
+ * in data/pending-updates.json for process-updates.js. Officers log in with
+ * their code and PIN (data/officers.json) and submit with a signed token.
+ * GET /api/stream pushes location changes to index.html as they happen;
+ * GET /healthz reports the checks of health-check.js as JSON.
+ * /api/review lets supervisors approve, re-queue or reject updates that
+ * were held back and resolve conflicting counts (supervisor.html, see
+ * review-queue.js).
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { LocationRegistry, displayName, normalizeKey } = require('./location-registry');
+const { OfficerStore, LoginThrottle, signToken, verifyToken, DEFAULT_TOKEN_TTL } = require('./officer-auth');
+const { LiveFeed } = require('./live-feed');
+const { runHealthChecks } = require('./health-check');
+const { ReviewQueue } = require('./review-queue');
+const { writeJsonAtomic, readJson, withLockAsync } = require('./storage');
+const { resolveCapacity } = require('./capacity-schedule');
+const { operationPaths } = require('./operation-paths');
+
+const VEHICLE_TYPES = ['bus', 'mobil', 'motor'];
+const LOCATION_STATUSES = ['open', 'closed'];
+const MAX_BODY_SIZE = 16 * 1024; // 16 KB
+const MAX_NOTES_LENGTH = 500;
+const MAX_REASON_LENGTH = 200;
+const CLIENT_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+const CLIENT_ID_RETENTION = 7 * 24 * 60 * 60 * 1000; // remember ids for a week
+
+// Files the server may hand out as-is, relative to the repository root
+const STATIC_FILES = {
+  '/': 'index.html',
+  '/index.html': 'index.html',
+  '/admin-petugas.html': 'admin-petugas.html',
+  '/supervisor.html': 'supervisor.html',
+  '/manifest.json': 'manifest.json',
+  '/sw.js': 'sw.js',
+  '/outbox.js': 'outbox.js',
+  '/scripts/capacity-schedule.js': 'scripts/capacity-schedule.js',
+  '/scripts/data-freshness.js': 'scripts/data-freshness.js',
+  '/data/parkir-data.json': 'data/parkir-data.json',
+  '/data/operations/active.json': 'data/operations/active.json'
+};
+
+// Per-location chart history published by process-updates.js, of a given
+// operation or (without one) of the active operation
+const HISTORY_PATH = /^\/data\/(?:operations\/([a-z0-9]+(?:-[a-z0-9]+)*)\/)?history\/(\d+)\.json$/;
+
+// POST /api/review/<entry id>/<action>
+const REVIEW_ACTION_PATH = /^\/api\/review\/([a-z]+-[0-9a-f]{16})\/([a-z]+)$/;
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8'
+};
+
+/**
+ * Convert an admin panel submission into a pending update record
+ */
+function toPendingUpdate(payload, location, receivedAt = new Date()) {
+  const errors = [];
+  const update = {
+    location_id: location.id ?? displayName(location),
+    petugas_name: (payload.petugas || location.petugas || '').toString().trim()
+  };
+
+  if (!update.petugas_name) {
+    errors.push('Missing petugas name');
+  }
+
+  const data = payload.data && typeof payload.data === 'object' ? payload.data : {};
+  const capacity = resolveCapacity(location, receivedAt);
+  let valueCount = 0;
+
+  VEHICLE_TYPES.forEach(type => {
+    if (data[type] === undefined || data[type] === null) {
+      return;
+    }
+
+    const value = Number(data[type]);
+    const total = capacity[type];
+
+    if (!Number.isInteger(value) || value < 0) {
+      errors.push(`Invalid ${type} value`);
+    } else if (value > total) {
+      errors.push(`${type} value (${value}) exceeds capacity (${total})`);
+    } else {
+      update[type] = value;
+      valueCount++;
+    }
+  });
+
+  // Officers can close a site (with a reason) or reopen it
+  if (payload.location_status !== undefined) {
+    const reason = (payload.closed_reason || '').toString().trim().substring(0, MAX_REASON_LENGTH);
+
+    if (!LOCATION_STATUSES.includes(payload.location_status)) {
+      errors.push(`Invalid location_status (use ${LOCATION_STATUSES.join(' or ')})`);
+    } else if (payload.location_status === 'closed' && !reason) {
+      errors.push('Closing a location requires closed_reason');
+    } else {
+      update.location_status = payload.location_status;
+      if (payload.location_status === 'closed') {
+        update.closed_reason = reason;
+      }
+    }
+  }
+
+  if (valueCount === 0 && update.location_status === undefined && errors.length === 0) {
+    errors.push('No vehicle data submitted');
+  }
+
+  if (payload.client_id !== undefined) {
+    if (CLIENT_ID_PATTERN.test(String(payload.client_id))) {
+      update.client_id = String(payload.client_id);
+    } else {
+      errors.push('Invalid client_id (use 8-64 letters, digits, _ or -)');
+    }
+  }
+
+  if (payload.notes) {
+    update.notes = payload.notes.toString().trim().substring(0, MAX_NOTES_LENGTH);
+  }
+
+  const timestamp = payload.timestamp ? new Date(payload.timestamp) : receivedAt;
+  if (isNaN(timestamp.getTime())) {
+    errors.push('Invalid timestamp');
+  } else {
+    update.timestamp = timestamp.toISOString();
+  }
+
+  update.status = 'pending';
+  update.source = 'admin-panel';
+  update.received_at = receivedAt.toISOString();
+
+  return { update, errors };
+}
+
+class IngestionServer {
+  constructor(config = {}) {
+    this.config = {
+      rootDir: path.resolve(__dirname, '..'),
+      dataPath: null,
+      pendingPath: null,
+      officersPath: null,
+      receivedIdsPath: null, // default: the active operation's
+      authSecret: process.env.AUTH_SECRET || null,
+      tokenTtl: DEFAULT_TOKEN_TTL,
+      loginLimits: {},
+      watchInterval: 1000,
+      corsOrigin: '*',
+      ...config
+    };
+
+    this.config.dataPath = this.config.dataPath ||
+      path.join(this.config.rootDir, 'data/parkir-data.json');
+    this.config.pendingPath = this.config.pendingPath ||
+      path.join(this.config.rootDir, 'data/pending-updates.json');
+    this.config.officersPath = this.config.officersPath ||
+      path.join(this.config.rootDir, 'data/officers.json');
+
+    this.loginThrottle = new LoginThrottle(this.config.loginLimits);
+
+    this.reviewQueue = new ReviewQueue({
+      rootDir: this.config.rootDir,
+      dataPath: this.config.dataPath,
+      pendingPath: this.config.pendingPath
+    });
+
+    if (!this.config.authSecret) {
+      // Tokens signed with a random secret stop working when the server restarts
+      console.warn('⚠️  AUTH_SECRET not set, using a random secret for this process');
+      this.config.authSecret = crypto.randomBytes(32).toString('hex');
+    }
+
+    // Serialises every read-modify-write of pending-updates.json
+    this.writeQueue = Promise.resolve();
+
+    // Pushes location changes made by process-updates.js to /api/stream clients
+    this.liveFeed = new LiveFeed({
+      dataPath: this.config.dataPath,
+      watchInterval: this.config.watchInterval
+    });
+
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  listen(port, host) {
+    this.liveFeed.start();
+    return new Promise(resolve => {
+      this.server.listen(port, host, () => resolve(this.server.address()));
+    });
+  }
+
+  close() {
+    this.liveFeed.stop();
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  /**
+   * Route incoming requests
+   */
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    res.setHeader('Access-Control-Allow-Origin', this.config.corsOrigin);
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    try {
+      if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+      }
+
+      if (url.pathname === '/api/login' && req.method === 'POST') {
+        await this.handleLogin(req, res);
+        return;
+      }
+
+      if (url.pathname === '/api/updates' && req.method === 'POST') {
+        await this.handleSubmission(req, res);
+        return;
+      }
+
+      if (url.pathname === '/api/stream' && req.method === 'GET') {
+        this.liveFeed.subscribe(req, res);
+        return;
+      }
+
+      if (url.pathname === '/healthz' && req.method === 'GET') {
+        this.handleHealth(res);
+        return;
+      }
+
+      if (url.pathname === '/api/review' && req.method === 'GET') {
+        this.handleReviewList(req, res);
+        return;
+      }
+
+      if (url.pathname === '/api/review/audit' && req.method === 'GET') {
+        this.handleReviewAudit(req, res, url);
+        return;
+      }
+
+      const review = REVIEW_ACTION_PATH.exec(url.pathname);
+      if (req.method === 'POST' && review) {
+        await this.handleReviewAction(req, res, review[1], review[2]);
+        return;
+      }
+
+      if (req.method === 'GET' && STATIC_FILES[url.pathname]) {
+        this.serveStatic(STATIC_FILES[url.pathname], res);
+        return;
+      }
+
+      const history = HISTORY_PATH.exec(url.pathname);
+      if (req.method === 'GET' && history) {
+        const historyDir = history[1]
+          ? path.join(this.config.rootDir, 'data/operations', history[1], 'history')
+          : operationPaths(this.config.rootDir).historyDir;
+        this.serveStatic(path.relative(this.config.rootDir, path.join(historyDir, `${history[2]}.json`)), res);
+        return;
+      }
+
+      this.sendJson(res, 404, { error: 'Not found' });
+
+    } catch (error) {
+      console.error('❌ Request failed:', error.message);
+      this.sendJson(res, error.statusCode || 500, {
+        accepted: false,
+        errors: [error.statusCode ? error.message : 'Internal server error']
+      });
+    }
+  }
+
+  /**
+   * Same checks as scripts/health-check.js; 503 when any of them fails
+   */
+  handleHealth(res) {
+    const health = runHealthChecks({
+      rootDir: this.config.rootDir,
+      dataPath: this.config.dataPath,
+      pendingPath: this.config.pendingPath
+    });
+    this.sendJson(res, health.status === 'fail' ? 503 : 200, health);
+  }
+
+  /**
+   * Session of a supervisor, or null after answering 401/403
+   */
+  authorizeSupervisor(req, res) {
+    const session = this.authenticate(req);
+
+    if (!session) {
+      this.sendJson(res, 401, { error: 'Sesi tidak valid, silakan login ulang' });
+      return null;
+    }
+    if (session.role !== 'supervisor') {
+      console.log(`🚫 ${session.sub} is not a supervisor`);
+      this.sendJson(res, 403, { error: `${session.sub} bukan supervisor` });
+      return null;
+    }
+
+    return session;
+  }
+
+  /**
+   * Pending, failed, quarantined and invalid updates with their errors
+   */
+  handleReviewList(req, res) {
+    if (!this.authorizeSupervisor(req, res)) {
+      return;
+    }
+
+    const queues = this.reviewQueue.list();
+    const counts = Object.fromEntries(Object.entries(queues).map(([queue, entries]) => [queue, entries.length]));
+    this.sendJson(res, 200, { counts, queues });
+  }
+
+  handleReviewAudit(req, res, url) {
+    if (!this.authorizeSupervisor(req, res)) {
+      return;
+    }
+
+    const limit = Number(url.searchParams.get('limit')) || undefined;
+    this.sendJson(res, 200, { audit: this.reviewQueue.readAudit({ limit }) });
+  }
+
+  /**
+   * Approve (optionally edited), re-queue or reject one entry, or resolve a conflict
+   */
+  async handleReviewAction(req, res, id, action) {
+    const session = this.authorizeSupervisor(req, res);
+    if (!session) {
+      return;
+    }
+
+    const payload = await this.readJsonBody(req);
+
+    try {
+      // Shares the write queue with submissions so neither loses the other's changes
+      const result = await this.serializeWrite(() => this.reviewQueue.act(id, action, {
+        supervisor: session.sub,
+        changes: payload.changes,
+        reason: payload.reason
+      }));
+
+      console.log(`🧑‍⚖️ ${session.sub}: ${action} ${result.entry.queue} update ${id}`);
+      this.sendJson(res, 200, result);
+    } catch (error) {
+      if (!error.statusCode) {
+        throw error;
+      }
+      this.sendJson(res, error.statusCode, { error: error.message, errors: error.errors || [error.message] });
+    }
+  }
+
+  /**
+   * Exchange an officer code and PIN for a session token
+   */
+  async handleLogin(req, res) {
+    const payload = await this.readJsonBody(req);
+    const code = (payload.petugas || '').toString();
+    const address = req.socket.remoteAddress;
+
+    // Locked codes and addresses are refused before the PIN is checked
+    const retryAfter = this.loginThrottle.retryAfter(code, address);
+    if (retryAfter > 0) {
+      console.log(`⛔ Login for ${code || '(no code)'} from ${address} refused, locked for ${Math.ceil(retryAfter / 1000)}s`);
+      res.setHeader('Retry-After', Math.ceil(retryAfter / 1000));
+      this.sendJson(res, 429, { error: `Terlalu banyak percobaan login. Coba lagi dalam ${Math.ceil(retryAfter / 60000)} menit` });
+      return;
+    }
+
+    const officer = OfficerStore.fromFile(this.config.officersPath)
+      .authenticate(code, (payload.pin ?? '').toString());
+
+    if (!officer) {
+      this.loginThrottle.recordFailure(code, address);
+      console.log(`🔒 Failed login for ${code || '(no code)'} from ${address}`);
+      this.sendJson(res, 401, { error: 'Kode petugas atau PIN salah' });
+      return;
+    }
+    this.loginThrottle.recordSuccess(code);
+
+    const registry = LocationRegistry.fromFile(this.config.dataPath);
+    const locations = officer.locations
+      .map(id => registry.resolve(id))
+      .filter(Boolean)
+      .map(location => ({ id: location.id, nama: displayName(location) }));
+
+    const now = new Date();
+    const role = officer.role || 'officer';
+    const token = signToken(
+      { sub: officer.code, role, locations: locations.map(location => location.id) },
+      this.config.authSecret,
+      { now, ttl: this.config.tokenTtl }
+    );
+
+    console.log(`🔑 ${officer.code} logged in`);
+    this.sendJson(res, 200, {
+      token,
+      petugas: officer.code,
+      name: officer.name || null,
+      role,
+      locations,
+      expires_at: new Date(now.getTime() + this.config.tokenTtl).toISOString()
+    });
+  }
+
+  /**
+   * Claims of the bearer token on a request, or null
+   */
+  authenticate(req) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+    return match ? verifyToken(match[1], this.config.authSecret) : null;
+  }
+
+  /**
+   * Accept one submission from the admin panel
+   */
+  async handleSubmission(req, res) {
+    const session = this.authenticate(req);
+
+    if (!session) {
+      this.sendJson(res, 401, { accepted: false, errors: ['Sesi tidak valid, silakan login ulang'] });
+      return;
+    }
+
+    const payload = await this.readJsonBody(req);
+
+    if (!payload.location) {
+      this.sendJson(res, 400, { accepted: false, errors: ['Missing location'] });
+      return;
+    }
+
+    const location = LocationRegistry.fromFile(this.config.dataPath).resolve(payload.location);
+
+    if (!location) {
+      this.sendJson(res, 404, { accepted: false, errors: ['Location not found'] });
+      return;
+    }
+
+    if (!session.locations.includes(location.id)) {
+      console.log(`🚫 ${session.sub} is not assigned to ${displayName(location)}`);
+      this.sendJson(res, 403, { accepted: false, errors: [`${session.sub} tidak bertugas di ${displayName(location)}`] });
+      return;
+    }
+
+    if (payload.petugas && normalizeKey(payload.petugas) !== normalizeKey(session.sub)) {
+      console.log(`🚫 ${session.sub} tried to submit as ${payload.petugas}`);
+      this.sendJson(res, 403, { accepted: false, errors: ['Kode petugas tidak sesuai dengan sesi login'] });
+      return;
+    }
+
+    const { update, errors } = toPendingUpdate({ ...payload, petugas: session.sub }, location);
+
+    if (errors.length > 0) {
+      console.log(`⚠️  Rejected update for ${displayName(location)}: ${errors.join(', ')}`);
+      this.sendJson(res, 422, { accepted: false, errors });
+      return;
+    }
+
+    const { queueLength, duplicate } = await this.appendPending(update);
+
+    if (duplicate) {
+      console.log(`♻️  Ignored duplicate ${update.client_id} for ${displayName(location)}`);
+      this.sendJson(res, 200, { accepted: true, duplicate: true, update, queue_length: queueLength });
+      return;
+    }
+
+    console.log(`📥 Queued update for ${displayName(location)} from ${update.petugas_name}`);
+    this.sendJson(res, 202, { accepted: true, update, queue_length: queueLength });
+  }
+
+  /**
+   * Append an update to pending-updates.json without losing concurrent writes.
+   * Updates whose client_id was already received are not queued again.
+   *
+   * @returns {Promise<{queueLength: number, duplicate: boolean}>}
+   */
+  appendPending(update) {
+    return this.serializeWrite(() => {
+      const pendingPath = this.config.pendingPath;
+      const pending = readJson(pendingPath, []);
+
+      const receivedIds = update.client_id ? this.readReceivedIds() : null;
+
+      if (receivedIds && (receivedIds[update.client_id] || pending.some(p => p.client_id === update.client_id))) {
+        return { queueLength: pending.length, duplicate: true };
+      }
+
+      pending.push(update);
+      writeJsonAtomic(pendingPath, pending);
+
+      if (receivedIds) {
+        receivedIds[update.client_id] = update.received_at;
+        this.writeReceivedIds(receivedIds, new Date(update.received_at));
+      }
+
+      return { queueLength: pending.length, duplicate: false };
+    });
+  }
+
+  /**
+   * Run a read-modify-write of the queue files after the ones before it,
+   * holding the lock of pending-updates.json against other processes.
+   * Waiting for that lock does not hold up other requests.
+   */
+  serializeWrite(write) {
+    const task = this.writeQueue.then(() => withLockAsync(this.config.pendingPath, write));
+
+    // Keep the queue alive even when one write fails
+    this.writeQueue = task.catch(() => {});
+    return task;
+  }
+
+  /**
+   * client_id → received_at for recently accepted submissions
+   */
+  readReceivedIds() {
+    return readJson(this.receivedIdsPath(), {});
+  }
+
+  writeReceivedIds(receivedIds, now) {
+    const cutoff = now.getTime() - CLIENT_ID_RETENTION;
+    const recent = Object.fromEntries(
+      Object.entries(receivedIds).filter(([, receivedAt]) => new Date(receivedAt).getTime() >= cutoff)
+    );
+
+    writeJsonAtomic(this.receivedIdsPath(), recent);
+  }
+
+  /**
+   * Received ids of the active operation (or the configured file)
+   */
+  receivedIdsPath() {
+    return this.config.receivedIdsPath || operationPaths(this.config.rootDir).receivedIdsPath;
+  }
+
+  readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+      let body = '';
+
+      req.on('data', chunk => {
+        body += chunk;
+        if (body.length > MAX_BODY_SIZE) {
+          reject(Object.assign(new Error('Request body too large'), { statusCode: 413 }));
+          req.destroy();
+        }
+      });
+
+      req.on('end', () => {
+        let payload;
+        try {
+          payload = body ? JSON.parse(body) : {};
+        } catch (error) {
+          reject(Object.assign(new Error('Invalid JSON body'), { statusCode: 400 }));
+          return;
+        }
+
+        // null, arrays and bare values are valid JSON but not a submission
+        if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+          reject(Object.assign(new Error('JSON body must be an object'), { statusCode: 400 }));
+          return;
+        }
+        resolve(payload);
+      });
+
+      req.on('error', reject);
+    });
+  }
+
+  serveStatic(relativePath, res) {
+    const filePath = path.join(this.config.rootDir, relativePath);
+
+    if (!fs.existsSync(filePath)) {
+      this.sendJson(res, 404, { error: 'Not found' });
+      return;
+    }
+
+    res.writeHead(200, {
+      'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream',
+      'Cache-Control': 'no-cache'
+    });
+    fs.createReadStream(filePath).pipe(res);
+  }
+
+  sendJson(res, statusCode, body) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+  }
+}
+
+module.exports = { IngestionServer, toPendingUpdate };
+
+// Main execution
+if (require.main === module) {
+  const args = require('minimist')(process.argv.slice(2), {
+    string: ['host', 'cors-origin', 'officers'],
+    number: ['port'],
+    alias: { p: 'port', h: 'host' },
+    default: {
+      port: Number(process.env.PORT) || 8080,
+      host: process.env.HOST || '0.0.0.0',
+      'cors-origin': process.env.CORS_ORIGIN || '*'
+    }
+  });
+
+  const server = new IngestionServer({
+    corsOrigin: args['cors-origin'],
+    officersPath: args.officers ? path.resolve(args.officers) : null
+  });
+
+  server.listen(args.port, args.host).then(address => {
+    console.log(`🚔 Ingestion server listening on http://${address.address}:${address.port}`);
+    console.log(`📝 Pending updates: ${server.config.pendingPath}`);
+    console.log(`👮 Officer accounts: ${server.config.officersPath}`);
+  });
+}
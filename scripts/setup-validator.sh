@@ -22,17 +22,20 @@ if [ ! -f "data/parkir-data.json" ]; then
     echo "📁 Creating initial data structure..."
     cat > data/parkir-data.json << EOF
 {
-  "locations": [],
+  "metadata": {
+    "version": "2.0.0",
+    "last_updated": "$(date -u +%Y-%m-%dT%H:%M:%SZ)",
+    "updated_by": "setup-validator.sh",
+    "total_locations": 0
+  },
   "statistics": {
     "capacity": { "bus": 0, "mobil": 0, "motor": 0, "total": 0 },
     "available": { "bus": 0, "mobil": 0, "motor": 0, "total": 0 },
-    "utilization": { "bus": "0.0", "mobil": "0.0", "motor": "0.0", "overall": "0.0" },
-    "metadata": {
-      "lastUpdated": "$(date -Iseconds)",
-      "totalLocations": 0,
-      "validationMode": "none"
-    }
-  }
+    "utilization": { "bus": 0, "mobil": 0, "motor": 0, "overall": 0 },
+    "update_count_today": 0,
+    "last_processed": null
+  },
+  "locations": []
 }
 EOF
 fi
@@ -69,4 +72,4 @@ echo "Configuration:"
 echo "  Edit scripts/validate-parking.js for settings"
 echo "  Data file: data/parkir-data.json"
 echo "  Reports: data/reports/"
-echo "  Backups: data/backups/"
+echo "  Backups: data/operations/<slug>/backups/ (active operation)"
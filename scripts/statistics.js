@@ -0,0 +1,49 @@
+/**
+ * Parking Statistics
+ * Computes the capacity/available/utilization figures stored in
+ * parkir-data.json "statistics" (schema version 2.0.0)
+ */
+
+const VEHICLE_TYPES = ['bus', 'mobil', 'motor'];
+
+/**
+ * Utilization in percent, rounded to one decimal
+ */
+function utilizationPercent(total, available) {
+  if (!total || total <= 0) {
+    return 0;
+  }
+  const percent = ((total - available) / total) * 100;
+  return Math.round(Math.min(100, Math.max(0, percent)) * 10) / 10;
+}
+
+/**
+ * Sum capacity and availability over all locations
+ */
+function computeStatistics(locations = []) {
+  const capacity = { bus: 0, mobil: 0, motor: 0, total: 0 };
+  const available = { bus: 0, mobil: 0, motor: 0, total: 0 };
+
+  locations.forEach(location => {
+    VEHICLE_TYPES.forEach(type => {
+      capacity[type] += Math.max(0, location[type]?.total || 0);
+      available[type] += Math.max(0, location[type]?.available || 0);
+    });
+  });
+
+  capacity.total = capacity.bus + capacity.mobil + capacity.motor;
+  available.total = available.bus + available.mobil + available.motor;
+
+  return {
+    capacity,
+    available,
+    utilization: {
+      bus: utilizationPercent(capacity.bus, available.bus),
+      mobil: utilizationPercent(capacity.mobil, available.mobil),
+      motor: utilizationPercent(capacity.motor, available.motor),
+      overall: utilizationPercent(capacity.total, available.total)
+    }
+  };
+}
+
+module.exports = { computeStatistics, utilizationPercent, VEHICLE_TYPES };
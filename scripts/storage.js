@@ -0,0 +1,267 @@
+/**
+ * Storage
+ * Crash-safe file writes shared by every writer of the data files: writes
+ * go to a temp file in the same directory and are renamed into place, so a
+ * reader sees either the old or the new file, never half of one.
+ *
+ * Writers that read, modify and write a file (process-updates.js, the
+ * ingestion server, validators, the review queue) hold an advisory lock:
+ * `<file>.lock`, created exclusively and holding the owner's pid. Locks of
+ * processes that died, or older than staleMs, are taken over.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const LOCK_DEFAULTS = {
+  timeoutMs: 10 * 1000,   // give up waiting for another writer after this long
+  staleMs: 5 * 60 * 1000, // a lock this old is left over from a crash
+  retryMs: 50
+};
+
+// Locks held by this process, by lock path, with how often they were taken
+const heldLocks = new Map();
+
+function sleep(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Write a file through a temp file and rename
+ *
+ * @returns {number} bytes written
+ */
+function writeFileAtomic(filePath, contents) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const tempPath = path.join(
+    path.dirname(filePath),
+    `.${path.basename(filePath)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`
+  );
+
+  try {
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+      fs.writeSync(fd, contents);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+
+  return Buffer.byteLength(contents, 'utf8');
+}
+
+function writeJsonAtomic(filePath, value) {
+  return writeFileAtomic(filePath, JSON.stringify(value, null, 2));
+}
+
+/**
+ * Parse a JSON file; missing and empty files give the fallback
+ */
+function readJson(filePath, fallback) {
+  if (!fs.existsSync(filePath)) {
+    return fallback;
+  }
+  const raw = fs.readFileSync(filePath, 'utf8');
+  return raw.trim() ? JSON.parse(raw) : fallback;
+}
+
+function lockPathFor(filePath) {
+  return `${path.resolve(filePath)}.lock`;
+}
+
+function readLockOwner(lockPath) {
+  try {
+    return JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+  } catch (error) {
+    // Being written or already released
+    return null;
+  }
+}
+
+/**
+ * Whether a lock was left behind: its process is gone, or it is too old
+ */
+function isStale(owner, staleMs, now = Date.now()) {
+  if (!owner) {
+    return false;
+  }
+
+  if (now - new Date(owner.acquired_at).getTime() > staleMs) {
+    return true;
+  }
+
+  if (owner.host === os.hostname()) {
+    try {
+      process.kill(owner.pid, 0);
+    } catch (error) {
+      return error.code === 'ESRCH';
+    }
+  }
+
+  return false;
+}
+
+/**
+ * One attempt at the lock: create it, or take over a stale one
+ *
+ * @returns {Function|null} release, or null while another writer holds it
+ */
+function tryLock(filePath, lockPath, staleMs) {
+  for (;;) {
+    try {
+      const fd = fs.openSync(lockPath, 'wx');
+      fs.writeSync(fd, JSON.stringify({ pid: process.pid, host: os.hostname(), acquired_at: new Date().toISOString() }));
+      fs.closeSync(fd);
+      heldLocks.set(lockPath, 1);
+      return () => releaseLock(lockPath);
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    const owner = readLockOwner(lockPath);
+    if (!isStale(owner, staleMs)) {
+      return null;
+    }
+    console.warn(`⚠️  Removing stale lock on ${path.basename(filePath)} (pid ${owner.pid} since ${owner.acquired_at})`);
+    fs.rmSync(lockPath, { force: true });
+  }
+}
+
+/**
+ * Lock already held by this process: count it again
+ */
+function reenter(lockPath) {
+  if (!heldLocks.has(lockPath)) {
+    return null;
+  }
+  heldLocks.set(lockPath, heldLocks.get(lockPath) + 1);
+  return () => releaseLock(lockPath);
+}
+
+function lockTimeout(filePath, lockPath, timeoutMs) {
+  const owner = readLockOwner(lockPath);
+  const holder = owner ? ` (held by pid ${owner.pid} since ${owner.acquired_at})` : '';
+  return new Error(`Timed out after ${timeoutMs}ms waiting for lock on ${path.basename(filePath)}${holder}`);
+}
+
+/**
+ * Take the advisory lock of a file, waiting up to timeoutMs for its holder.
+ * Locks are re-entrant within a process. The wait blocks the thread; a
+ * server uses acquireLockAsync instead.
+ *
+ * @param {string} filePath - file to lock (the lock is `<file>.lock`)
+ * @param {Object} options - timeoutMs, staleMs, retryMs (see LOCK_DEFAULTS)
+ * @returns {Function} release
+ */
+function acquireLock(filePath, options = {}) {
+  const { timeoutMs, staleMs, retryMs } = { ...LOCK_DEFAULTS, ...options };
+  const lockPath = lockPathFor(filePath);
+  const held = reenter(lockPath);
+  if (held) {
+    return held;
+  }
+
+  fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+  const deadline = Date.now() + timeoutMs;
+
+  for (;;) {
+    const release = tryLock(filePath, lockPath, staleMs);
+    if (release) {
+      return release;
+    }
+    if (Date.now() >= deadline) {
+      throw lockTimeout(filePath, lockPath, timeoutMs);
+    }
+    sleep(retryMs);
+  }
+}
+
+/**
+ * acquireLock that waits with timers, leaving the event loop free
+ *
+ * @returns {Promise<Function>} release
+ */
+async function acquireLockAsync(filePath, options = {}) {
+  const { timeoutMs, staleMs, retryMs } = { ...LOCK_DEFAULTS, ...options };
+  const lockPath = lockPathFor(filePath);
+  const held = reenter(lockPath);
+  if (held) {
+    return held;
+  }
+
+  fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+  const deadline = Date.now() + timeoutMs;
+
+  for (;;) {
+    const release = tryLock(filePath, lockPath, staleMs);
+    if (release) {
+      return release;
+    }
+    if (Date.now() >= deadline) {
+      throw lockTimeout(filePath, lockPath, timeoutMs);
+    }
+    await new Promise(resolve => setTimeout(resolve, retryMs));
+  }
+}
+
+function releaseLock(lockPath) {
+  const count = heldLocks.get(lockPath);
+  if (!count) {
+    return;
+  }
+
+  if (count > 1) {
+    heldLocks.set(lockPath, count - 1);
+    return;
+  }
+
+  heldLocks.delete(lockPath);
+  fs.rmSync(lockPath, { force: true });
+}
+
+/**
+ * Run fn while holding the lock of a file
+ */
+function withLock(filePath, fn, options = {}) {
+  const release = acquireLock(filePath, options);
+  try {
+    return fn();
+  } finally {
+    release();
+  }
+}
+
+/**
+ * Run fn (sync or async) while holding the lock of a file, without
+ * blocking the event loop while waiting for it
+ */
+async function withLockAsync(filePath, fn, options = {}) {
+  const release = await acquireLockAsync(filePath, options);
+  try {
+    return await fn();
+  } finally {
+    release();
+  }
+}
+
+module.exports = {
+  writeFileAtomic,
+  writeJsonAtomic,
+  readJson,
+  acquireLock,
+  acquireLockAsync,
+  withLock,
+  withLockAsync,
+  lockPathFor,
+  LOCK_DEFAULTS
+};
@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+
+const { detectAnomalies, resolveRules } = require('./anomaly-rules');
+const { applyUpdates } = require('./update-processor');
+
+const NOW = new Date('2026-04-21T06:00:00.000Z');
+const CAPACITY = { bus: 0, mobil: 80, motor: 100 };
+
+class AnomalyRulesTester {
+  constructor() {
+    this.testResults = [];
+  }
+
+  createLocation() {
+    return {
+      id: 2,
+      nama: 'NGABEAN',
+      bus: { total: 0, available: 0 },
+      mobil: { total: 80, available: 60, last_update: '2026-04-21T05:55:00.000Z', updated_by: 'P002NGA' },
+      motor: { total: 100, available: 0, last_update: '2026-04-21T05:30:00.000Z', updated_by: 'P002NGA' }
+    };
+  }
+
+  /**
+   * Event-log entries reporting the same mobil count every hour
+   */
+  createHistory(value, hours) {
+    return Array.from({ length: hours }, (_, index) => {
+      const at = new Date(NOW.getTime() - (hours - index) * 60 * 60 * 1000).toISOString();
+      return {
+        seq: index + 1,
+        recorded_at: at,
+        location_id: 2,
+        officer: 'P002NGA',
+        values: { mobil: { previous: value, value, updated_at: at } }
+      };
+    });
+  }
+
+  check(update, options = {}) {
+    const location = options.location || this.createLocation();
+    return detectAnomalies({ location_id: 2, petugas_name: 'P002NGA', ...update }, location, {
+      reportedAt: NOW,
+      capacity: CAPACITY,
+      events: options.events || [],
+      rules: resolveRules(options.rules)
+    });
+  }
+
+  async runAllTests() {
+    console.log('🧪 Running Anomaly Rules Tests\n');
+
+    this.testPlausibleReport();
+    this.testSuddenJump();
+    this.testOverCapacity();
+    this.testStuckValue();
+    this.testFullToEmpty();
+    this.testRuleOverrides();
+    this.testProcessorQuarantine();
+
+    this.printResults();
+  }
+
+  record(test, passed, details) {
+    this.testResults.push({ test, passed, details });
+  }
+
+  testPlausibleReport() {
+    const result = this.check({ mobil: 45, motor: 10 }, { events: this.createHistory(50, 2) });
+
+    this.record(
+      'Plausible reports score zero',
+      result.score === 0 && result.anomalies.length === 0,
+      `score=${result.score}`
+    );
+  }
+
+  testSuddenJump() {
+    const jump = this.check({ mobil: 5 });
+    const location = this.createLocation();
+    location.mobil.last_update = '2026-04-21T05:30:00.000Z';
+    const slow = this.check({ mobil: 5 }, { location });
+
+    this.record(
+      'Jumps of more than N spaces within minutes are caught',
+      jump.anomalies.length === 1 && jump.anomalies[0].rule === 'sudden_jump' &&
+        jump.anomalies[0].reason === 'mobil: changed by 55 spaces (60 → 5) within 5 min' && slow.score === 0,
+      jump.anomalies.map(a => a.reason).join(', ')
+    );
+  }
+
+  testOverCapacity() {
+    const result = this.check({ mobil: 81 });
+
+    this.record(
+      'More available than capacity is caught',
+      result.anomalies.some(a => a.rule === 'over_capacity' && a.type === 'mobil'),
+      result.anomalies.map(a => a.reason).join(', ')
+    );
+  }
+
+  testStuckValue() {
+    const stuck = this.check({ mobil: 60 }, { events: this.createHistory(60, 4) });
+    const changing = this.check({ mobil: 60 }, { events: [...this.createHistory(60, 4).slice(0, 3), ...this.createHistory(58, 1)] });
+
+    this.record(
+      'The same count repeated for hours is caught',
+      stuck.anomalies.length === 1 && stuck.anomalies[0].rule === 'stuck_value' && changing.score === 0,
+      stuck.anomalies.map(a => a.reason).join(', ')
+    );
+  }
+
+  testFullToEmpty() {
+    const result = this.check({ motor: 100 });
+    const gradual = this.check({ motor: 40 });
+
+    this.record(
+      'Full to empty without a transition is caught',
+      result.anomalies.map(a => a.rule).join(',') === 'full_to_empty' && gradual.score === 0,
+      result.anomalies.map(a => a.reason).join(', ')
+    );
+  }
+
+  testRuleOverrides() {
+    const result = this.check({ mobil: 5 }, { rules: { sudden_jump: { maxJump: 60 } } });
+    const disabled = this.check({ mobil: 81 }, { rules: { over_capacity: { enabled: false } } });
+
+    this.record(
+      'Thresholds can be tuned and rules switched off',
+      result.score === 0 && disabled.score === 0,
+      `tuned=${result.score}, disabled=${disabled.score}`
+    );
+  }
+
+  testProcessorQuarantine() {
+    const data = { metadata: {}, statistics: {}, locations: [this.createLocation()] };
+    const report = applyUpdates(data, [
+      { location_id: 2, petugas_name: 'P002NGA', mobil: 5, timestamp: NOW.toISOString() }
+    ], { now: NOW });
+    const heldValue = data.locations[0].mobil.available;
+
+    const approved = applyUpdates(data, [
+      { ...report.quarantined[0], status: 'pending', approved_by: 'SUPERVISOR' }
+    ], { now: NOW });
+
+    this.record(
+      'Anomalous updates are quarantined instead of applied',
+      report.quarantined.length === 1 && report.quarantined[0].status === 'quarantined' &&
+        report.quarantined[0].anomalies[0].rule === 'sudden_jump' && report.events.length === 0 &&
+        report.processed.length === 0 && heldValue === 60,
+      `quarantined=${report.quarantined.length}, mobil=${heldValue}`
+    );
+
+    this.record(
+      'Updates released by a supervisor skip the rules',
+      approved.processed.length === 1 && data.locations[0].mobil.available === 5,
+      `processed=${approved.processed.length}, mobil=${data.locations[0].mobil.available}`
+    );
+  }
+
+  printResults() {
+    console.log('\n' + '='.repeat(60));
+    console.log('ANOMALY RULES TEST RESULTS');
+    console.log('='.repeat(60));
+
+    let passed = 0;
+    let failed = 0;
+
+    this.testResults.forEach((result, index) => {
+      const status = result.passed ? '✅ PASS' : '❌ FAIL';
+      console.log(`${index + 1}. ${status} - ${result.test}`);
+
+      if (result.details) {
+        console.log(`   Details: ${result.details}`);
+      }
+
+      result.passed ? passed++ : failed++;
+    });
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`TOTAL: ${this.testResults.length} tests`);
+    console.log(`PASSED: ${passed}`);
+    console.log(`FAILED: ${failed}`);
+    console.log('='.repeat(60));
+
+    if (failed > 0) {
+      process.exit(1);
+    }
+  }
+}
+
+// Run tests
+(async () => {
+  const tester = new AnomalyRulesTester();
+  await tester.runAllTests();
+})();
@@ -0,0 +1,263 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { IngestionServer } = require('./server');
+const { OfficerStore, LoginThrottle, hashSecret, verifySecret, signToken, verifyToken } = require('./officer-auth');
+
+const SECRET = 'test-secret';
+const NOW = new Date('2026-04-21T03:00:00.000Z');
+
+class AuthTester {
+  constructor() {
+    this.testResults = [];
+    this.workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'parkir-auth-'));
+  }
+
+  async runAllTests() {
+    console.log('🧪 Running Officer Authentication Tests\n');
+
+    this.testPinHashing();
+    this.testTokens();
+    this.testLoginThrottle();
+    await this.testServer();
+    await this.testServerLockout();
+
+    fs.rmSync(this.workDir, { recursive: true, force: true });
+    this.printResults();
+  }
+
+  record(test, passed, details) {
+    this.testResults.push({ test, passed, details });
+  }
+
+  testPinHashing() {
+    const stored = hashSecret('482193');
+
+    this.record(
+      'PIN is stored as a salted hash',
+      stored.startsWith('scrypt$') && !stored.includes('482193') && hashSecret('482193') !== stored,
+      stored.substring(0, 20) + '...'
+    );
+
+    this.record(
+      'PIN verification accepts only the right PIN',
+      verifySecret('482193', stored) && !verifySecret('482194', stored) && !verifySecret('482193', 'plain'),
+      ''
+    );
+  }
+
+  testTokens() {
+    const token = signToken({ sub: 'P001SEN', locations: [1] }, SECRET, { now: NOW, ttl: 60000 });
+    const claims = verifyToken(token, SECRET, { now: NOW });
+    const [body, signature] = token.split('.');
+    const forgedBody = Buffer.from(JSON.stringify({ ...claims, locations: [1, 2] })).toString('base64url');
+
+    this.record(
+      'Token carries officer and locations',
+      claims?.sub === 'P001SEN' && claims.locations.join(',') === '1',
+      JSON.stringify(claims)
+    );
+
+    this.record(
+      'Tampered, foreign and expired tokens are rejected',
+      verifyToken(`${forgedBody}.${signature}`, SECRET, { now: NOW }) === null &&
+        verifyToken(token, 'other-secret', { now: NOW }) === null &&
+        verifyToken(token, SECRET, { now: new Date(NOW.getTime() + 60000) }) === null &&
+        verifyToken(body, SECRET, { now: NOW }) === null,
+      ''
+    );
+  }
+
+  testLoginThrottle() {
+    let clock = NOW.getTime();
+    const throttle = new LoginThrottle({}, () => clock);
+    const fail = (times, code, address = '10.0.0.1') => {
+      for (let i = 0; i < times; i++) {
+        throttle.recordFailure(code, address);
+      }
+    };
+
+    fail(4, 'P001SEN');
+    const beforeLimit = throttle.retryAfter('P001SEN', '10.0.0.1');
+    fail(1, 'p001sen');
+    const first = throttle.retryAfter('P001SEN', '10.0.0.9');
+    clock += first;
+    fail(1, 'P001SEN');
+    const second = throttle.retryAfter('P001SEN', '10.0.0.9');
+    fail(20, 'P001SEN');
+    const capped = throttle.retryAfter('P001SEN', '10.0.0.9');
+
+    clock += 2 * 60 * 60 * 1000;
+    throttle.recordSuccess('P001SEN');
+    // Earlier failures have expired; 20 wrong logins from one address over another code lock the address
+    fail(20, 'P777');
+    const otherCode = throttle.retryAfter('P002NGA', '10.0.0.1');
+    const otherAddress = throttle.retryAfter('P002NGA', '10.0.0.2');
+
+    let shortPin = null;
+    try {
+      hashSecret('4821');
+    } catch (error) {
+      shortPin = error.message;
+    }
+
+    this.record(
+      'Repeated wrong PINs lock the code and the address out, for longer each time',
+      beforeLimit === 0 && first === 60 * 1000 && second === 2 * 60 * 1000 && capped === 60 * 60 * 1000 &&
+        otherCode > 0 && otherAddress === 0 &&
+        shortPin === 'PIN must be at least 6 characters',
+      `first=${first}ms, second=${second}ms, capped=${capped}ms, address=${otherCode}ms; ${shortPin}`
+    );
+  }
+
+  async testServerLockout() {
+    const dataPath = path.join(this.workDir, 'lockout-data.json');
+    const officersPath = path.join(this.workDir, 'lockout-officers.json');
+
+    fs.writeFileSync(dataPath, JSON.stringify({
+      locations: [{ id: 1, nama: 'SENOPATI', petugas: 'P001SEN', bus: { total: 62, available: 62 } }]
+    }));
+    const store = new OfficerStore();
+    store.upsert({ code: 'P001SEN', pin: '482193', locations: [1] });
+    store.save(officersPath);
+
+    const server = new IngestionServer({
+      dataPath,
+      officersPath,
+      pendingPath: path.join(this.workDir, 'lockout-pending.json'),
+      authSecret: SECRET,
+      loginLimits: { maxFailuresPerCode: 3 }
+    });
+    const address = await server.listen(0, '127.0.0.1');
+    const baseUrl = `http://127.0.0.1:${address.port}`;
+
+    try {
+      const wrong = [];
+      for (const pin of ['000000', '000001', '000002']) {
+        wrong.push((await this.request(baseUrl, '/api/login', { petugas: 'P001SEN', pin })).status);
+      }
+      const response = await fetch(`${baseUrl}/api/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ petugas: 'P001SEN', pin: '482193' })
+      });
+      const body = await response.json();
+
+      this.record(
+        'Login is refused with 429 while locked, even with the right PIN',
+        wrong.join(',') === '401,401,401' && response.status === 429 && !body.token &&
+          response.headers.get('retry-after') === '60' && body.error.includes('Coba lagi dalam 1 menit'),
+        `wrong=${wrong.join(',')}, locked=${response.status}, retry-after=${response.headers.get('retry-after')}`
+      );
+    } catch (error) {
+      this.record('Server login lockout', false, error.message);
+    } finally {
+      await server.close();
+    }
+  }
+
+  async request(baseUrl, pathname, body, token) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+    const response = await fetch(`${baseUrl}${pathname}`, { method: 'POST', headers, body: JSON.stringify(body) });
+    return { status: response.status, body: await response.json() };
+  }
+
+  async testServer() {
+    const dataPath = path.join(this.workDir, 'parkir-data.json');
+    const officersPath = path.join(this.workDir, 'officers.json');
+    const pendingPath = path.join(this.workDir, 'pending.json');
+
+    fs.writeFileSync(dataPath, JSON.stringify({
+      locations: [
+        { id: 1, nama: 'SENOPATI', petugas: 'P001SEN', bus: { total: 62, available: 62 } },
+        { id: 2, nama: 'NGABEAN', petugas: 'P002NGA', bus: { total: 60, available: 60 } }
+      ]
+    }));
+
+    const store = new OfficerStore();
+    store.upsert({ code: 'P001SEN', pin: '482193', locations: [1] });
+    store.upsert({ code: 'P002NGA', pin: '917364', locations: [2] });
+    store.save(officersPath);
+
+    const server = new IngestionServer({ dataPath, officersPath, pendingPath, authSecret: SECRET });
+    const address = await server.listen(0, '127.0.0.1');
+    const baseUrl = `http://127.0.0.1:${address.port}`;
+
+    try {
+      const badLogin = await this.request(baseUrl, '/api/login', { petugas: 'P001SEN', pin: '000000' });
+      this.record('Wrong PIN is refused', badLogin.status === 401 && !badLogin.body.token, `status=${badLogin.status}`);
+
+      const login = await this.request(baseUrl, '/api/login', { petugas: 'p001sen', pin: '482193' });
+      this.record(
+        'Login returns a token for the assigned locations',
+        login.status === 200 && login.body.token && login.body.locations.map(l => l.nama).join(',') === 'SENOPATI',
+        `status=${login.status}, locations=${JSON.stringify(login.body.locations)}`
+      );
+
+      const token = login.body.token;
+      const submission = { location: 'SENOPATI', data: { bus: 30 } };
+
+      const anonymous = await this.request(baseUrl, '/api/updates', submission);
+      this.record('Submission without a token is refused', anonymous.status === 401, `status=${anonymous.status}`);
+
+      const otherLocation = await this.request(baseUrl, '/api/updates', { ...submission, location: 'NGABEAN' }, token);
+      this.record('Submission for another location is refused', otherLocation.status === 403, `status=${otherLocation.status}`);
+
+      const impersonation = await this.request(baseUrl, '/api/updates', { ...submission, petugas: 'P002NGA' }, token);
+      this.record('Submission as another officer is refused', impersonation.status === 403, `status=${impersonation.status}`);
+
+      const accepted = await this.request(baseUrl, '/api/updates', { ...submission, petugas: 'P001SEN' }, token);
+      const pending = JSON.parse(fs.readFileSync(pendingPath, 'utf8'));
+      this.record(
+        'Submission is queued under the authenticated officer',
+        accepted.status === 202 && pending.length === 1 && pending[0].petugas_name === 'P001SEN',
+        `status=${accepted.status}, queued=${pending.length}`
+      );
+    } catch (error) {
+      this.record('Server authentication flow', false, error.message);
+    } finally {
+      await server.close();
+    }
+  }
+
+  printResults() {
+    console.log('\n' + '='.repeat(60));
+    console.log('OFFICER AUTHENTICATION TEST RESULTS');
+    console.log('='.repeat(60));
+
+    let passed = 0;
+    let failed = 0;
+
+    this.testResults.forEach((result, index) => {
+      const status = result.passed ? '✅ PASS' : '❌ FAIL';
+      console.log(`${index + 1}. ${status} - ${result.test}`);
+
+      if (result.details) {
+        console.log(`   Details: ${result.details}`);
+      }
+
+      result.passed ? passed++ : failed++;
+    });
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`TOTAL: ${this.testResults.length} tests`);
+    console.log(`PASSED: ${passed}`);
+    console.log(`FAILED: ${failed}`);
+    console.log('='.repeat(60));
+
+    if (failed > 0) {
+      process.exit(1);
+    }
+  }
+}
+
+// Run tests
+(async () => {
+  const tester = new AuthTester();
+  await tester.runAllTests();
+})();
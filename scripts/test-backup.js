@@ -0,0 +1,236 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { BackupManager } = require('./backup-manager');
+const { ParkingDataValidator } = require('./validate-parking');
+const { writeDataFile } = require('./data-store');
+
+const NOW = new Date('2026-04-21T04:00:00.000Z');
+
+class BackupTester {
+  constructor() {
+    this.testResults = [];
+    this.workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'parkir-backup-'));
+    this.sourceData = fs.readFileSync(path.resolve(__dirname, '../data/parkir-data.json'), 'utf8');
+  }
+
+  path(relative) {
+    return path.join(this.workDir, 'root', relative);
+  }
+
+  backupPath(stamp) {
+    return this.path(`data/backups/parkir-data-backup-2026-04-21T${stamp}-00-000Z.json`);
+  }
+
+  /**
+   * Current data plus four backups, oldest first: one edited by hand after
+   * it was written, a good one, a newer good one with changed counts and a
+   * torn one
+   */
+  reset() {
+    fs.rmSync(path.join(this.workDir, 'root'), { recursive: true, force: true });
+    fs.mkdirSync(this.path('data/backups'), { recursive: true });
+
+    const edited = JSON.parse(this.sourceData);
+    writeDataFile(this.backupPath('00-00'), edited);
+    edited.locations[0].mobil.available = 1;
+    fs.writeFileSync(this.backupPath('00-00'), JSON.stringify(edited, null, 2));
+
+    writeDataFile(this.backupPath('01-00'), JSON.parse(this.sourceData));
+
+    const changed = JSON.parse(this.sourceData);
+    changed.locations[0].mobil.available -= 50;
+    changed.locations[1].bus.total += 10;
+    this.removed = changed.locations.pop();
+    writeDataFile(this.backupPath('02-00'), changed);
+
+    fs.writeFileSync(this.backupPath('03-00'), this.sourceData.slice(0, 400));
+
+    fs.writeFileSync(this.path('data/parkir-data.json'), JSON.stringify(changed, null, 2));
+
+    return new BackupManager({ rootDir: path.join(this.workDir, 'root'), now: () => NOW });
+  }
+
+  cli(...args) {
+    return spawnSync('node', [
+      path.join(__dirname, 'validate-parking.js'),
+      'backup',
+      ...args,
+      `--data=${this.path('data/parkir-data.json')}`,
+      `--backup-dir=${this.path('data/backups')}`
+    ], { encoding: 'utf8' });
+  }
+
+  async runAllTests() {
+    console.log('🧪 Running Backup Command Tests\n');
+
+    await this.testList();
+    this.testDiff();
+    this.testVerify();
+    this.testRestore();
+    this.testRestoreRefusesBadBackups();
+
+    fs.rmSync(this.workDir, { recursive: true, force: true });
+    this.printResults();
+  }
+
+  record(test, passed, details) {
+    this.testResults.push({ test, passed, details });
+  }
+
+  async testList() {
+    this.reset();
+    const validator = new ParkingDataValidator({ rootDir: path.join(this.workDir, 'root'), now: () => NOW });
+    await validator.createBackup();
+
+    const manager = new BackupManager({ rootDir: path.join(this.workDir, 'root'), now: () => NOW });
+    const backups = manager.list();
+    const { status, stdout } = this.cli('list');
+    const sourceCount = JSON.parse(this.sourceData).locations.length;
+
+    this.record(
+      'backup list shows the validator\'s backups newest first with their validity',
+      backups.map(backup => `${backup.created_at}:${backup.valid}`).join(',') ===
+        '2026-04-21T04:00:00.000Z:true,2026-04-21T03:00:00.000Z:false,2026-04-21T02:00:00.000Z:true,' +
+        '2026-04-21T01:00:00.000Z:true,2026-04-21T00:00:00.000Z:false' &&
+        validator.results.backup.file === backups[0].file &&
+        backups[2].locations === sourceCount - 1 && backups[3].locations === sourceCount &&
+        status === 0 && stdout.split('\n').filter(Boolean).length === 5 &&
+        stdout.includes('❌ parkir-data-backup-2026-04-21T03-00-00-000Z.json'),
+      backups.map(backup => `${backup.name}=${backup.valid}`).join(', ')
+    );
+  }
+
+  testDiff() {
+    const manager = this.reset();
+    const source = JSON.parse(this.sourceData);
+    const [first, second] = source.locations;
+    const { changes } = manager.diff('parkir-data-backup-2026-04-21T01-00-00-000Z.json', this.backupPath('02-00'));
+    const unchanged = manager.diff(this.backupPath('02-00'), 'current');
+    const { status, stdout } = this.cli('diff', 'parkir-data-backup-2026-04-21T01-00-00-000Z.json', 'current');
+
+    const mobil = first.mobil;
+    const line = `   mobil: available ${mobil.available} → ${mobil.available - 50} (-50), capacity ${mobil.total}`;
+
+    this.record(
+      'backup diff shows availability and capacity changes per location',
+      changes.map(change => `${change.name}:${change.change}:${Object.keys(change.types).join('+')}`).join(',') ===
+        `${first.nama}:changed:mobil,${second.nama}:changed:bus,${this.removed.nama}:removed:` &&
+        changes[1].types.bus.total[1] - changes[1].types.bus.total[0] === 10 &&
+        unchanged.changes.length === 0 &&
+        status === 0 && stdout.includes(line) && stdout.includes(`📍 ${this.removed.nama} (removed)`),
+      changes.map(change => change.name).join(', ')
+    );
+  }
+
+  testVerify() {
+    const manager = this.reset();
+    const results = manager.verify();
+    const failing = this.cli('verify');
+
+    fs.unlinkSync(this.backupPath('00-00'));
+    fs.unlinkSync(this.backupPath('03-00'));
+    const passing = this.cli('verify');
+
+    this.record(
+      'backup verify checks JSON, checksum and schema of every backup',
+      results.map(result => `${result.valid}`).join(',') === 'false,true,true,false' &&
+        results[0].errors[0].startsWith('Invalid JSON format') &&
+        results[3].errors[0] === 'Checksum does not match the contents' &&
+        failing.status === 1 && failing.stdout.includes('2/4 backup(s) valid') &&
+        passing.status === 0 && passing.stdout.includes('2/2 backup(s) valid'),
+      results.map(result => `${result.name}: ${result.errors[0] || 'ok'}`).join('; ')
+    );
+  }
+
+  testRestore() {
+    const manager = this.reset();
+    const before = fs.readFileSync(this.path('data/parkir-data.json'), 'utf8');
+
+    const result = manager.restore('parkir-data-backup-2026-04-21T01-00-00-000Z.json');
+    const restored = JSON.parse(fs.readFileSync(this.path('data/parkir-data.json'), 'utf8'));
+    const safety = fs.readFileSync(result.safety_backup, 'utf8');
+
+    // The safety backup undoes the restore, through the CLI this time
+    const undo = this.cli('restore', path.basename(result.safety_backup));
+    const undone = JSON.parse(fs.readFileSync(this.path('data/parkir-data.json'), 'utf8'));
+
+    this.record(
+      'backup restore saves the current data first, so it can be undone',
+      path.basename(result.safety_backup) === 'parkir-data-backup-2026-04-21T04-00-00-000Z-pre-restore.json' &&
+        safety === before &&
+        restored.locations.length === JSON.parse(this.sourceData).locations.length &&
+        /^sha256:/.test(restored.metadata.checksum) &&
+        undo.status === 0 && undo.stdout.includes('♻️  Restored') &&
+        undone.locations.length === restored.locations.length - 1,
+      `safety=${path.basename(result.safety_backup)}, undo exit=${undo.status}`
+    );
+  }
+
+  testRestoreRefusesBadBackups() {
+    const manager = this.reset();
+    const before = fs.readFileSync(this.path('data/parkir-data.json'), 'utf8');
+    const backupsBefore = fs.readdirSync(this.path('data/backups')).length;
+
+    const errors = ['parkir-data-backup-2026-04-21T03-00-00-000Z.json', 'parkir-data-backup-2026-04-21T00-00-00-000Z.json', 'missing.json']
+      .map(ref => {
+        try {
+          manager.restore(ref);
+          return null;
+        } catch (error) {
+          return error.message;
+        }
+      });
+    const cli = this.cli('restore');
+
+    this.record(
+      'backup restore refuses torn, edited and missing backups without touching the data',
+      errors[0]?.includes('failed verification: Invalid JSON format') &&
+        errors[1]?.includes('failed verification: Checksum does not match the contents') &&
+        errors[2] === 'Backup not found: missing.json' &&
+        cli.status === 1 && cli.stderr.includes('Backup file required') &&
+        fs.readFileSync(this.path('data/parkir-data.json'), 'utf8') === before &&
+        fs.readdirSync(this.path('data/backups')).length === backupsBefore,
+      errors.join(' | ')
+    );
+  }
+
+  printResults() {
+    console.log('\n' + '='.repeat(60));
+    console.log('BACKUP COMMAND TEST RESULTS');
+    console.log('='.repeat(60));
+
+    let passed = 0;
+    let failed = 0;
+
+    this.testResults.forEach((result, index) => {
+      const status = result.passed ? '✅ PASS' : '❌ FAIL';
+      console.log(`${index + 1}. ${status} - ${result.test}`);
+
+      if (result.details) {
+        console.log(`   Details: ${result.details}`);
+      }
+
+      result.passed ? passed++ : failed++;
+    });
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`TOTAL: ${this.testResults.length} tests`);
+    console.log(`PASSED: ${passed}`);
+    console.log(`FAILED: ${failed}`);
+    console.log('='.repeat(60));
+
+    if (failed > 0) {
+      process.exit(1);
+    }
+  }
+}
+
+// Run tests
+(async () => {
+  const tester = new BackupTester();
+  await tester.runAllTests();
+})();
@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+
+const { resolveCapacity, applySchedule, operatingStatus, isWithinHours } = require('./capacity-schedule');
+const { applyUpdates } = require('./update-processor');
+
+class CapacityScheduleTester {
+  constructor() {
+    this.testResults = [];
+  }
+
+  createLocation() {
+    return {
+      id: 10,
+      nama: 'STADION KRIDOSONO',
+      operational_hours: '18:00-24:00',
+      capacity_schedule: [
+        { label: 'Periode 1', from: '2026-04-20', to: '2026-04-22', bus: 0, mobil: 30, motor: 150 },
+        { label: 'Periode 2', from: '2026-04-23', to: '2026-04-26', bus: 0, mobil: 250, motor: 250 }
+      ],
+      bus: { total: 0, available: 0 },
+      mobil: { total: 30, available: 10 },
+      motor: { total: 150, available: 150 }
+    };
+  }
+
+  async runAllTests() {
+    console.log('🧪 Running Capacity Schedule Tests\n');
+
+    this.testWindowInJakartaTime();
+    this.testOutsideWindows();
+    this.testUnscheduledLocation();
+    this.testApplySchedule();
+    this.testOperatingStatus();
+    this.testManualClosure();
+    this.testProcessorFollowsSchedule();
+    this.testProcessorRejectsOverCapacity();
+
+    this.printResults();
+  }
+
+  record(test, passed, details) {
+    this.testResults.push({ test, passed, details });
+  }
+
+  testWindowInJakartaTime() {
+    // 17:30 UTC on the 22nd is already 00:30 WIB on the 23rd
+    const capacity = resolveCapacity(this.createLocation(), new Date('2026-04-22T17:30:00Z'));
+    const evening = resolveCapacity(this.createLocation(), new Date('2026-04-21T12:00:00Z'));
+
+    this.record(
+      'Window is picked by the local date in Asia/Jakarta',
+      capacity.window?.label === 'Periode 2' && capacity.mobil === 250 && !capacity.open &&
+        evening.window?.label === 'Periode 1' && evening.mobil === 30 && evening.open,
+      `window=${capacity.window?.label}, mobil=${capacity.mobil}, evening open=${evening.open}`
+    );
+  }
+
+  testOutsideWindows() {
+    const capacity = resolveCapacity(this.createLocation(), new Date('2026-04-27T12:00:00Z'));
+
+    this.record(
+      'Scheduled location has no capacity outside its windows',
+      capacity.scheduled && capacity.window === null && capacity.mobil === 0 && capacity.motor === 0 && !capacity.open,
+      `mobil=${capacity.mobil}, motor=${capacity.motor}`
+    );
+  }
+
+  testUnscheduledLocation() {
+    const capacity = resolveCapacity({ nama: 'SENOPATI', bus: { total: 62, available: 10 }, mobil: 200 });
+
+    this.record(
+      'Locations without a schedule keep their stored totals',
+      !capacity.scheduled && capacity.bus === 62 && capacity.mobil === 200 && capacity.motor === 0 &&
+        isWithinHours('18:00-02:00', '01:30') && !isWithinHours('18:00-02:00', '12:00'),
+      `bus=${capacity.bus}, mobil=${capacity.mobil}`
+    );
+  }
+
+  testApplySchedule() {
+    const location = this.createLocation();
+    const changed = applySchedule(location, new Date('2026-04-23T12:00:00Z'));
+
+    this.record(
+      'New window adds the extra capacity as available',
+      changed.join(',') === 'mobil,motor' && location.mobil.total === 250 && location.mobil.available === 230 &&
+        location.motor.available === 250,
+      `changed=${changed.join(',')}, mobil=${location.mobil.available}/${location.mobil.total}`
+    );
+  }
+
+  testOperatingStatus() {
+    const location = { nama: 'SENOPATI', operational_hours: '06:00-22:00' };
+    // 05:30, 21:40 and 22:00 WIB
+    const states = ['2026-04-20T22:30:00Z', '2026-04-21T14:40:00Z', '2026-04-21T15:00:00Z']
+      .map(time => operatingStatus(location, new Date(time)));
+
+    this.record(
+      'Opening hours give closed, closing soon and closed again in WIB',
+      states.map(status => status.state).join(',') === 'closed,closing_soon,closed' &&
+        states[1].reason === 'Tutup pukul 22:00 WIB' && !states[0].manual,
+      states.map(status => `${status.state} (${status.reason})`).join(', ')
+    );
+  }
+
+  testManualClosure() {
+    const location = { nama: 'SENOPATI', operational_hours: '06:00-22:00', status: 'closed', closed_reason: 'Banjir' };
+    const status = operatingStatus(location, new Date('2026-04-21T03:00:00Z'));
+    const scheduled = operatingStatus(this.createLocation(), new Date('2026-04-27T12:00:00Z'));
+
+    this.record(
+      'Sites closed by an officer or outside their schedule are closed',
+      status.state === 'closed' && status.manual && status.reason === 'Banjir' &&
+        scheduled.state === 'closed' && !scheduled.manual,
+      `manual=${status.reason}, scheduled=${scheduled.reason}`
+    );
+  }
+
+  testProcessorFollowsSchedule() {
+    const data = { metadata: {}, statistics: {}, locations: [this.createLocation()] };
+    const report = applyUpdates(data, [], { now: new Date('2026-04-27T12:00:00Z') });
+
+    this.record(
+      'Processor moves totals to the current window',
+      report.schedule_changes.join(',') === 'STADION KRIDOSONO' && data.locations[0].mobil.total === 0 &&
+        data.locations[0].mobil.available === 0 && report.statistics.capacity.mobil === 0,
+      `schedule_changes=${report.schedule_changes.join(',')}, mobil=${data.locations[0].mobil.total}`
+    );
+  }
+
+  testProcessorRejectsOverCapacity() {
+    const data = { metadata: {}, statistics: {}, locations: [this.createLocation()] };
+    const report = applyUpdates(data, [
+      { location_id: 10, petugas_name: 'P010KRI', mobil: 120 }
+    ], { now: new Date('2026-04-21T12:00:00Z') });
+
+    this.record(
+      'Updates above the scheduled capacity are held back',
+      report.quarantined.length === 1 && report.quarantined[0].anomalies[0].reason === 'mobil: 120 available but capacity is 30' &&
+        data.locations[0].mobil.available === 10,
+      report.quarantined[0]?.anomalies.map(a => a.reason).join(', ')
+    );
+  }
+
+  printResults() {
+    console.log('\n' + '='.repeat(60));
+    console.log('CAPACITY SCHEDULE TEST RESULTS');
+    console.log('='.repeat(60));
+
+    let passed = 0;
+    let failed = 0;
+
+    this.testResults.forEach((result, index) => {
+      const status = result.passed ? '✅ PASS' : '❌ FAIL';
+      console.log(`${index + 1}. ${status} - ${result.test}`);
+
+      if (result.details) {
+        console.log(`   Details: ${result.details}`);
+      }
+
+      result.passed ? passed++ : failed++;
+    });
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`TOTAL: ${this.testResults.length} tests`);
+    console.log(`PASSED: ${passed}`);
+    console.log(`FAILED: ${failed}`);
+    console.log('='.repeat(60));
+
+    if (failed > 0) {
+      process.exit(1);
+    }
+  }
+}
+
+// Run tests
+(async () => {
+  const tester = new CapacityScheduleTester();
+  await tester.runAllTests();
+})();
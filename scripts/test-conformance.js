@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execSync, execFileSync } = require('child_process');
+const { LocationRegistry } = require('./location-registry');
+const { toPendingUpdate } = require('./server');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+class ConformanceTester {
+  constructor() {
+    this.testResults = [];
+    this.sourceData = JSON.parse(fs.readFileSync(path.join(ROOT_DIR, 'data/parkir-data.json'), 'utf8'));
+  }
+
+  async runAllTests() {
+    console.log('🧪 Running Location Identity Conformance Tests\n');
+
+    await this.testRegistryResolution();
+    await this.testDuplicateDetection();
+    await this.testPipeline('id', 2);
+    await this.testPipeline('name', 'NGABEAN');
+    await this.testPipeline('alias', 'malioboro 3');
+
+    this.printResults();
+  }
+
+  async testRegistryResolution() {
+    const registry = LocationRegistry.fromData(this.sourceData);
+    const cases = [
+      { ref: 1, expected: 1 },
+      { ref: '1', expected: 1 },
+      { ref: 'SENOPATI', expected: 1 },
+      { ref: '  malioboro   ii ', expected: 8 },
+      { ref: 'MALIOBORO 3', expected: 9 },
+      { ref: 'UNKNOWN', expected: null }
+    ];
+
+    cases.forEach(testCase => {
+      const result = registry.resolveId(testCase.ref);
+      this.testResults.push({
+        test: `Registry resolves ${JSON.stringify(testCase.ref)}`,
+        passed: result === testCase.expected,
+        details: `${JSON.stringify(testCase.ref)} → ${result} (expected: ${testCase.expected})`
+      });
+    });
+  }
+
+  async testDuplicateDetection() {
+    try {
+      new LocationRegistry([
+        { id: 1, nama: 'A', aliases: ['SHARED'] },
+        { id: 2, nama: 'B', aliases: ['shared'] }
+      ]);
+      this.testResults.push({ test: 'Registry rejects duplicate alias', passed: false });
+    } catch (error) {
+      this.testResults.push({
+        test: 'Registry rejects duplicate alias',
+        passed: error.message.toUpperCase().includes('SHARED'),
+        details: error.message
+      });
+    }
+  }
+
+  /**
+   * Push one update through ingestion, validate-updates, process-updates and the validator
+   */
+  async testPipeline(label, locationRef) {
+    const testName = `Pipeline accepts location by ${label}`;
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'parkir-conformance-'));
+
+    try {
+      fs.mkdirSync(path.join(workDir, 'data'), { recursive: true });
+      fs.writeFileSync(path.join(workDir, 'data/parkir-data.json'), JSON.stringify(this.sourceData, null, 2));
+
+      // Stage 1: ingestion
+      const registry = LocationRegistry.fromData(this.sourceData);
+      const location = registry.resolve(locationRef);
+      if (!location) {
+        throw new Error(`Ingestion could not resolve ${locationRef}`);
+      }
+
+      const total = location.mobil.total || location.motor.total;
+      const type = location.mobil.total > 0 ? 'mobil' : 'motor';
+      const { update, errors } = toPendingUpdate({
+        location: locationRef,
+        data: { [type]: Math.floor(total / 2) }
+      }, location);
+
+      if (errors.length > 0) {
+        throw new Error(`Ingestion rejected update: ${errors.join(', ')}`);
+      }
+
+      update.location_id = locationRef;
+      fs.writeFileSync(path.join(workDir, 'data/pending-updates.json'), JSON.stringify([update], null, 2));
+
+      // Stage 2: validate-updates
+      const validationOutput = execFileSync('node', [
+        '-e',
+        `require(${JSON.stringify(path.join(__dirname, 'validate-updates.js'))})` +
+          '.validateAndCleanUpdates().then(result => console.log(JSON.stringify(result)))'
+      ], { cwd: workDir, encoding: 'utf8' });
+      const validation = JSON.parse(validationOutput.trim().split('\n').pop());
+
+      if (validation.valid !== 1) {
+        throw new Error('validate-updates rejected the update');
+      }
+
+      // Stage 3: process-updates
+      const output = execSync(`node ${path.join(ROOT_DIR, 'process-updates.js')}`, { cwd: workDir, encoding: 'utf8' });
+      if (!output.includes('Processed: 1')) {
+        throw new Error(`process-updates did not apply the update:\n${output}`);
+      }
+
+      const processedData = JSON.parse(fs.readFileSync(path.join(workDir, 'data/parkir-data.json'), 'utf8'));
+      const processedLocation = LocationRegistry.fromData(processedData).resolve(location.id);
+      if (processedLocation[type].available !== Math.floor(total / 2)) {
+        throw new Error(`Expected ${type} available ${Math.floor(total / 2)}, got ${processedLocation[type].available}`);
+      }
+
+      // Stage 4: data validator
+      execSync(
+        `node ${path.join(__dirname, 'validate-parking.js')} --mode=report-only --no-backup ` +
+        `--data=data/parkir-data.json --backup-dir=data/backups --report-dir=data/reports --log-dir=data/logs`,
+        { cwd: workDir, stdio: 'pipe' }
+      );
+
+      this.testResults.push({
+        test: testName,
+        passed: true,
+        details: `${JSON.stringify(locationRef)} → location ${location.id} (${type})`
+      });
+    } catch (error) {
+      this.testResults.push({ test: testName, passed: false, error: error.message });
+    } finally {
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
+  }
+
+  printResults() {
+    console.log('\n' + '='.repeat(60));
+    console.log('CONFORMANCE TEST RESULTS');
+    console.log('='.repeat(60));
+
+    let passed = 0;
+    let failed = 0;
+
+    this.testResults.forEach((result, index) => {
+      const status = result.passed ? '✅ PASS' : '❌ FAIL';
+      console.log(`${index + 1}. ${status} - ${result.test}`);
+
+      if (result.details) {
+        console.log(`   Details: ${result.details}`);
+      }
+
+      if (result.error) {
+        console.log(`   Error: ${result.error}`);
+      }
+
+      result.passed ? passed++ : failed++;
+    });
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`TOTAL: ${this.testResults.length} tests`);
+    console.log(`PASSED: ${passed}`);
+    console.log(`FAILED: ${failed}`);
+    console.log('='.repeat(60));
+
+    if (failed > 0) {
+      process.exit(1);
+    }
+  }
+}
+
+// Run tests
+(async () => {
+  const tester = new ConformanceTester();
+  await tester.runAllTests();
+})();
@@ -0,0 +1,253 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile, execFileSync } = require('child_process');
+const { applyUpdates } = require('./update-processor');
+const { appendEvents, readEvents, replay, rollbackEvents } = require('./event-log');
+
+const T1 = new Date('2026-04-21T02:00:00.000Z');
+const T2 = new Date('2026-04-21T03:00:00.000Z');
+const T3 = new Date('2026-04-22T01:00:00.000Z');
+
+class EventLogTester {
+  constructor() {
+    this.testResults = [];
+    this.workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'parkir-events-'));
+    this.archiveDir = path.join(this.workDir, 'archive');
+  }
+
+  createData() {
+    return {
+      metadata: { version: '2.0.0', last_updated: '2026-04-20T00:00:00.000Z' },
+      statistics: {},
+      locations: [
+        {
+          id: 1,
+          nama: 'SENOPATI',
+          bus: { total: 62, available: 62 },
+          mobil: { total: 200, available: 200 },
+          motor: { total: 0, available: 0 }
+        },
+        {
+          id: 2,
+          nama: 'NGABEAN',
+          bus: { total: 60, available: 60 },
+          mobil: { total: 80, available: 80 },
+          motor: { total: 100, available: 100 }
+        }
+      ]
+    };
+  }
+
+  /**
+   * Process three batches the way process-updates.js does, keeping a copy of
+   * the data published after each one
+   */
+  processBatches() {
+    const data = this.createData();
+    const published = [JSON.parse(JSON.stringify(data))];
+
+    [
+      [T1, [{ location_id: 1, petugas_name: 'P001SEN', bus: 40, source: 'admin-panel' }]],
+      [T2, [{ location_id: 2, petugas_name: 'P002NGA', motor: 10, notes: 'Penuh sebagian' },
+        { location_id: 1, petugas_name: 'P001SEN', bus: 40 }]],
+      [T3, [{ location_id: 1, petugas_name: 'P001SEN', bus: 5, mobil: 150 }]]
+    ].forEach(([now, batch]) => {
+      const report = applyUpdates(data, batch, { now });
+      appendEvents(this.archiveDir, report.events);
+      published.push(JSON.parse(JSON.stringify(data)));
+    });
+
+    return { data, published };
+  }
+
+  async runAllTests() {
+    console.log('🧪 Running Event Log Tests\n');
+
+    const { data, published } = this.processBatches();
+    const events = readEvents(this.archiveDir);
+
+    this.testSequencing(events);
+    this.testReplayLatest(data, events);
+    this.testReplayPublishedStates(data, events, published);
+    this.testRollbackEvents(data, events, published);
+    this.testReplayCli(data, published);
+    await this.testConcurrentAppends();
+    this.testNumberingReadsNewestFile();
+
+    fs.rmSync(this.workDir, { recursive: true, force: true });
+    this.printResults();
+  }
+
+  record(test, passed, details) {
+    this.testResults.push({ test, passed, details });
+  }
+
+  testSequencing(events) {
+    const files = fs.readdirSync(this.archiveDir).sort();
+    const seqs = events.map(event => event.seq).join(',');
+    const first = events[0];
+
+    this.record(
+      'Every accepted update is logged with a sequence number',
+      seqs === '1,2,3,4' && files.join(',') === 'events-2026-04-21.jsonl,events-2026-04-22.jsonl',
+      `seq=${seqs}, files=${files.join(',')}`
+    );
+
+    this.record(
+      'Events keep officer, source and previous value',
+      first.officer === 'P001SEN' && first.source === 'admin-panel' &&
+        first.values.bus.previous === 62 && first.values.bus.value === 40 &&
+        events[2].source === 'unknown',
+      JSON.stringify(first.values)
+    );
+  }
+
+  testReplayLatest(data, events) {
+    const result = replay(this.createData(), events, { at: T3.toISOString() });
+
+    this.record(
+      'Replay from the original data reproduces the current state',
+      JSON.stringify(result.data.locations) === JSON.stringify(data.locations) &&
+        result.data.statistics.available.bus === data.statistics.available.bus,
+      `bus=${result.data.locations[0].bus.available}, applied=${result.applied}`
+    );
+  }
+
+  testReplayPublishedStates(data, events, published) {
+    const checks = [
+      ['2026-04-21T01:00:00.000Z', published[0]],
+      [T1.toISOString(), published[1]],
+      ['2026-04-21T12:00:00.000Z', published[2]]
+    ];
+
+    const mismatches = checks.filter(([at, expected]) => {
+      const result = replay(data, events, { at });
+      return JSON.stringify(result.data.locations) !== JSON.stringify(expected.locations);
+    });
+
+    this.record(
+      'Replay as of a timestamp reproduces the published state',
+      mismatches.length === 0,
+      mismatches.length === 0 ? `${checks.length} states matched` : `mismatch at ${mismatches.map(m => m[0]).join(', ')}`
+    );
+  }
+
+  testRollbackEvents(data, events, published) {
+    const at = '2026-04-21T12:00:00.000Z';
+    const rolledBack = replay(data, events, { at }).data;
+    const rollback = rollbackEvents(data, rolledBack, { now: new Date('2026-04-22T02:00:00.000Z'), at });
+    const after = replay(data, [...events, ...rollback.map((event, index) => ({ seq: 5 + index, ...event }))], {
+      at: '2026-04-22T02:00:00.000Z'
+    }).data;
+
+    this.record(
+      'Rolling back a bad batch is itself logged',
+      rollback.length === 1 && rollback[0].values.bus.previous === 5 && rollback[0].values.bus.value === 40 &&
+        after.locations[0].bus.available === published[2].locations[0].bus.available &&
+        after.locations[0].mobil.available === 200,
+      `rollback events=${rollback.length}, bus=${after.locations[0].bus.available}, mobil=${after.locations[0].mobil.available}`
+    );
+  }
+
+  testReplayCli(data, published) {
+    const dataFile = path.join(this.workDir, 'parkir-data.json');
+    const outFile = path.join(this.workDir, 'replayed.json');
+    fs.writeFileSync(dataFile, JSON.stringify(data, null, 2));
+
+    try {
+      execFileSync('node', [
+        path.join(__dirname, 'replay-events.js'),
+        `--data=${dataFile}`,
+        `--archive-dir=${this.archiveDir}`,
+        `--out=${outFile}`,
+        `--at=${T1.toISOString()}`
+      ], { stdio: 'pipe' });
+
+      const replayed = JSON.parse(fs.readFileSync(outFile, 'utf8'));
+      const passed = JSON.stringify(replayed.locations) === JSON.stringify(published[1].locations) &&
+        fs.readFileSync(dataFile, 'utf8') === JSON.stringify(data, null, 2);
+
+      this.record('Replay CLI writes the rebuilt state to --out', passed, `bus=${replayed.locations[0].bus.available}`);
+    } catch (error) {
+      this.record('Replay CLI writes the rebuilt state to --out', false, error.message);
+    }
+  }
+
+  async testConcurrentAppends() {
+    const archiveDir = path.join(this.workDir, 'concurrent');
+    const writer = name => new Promise(resolve => {
+      execFile('node', ['-e', `
+        const { appendEvents } = require(${JSON.stringify(path.join(__dirname, 'event-log.js'))});
+        for (let i = 0; i < 20; i++) {
+          appendEvents(${JSON.stringify(archiveDir)}, [{ recorded_at: '${T1.toISOString()}', location_id: 1, officer: '${name}', values: {} }]);
+        }
+      `], error => resolve(error ? error.message : null));
+    });
+
+    const errors = (await Promise.all(['a', 'b', 'c'].map(writer))).filter(Boolean);
+    const seqs = readEvents(archiveDir).map(event => event.seq);
+
+    this.record(
+      'Concurrent writers never reuse a sequence number',
+      errors.length === 0 && seqs.length === 60 && seqs.every((seq, index) => seq === index + 1),
+      errors.join('; ') || `events=${seqs.length}, last seq=${seqs[seqs.length - 1]}`
+    );
+  }
+
+  testNumberingReadsNewestFile() {
+    const archiveDir = path.join(this.workDir, 'numbering');
+    fs.mkdirSync(archiveDir, { recursive: true });
+    // An older day that would fail to parse, and a newest day with no events yet
+    fs.writeFileSync(path.join(archiveDir, 'events-2026-04-19.jsonl'), '{not json\n');
+    fs.writeFileSync(path.join(archiveDir, 'events-2026-04-20.jsonl'), JSON.stringify({ seq: 7 }) + '\n');
+    fs.writeFileSync(path.join(archiveDir, 'events-2026-04-23.jsonl'), '\n');
+
+    let seq;
+    try {
+      seq = appendEvents(archiveDir, [{ recorded_at: T3.toISOString(), location_id: 1, values: {} }])[0].seq;
+    } catch (error) {
+      seq = error.message;
+    }
+
+    this.record('Numbering continues from the newest event file only', seq === 8, `seq=${seq}`);
+  }
+
+  printResults() {
+    console.log('\n' + '='.repeat(60));
+    console.log('EVENT LOG TEST RESULTS');
+    console.log('='.repeat(60));
+
+    let passed = 0;
+    let failed = 0;
+
+    this.testResults.forEach((result, index) => {
+      const status = result.passed ? '✅ PASS' : '❌ FAIL';
+      console.log(`${index + 1}. ${status} - ${result.test}`);
+
+      if (result.details) {
+        console.log(`   Details: ${result.details}`);
+      }
+
+      result.passed ? passed++ : failed++;
+    });
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`TOTAL: ${this.testResults.length} tests`);
+    console.log(`PASSED: ${passed}`);
+    console.log(`FAILED: ${failed}`);
+    console.log('='.repeat(60));
+
+    if (failed > 0) {
+      process.exit(1);
+    }
+  }
+}
+
+// Run tests
+(async () => {
+  const tester = new EventLogTester();
+  await tester.runAllTests();
+})();
@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { forecastFill, applyForecasts, rateOf } = require('./forecast');
+const { TimeSeriesStore } = require('./timeseries');
+const { ParkingDataValidator } = require('./validate-parking');
+
+const NOW = new Date('2026-04-21T03:00:00.000Z');
+const MINUTE = 60 * 1000;
+
+class ForecastTester {
+  constructor() {
+    this.testResults = [];
+    this.workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'parkir-forecast-'));
+  }
+
+  /**
+   * Samples of `available` at minute offsets from NOW
+   */
+  samples(points, offset = 0) {
+    return points.map(([minutes, available]) => ({ t: NOW.getTime() + (offset + minutes) * MINUTE, available }));
+  }
+
+  createData(mobil, motor) {
+    return {
+      metadata: {},
+      statistics: {},
+      locations: [
+        {
+          id: 2,
+          nama: 'NGABEAN',
+          bus: { total: 0, available: 0 },
+          mobil: { total: 80, available: mobil },
+          motor: { total: 100, available: motor }
+        }
+      ]
+    };
+  }
+
+  async runAllTests() {
+    console.log('🧪 Running Forecast Tests\n');
+
+    this.testRate();
+    this.testTrend();
+    this.testBaselineBlend();
+    this.testNoForecast();
+    this.testApplyForecasts();
+    this.testValidatorWarning();
+
+    fs.rmSync(this.workDir, { recursive: true, force: true });
+    this.printResults();
+  }
+
+  record(test, passed, details) {
+    this.testResults.push({ test, passed, details });
+  }
+
+  testRate() {
+    const rate = rateOf(this.samples([[-30, 70], [-20, 60], [-10, 50], [0, 40]]));
+    const tooShort = rateOf(this.samples([[-2, 70], [0, 60]]));
+
+    this.record(
+      'Rate is the least-squares slope in spaces per minute',
+      rate === -1 && tooShort === null,
+      `rate=${rate}, short=${tooShort}`
+    );
+  }
+
+  testTrend() {
+    const forecast = forecastFill(40, this.samples([[-30, 70], [-20, 60], [-10, 50], [0, 40]]), []);
+
+    this.record(
+      'Falling availability gives minutes until full',
+      forecast.minutes_until_full === 40 && forecast.rate_per_hour === -60 && forecast.method === 'trend',
+      JSON.stringify(forecast)
+    );
+  }
+
+  testBaselineBlend() {
+    // Recent -1/min, yesterday at this hour -2/min → 0.7 * -1 + 0.3 * -2 = -1.3/min
+    const yesterday = this.samples([[0, 80], [30, 20]], -24 * 60);
+    const blended = forecastFill(39, this.samples([[-30, 70], [0, 40]]), yesterday);
+    const baselineOnly = forecastFill(40, this.samples([[0, 40]]), yesterday);
+
+    this.record(
+      'Yesterday at the same hour is blended in or used alone',
+      blended.minutes_until_full === 30 && blended.method === 'blend' &&
+        baselineOnly.minutes_until_full === 20 && baselineOnly.method === 'baseline',
+      `blend=${JSON.stringify(blended)}, baseline=${JSON.stringify(baselineOnly)}`
+    );
+  }
+
+  testNoForecast() {
+    const emptying = forecastFill(40, this.samples([[-30, 10], [0, 40]]), []);
+    const full = forecastFill(0, this.samples([[-30, 30], [0, 0]]), []);
+    const slow = forecastFill(79, this.samples([[-60, 80], [0, 79]]), []);
+
+    this.record(
+      'No forecast when emptying, already full or hours away',
+      emptying === null && full === null && slow === null,
+      `emptying=${emptying}, full=${full}, slow=${slow}`
+    );
+  }
+
+  testApplyForecasts() {
+    const store = new TimeSeriesStore({ dir: path.join(this.workDir, 'timeseries') });
+    [[-30, 70, 100], [-15, 55, 100], [0, 40, 100]].forEach(([minutes, mobil, motor]) => {
+      store.record(this.createData(mobil, motor), new Date(NOW.getTime() + minutes * MINUTE));
+    });
+
+    const data = this.createData(40, 100);
+    const changed = applyForecasts(data, store, NOW);
+    const location = data.locations[0];
+    const unchanged = applyForecasts(data, store, new Date(NOW.getTime() + 1000));
+
+    this.record(
+      'Forecasts are stored next to the vehicle blocks',
+      changed.join(',') === 'NGABEAN' && unchanged.length === 0 &&
+        location.forecast.mobil.minutes_until_full === 40 && location.forecast.motor === undefined &&
+        location.mobil.forecast === undefined && location.forecast.computed_at === new Date(NOW.getTime() + 1000).toISOString(),
+      JSON.stringify(location.forecast)
+    );
+  }
+
+  testValidatorWarning() {
+    const validator = new ParkingDataValidator({ rootDir: this.workDir, now: () => NOW });
+    const location = this.createData(40, 100).locations[0];
+    location.forecast = {
+      computed_at: NOW.toISOString(),
+      mobil: { minutes_until_full: 40, rate_per_hour: -60, method: 'trend' }
+    };
+
+    const mobil = () => validator.generateRecommendations(location).filter(text => text.startsWith('mobil:'));
+    const soon = mobil();
+    location.forecast.computed_at = new Date(NOW.getTime() - 2 * 60 * MINUTE).toISOString();
+    const stale = mobil();
+
+    this.record(
+      'Validator warns before critical utilization is forecast',
+      soon.length === 1 &&
+        soon[0] === 'mobil: Forecast to reach critical utilization (95%) in ~36 min (full in ~40 min) - Prepare overflow parking' &&
+        stale.length === 0,
+      `soon=${soon.join('; ')}, stale=${stale.join('; ')}`
+    );
+  }
+
+  printResults() {
+    console.log('\n' + '='.repeat(60));
+    console.log('FORECAST TEST RESULTS');
+    console.log('='.repeat(60));
+
+    let passed = 0;
+    let failed = 0;
+
+    this.testResults.forEach((result, index) => {
+      const status = result.passed ? '✅ PASS' : '❌ FAIL';
+      console.log(`${index + 1}. ${status} - ${result.test}`);
+
+      if (result.details) {
+        console.log(`   Details: ${result.details}`);
+      }
+
+      result.passed ? passed++ : failed++;
+    });
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`TOTAL: ${this.testResults.length} tests`);
+    console.log(`PASSED: ${passed}`);
+    console.log(`FAILED: ${failed}`);
+    console.log('='.repeat(60));
+
+    if (failed > 0) {
+      process.exit(1);
+    }
+  }
+}
+
+// Run tests
+(async () => {
+  const tester = new ForecastTester();
+  await tester.runAllTests();
+})();
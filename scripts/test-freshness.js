@@ -0,0 +1,219 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { locationFreshness, officerFreshness } = require('./data-freshness');
+const { ParkingDataValidator } = require('./validate-parking');
+const { IngestionServer } = require('./server');
+
+// 10:00 WIB
+const NOW = new Date('2026-04-21T03:00:00.000Z');
+
+function minutesAgo(minutes) {
+  return new Date(NOW.getTime() - minutes * 60000).toISOString();
+}
+
+class FreshnessTester {
+  constructor() {
+    this.testResults = [];
+    this.workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'parkir-freshness-'));
+  }
+
+  createLocation(id, nama, reports, extra = {}) {
+    const location = { id, nama, operational_hours: '06:00-22:00', ...extra };
+    ['bus', 'mobil', 'motor'].forEach(type => {
+      const [minutes, updatedBy] = reports[type] || [0, 'System'];
+      location[type] = { total: 50, available: 20, last_update: minutesAgo(minutes), updated_by: updatedBy };
+    });
+    return location;
+  }
+
+  createData() {
+    return {
+      metadata: { version: '2.0.0', last_updated: NOW.toISOString() },
+      statistics: {},
+      locations: [
+        this.createLocation(1, 'SENOPATI', { mobil: [12, 'P001SEN'], motor: [47, 'P001SEN'] }),
+        this.createLocation(2, 'NGABEAN', { bus: [95, 'P002NGA'] }),
+        this.createLocation(3, 'SPRAGA', { mobil: [200, 'P001SEN'] }),
+        this.createLocation(4, 'STADION KRIDOSONO', {}, { operational_hours: '18:00-24:00' })
+      ]
+    };
+  }
+
+  async runAllTests() {
+    console.log('🧪 Running Data Freshness Tests\n');
+
+    this.testOfficerReportsOnly();
+    this.testStaleWhileOpen();
+    this.testOfficerFreshness();
+    await this.testValidatorReport();
+    this.testCliWindow();
+    await this.testServedToPublicPage();
+
+    fs.rmSync(this.workDir, { recursive: true, force: true });
+    this.printResults();
+  }
+
+  record(test, passed, details) {
+    this.testResults.push({ test, passed, details });
+  }
+
+  testOfficerReportsOnly() {
+    const [senopati, , , kridosono] = this.createData().locations;
+    const fresh = locationFreshness(senopati, NOW);
+    const seeded = locationFreshness({ ...kridosono, operational_hours: '06:00-22:00' }, NOW);
+
+    this.record(
+      'Newest officer report counts, System values do not',
+      fresh.updated_by === 'P001SEN' && fresh.age_minutes === 12 && !fresh.stale &&
+        seeded.last_update === null && seeded.age_minutes === null && seeded.stale,
+      `fresh=${fresh.age_minutes} min by ${fresh.updated_by}, seeded=${seeded.age_minutes}/${seeded.stale}`
+    );
+  }
+
+  testStaleWhileOpen() {
+    const [, ngabean, , kridosono] = this.createData().locations;
+    const stale = locationFreshness(ngabean, NOW);
+    const relaxed = locationFreshness(ngabean, NOW, 120);
+    const closed = locationFreshness(kridosono, NOW);
+    const closedByHand = locationFreshness({ ...ngabean, status: 'closed' }, NOW);
+
+    this.record(
+      'Only open locations past the window are stale',
+      stale.stale && stale.age_minutes === 95 && !relaxed.stale &&
+        !closed.operating && !closed.stale && !closedByHand.stale,
+      `stale=${stale.stale}, relaxed=${relaxed.stale}, closed=${closed.stale}, closedByHand=${closedByHand.stale}`
+    );
+  }
+
+  testOfficerFreshness() {
+    const officers = officerFreshness(this.createData().locations, NOW);
+
+    this.record(
+      'Officers are summarised by their newest report and stale locations',
+      officers.map(o => `${o.officer}:${o.age_minutes}:${o.stale}:${o.locations.join('+')}`).join(',') ===
+        'P002NGA:95:true:NGABEAN,P001SEN:12:true:SENOPATI+SPRAGA',
+      officers.map(o => `${o.officer}=${o.age_minutes}`).join(', ')
+    );
+  }
+
+  async testValidatorReport() {
+    const rootDir = path.join(this.workDir, 'root');
+    fs.mkdirSync(path.join(rootDir, 'data'), { recursive: true });
+    fs.writeFileSync(path.join(rootDir, 'data/parkir-data.json'), JSON.stringify(this.createData()));
+
+    const validator = new ParkingDataValidator({ rootDir, now: () => NOW, mode: 'report-only', backup: false });
+    const result = await validator.validate();
+    const freshness = result.report?.details.freshness || [];
+    const stale = result.report?.recommendations.find(entry => entry.location === 'NGABEAN')?.recommendations
+      .find(text => text.startsWith('Stale data'));
+    const summary = fs.readFileSync(path.join(rootDir, 'data/reports/validation-summary.txt'), 'utf8');
+
+    this.record(
+      'Validation report carries freshness per location and officer',
+      result.success && result.report.summary.stale_locations === 2 &&
+        result.report.metadata.config.stale_after_minutes === 60 &&
+        freshness.map(f => `${f.name}:${f.age_minutes}:${f.stale}`).join(',') ===
+          'SENOPATI:12:false,NGABEAN:95:true,SPRAGA:200:true,STADION KRIDOSONO:null:false' &&
+        result.report.details.officers.length === 2 &&
+        stale === 'Stale data: last officer report 95 min ago by P002NGA (limit 60 min) - Contact the officer on duty' &&
+        summary.includes('DATA FRESHNESS (2 stale, limit 60 min)'),
+      stale
+    );
+  }
+
+  testCliWindow() {
+    const dataPath = path.join(this.workDir, 'cli-data.json');
+    const data = this.createData();
+    // The CLI uses the real clock, so move the reports relative to it
+    const shift = Date.now() - NOW.getTime();
+    data.locations.forEach(location => {
+      ['bus', 'mobil', 'motor'].forEach(type => {
+        location[type].last_update = new Date(new Date(location[type].last_update).getTime() + shift).toISOString();
+      });
+      location.operational_hours = '00:00-24:00';
+    });
+    fs.writeFileSync(dataPath, JSON.stringify(data));
+
+    const run = args => spawnSync('node', [
+      path.join(__dirname, 'validate-parking.js'),
+      `--data=${dataPath}`,
+      `--report-dir=${path.join(this.workDir, 'cli-reports')}`,
+      `--log-dir=${path.join(this.workDir, 'cli-logs')}`,
+      `--backup-dir=${path.join(this.workDir, 'cli-backups')}`,
+      '--mode=report-only',
+      ...args
+    ], { encoding: 'utf8' });
+
+    const relaxed = run(['--stale-after=300']);
+    const report = JSON.parse(fs.readFileSync(path.join(this.workDir, 'cli-reports/validation-report-latest.json'), 'utf8'));
+    const invalid = run(['--stale-after=0']);
+
+    this.record(
+      'CLI takes --stale-after and rejects unusable windows',
+      relaxed.status === 0 && report.metadata.config.stale_after_minutes === 300 &&
+        report.summary.stale_locations === 1 &&
+        invalid.status === 1 && invalid.stderr.includes('Invalid stale-after "0"'),
+      `exit=${relaxed.status}/${invalid.status}, stale=${report.summary.stale_locations}`
+    );
+  }
+
+  async testServedToPublicPage() {
+    const server = new IngestionServer({ rootDir: path.resolve(__dirname, '..'), authSecret: 'test-secret' });
+    const address = await server.listen(0, '127.0.0.1');
+
+    try {
+      const response = await fetch(`http://127.0.0.1:${address.port}/scripts/data-freshness.js`);
+      const body = await response.text();
+      const page = fs.readFileSync(path.resolve(__dirname, '../index.html'), 'utf8');
+
+      this.record(
+        'Public page loads the shared module from the server',
+        response.status === 200 && body.includes('root.DataFreshness') &&
+          page.includes('<script src="scripts/data-freshness.js"></script>'),
+        `status=${response.status}`
+      );
+    } finally {
+      await server.close();
+    }
+  }
+
+  printResults() {
+    console.log('\n' + '='.repeat(60));
+    console.log('DATA FRESHNESS TEST RESULTS');
+    console.log('='.repeat(60));
+
+    let passed = 0;
+    let failed = 0;
+
+    this.testResults.forEach((result, index) => {
+      const status = result.passed ? '✅ PASS' : '❌ FAIL';
+      console.log(`${index + 1}. ${status} - ${result.test}`);
+
+      if (result.details) {
+        console.log(`   Details: ${result.details}`);
+      }
+
+      result.passed ? passed++ : failed++;
+    });
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`TOTAL: ${this.testResults.length} tests`);
+    console.log(`PASSED: ${passed}`);
+    console.log(`FAILED: ${failed}`);
+    console.log('='.repeat(60));
+
+    if (failed > 0) {
+      process.exit(1);
+    }
+  }
+}
+
+// Run tests
+(async () => {
+  const tester = new FreshnessTester();
+  await tester.runAllTests();
+})();
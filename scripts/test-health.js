@@ -0,0 +1,224 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { runHealthChecks } = require('./health-check');
+const { IngestionServer } = require('./server');
+const { writeDataFile } = require('./data-store');
+
+const NOW = new Date('2026-04-21T03:00:00.000Z');
+
+class HealthCheckTester {
+  constructor() {
+    this.testResults = [];
+    this.workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'parkir-health-'));
+    this.rootDir = path.join(this.workDir, 'root');
+    this.dataPath = path.join(this.rootDir, 'data/parkir-data.json');
+    this.pendingPath = path.join(this.rootDir, 'data/pending-updates.json');
+    this.sourceData = JSON.parse(fs.readFileSync(path.resolve(__dirname, '../data/parkir-data.json'), 'utf8'));
+  }
+
+  /**
+   * Fresh copy of the repository data updated `minutesAgo` before NOW
+   */
+  reset(minutesAgo = 5, pending = []) {
+    fs.rmSync(this.rootDir, { recursive: true, force: true });
+    fs.mkdirSync(path.join(this.rootDir, 'data/reports'), { recursive: true });
+
+    const data = JSON.parse(JSON.stringify(this.sourceData));
+    data.metadata.last_updated = new Date(NOW.getTime() - minutesAgo * 60000).toISOString();
+    writeDataFile(this.dataPath, data);
+    fs.writeFileSync(this.pendingPath, JSON.stringify(pending, null, 2));
+  }
+
+  check(options = {}) {
+    const health = runHealthChecks({ rootDir: this.rootDir, now: () => NOW, ...options });
+    const byName = Object.fromEntries(health.checks.map(check => [check.name, check]));
+    return { health, byName };
+  }
+
+  async runAllTests() {
+    console.log('🧪 Running Health Check Tests\n');
+
+    this.testHealthy();
+    this.testBrokenData();
+    this.testStaleData();
+    this.testBacklogAndFailures();
+    this.testDiskSpace();
+    this.testCliExitCode();
+    await this.testHealthzRoute();
+
+    fs.rmSync(this.workDir, { recursive: true, force: true });
+    this.printResults();
+  }
+
+  record(test, passed, details) {
+    this.testResults.push({ test, passed, details });
+  }
+
+  testHealthy() {
+    this.reset();
+    const { health, byName } = this.check();
+
+    this.record(
+      'Fresh, conforming data is healthy',
+      health.status === 'ok' && health.checks.length === 5 && byName.freshness.age_minutes === 5,
+      health.checks.map(check => `${check.name}=${check.status}`).join(', ')
+    );
+  }
+
+  testBrokenData() {
+    this.reset();
+    fs.writeFileSync(this.dataPath, '{"metadata": ');
+    const unparsable = this.check();
+
+    const data = JSON.parse(JSON.stringify(this.sourceData));
+    data.metadata.last_updated = NOW.toISOString();
+    data.locations[0].mobil.available = -1;
+    fs.writeFileSync(this.dataPath, JSON.stringify(data));
+    const invalid = this.check();
+
+    this.record(
+      'Unparsable or non-conforming data fails',
+      unparsable.health.status === 'fail' && unparsable.byName.data.message.startsWith('Invalid JSON format') &&
+        invalid.byName.data.status === 'fail' && invalid.byName.data.errors.length > 0,
+      `${unparsable.byName.data.message}; ${invalid.byName.data.message}`
+    );
+  }
+
+  testStaleData() {
+    this.reset(180);
+    const { health, byName } = this.check();
+    const relaxed = this.check({ staleMinutes: 240 });
+
+    this.record(
+      'Data older than the staleness limit fails',
+      health.status === 'fail' && byName.freshness.message === 'Data is 180 min old (limit 120 min)' &&
+        relaxed.health.status === 'ok',
+      byName.freshness.message
+    );
+  }
+
+  testBacklogAndFailures() {
+    const pending = Array.from({ length: 3 }, () => ({ location_id: 1, petugas_name: 'P001SEN', bus: 10 }));
+    this.reset(5, [...pending, { location_id: 1, petugas_name: 'P001SEN', bus: 'x', status: 'failed', error: 'Invalid bus value' }]);
+    fs.writeFileSync(path.join(this.rootDir, 'data/reports/validation-report-latest.json'), JSON.stringify({
+      timestamp: NOW.toISOString(),
+      mode: 'strict',
+      summary: { issues_found: 2 }
+    }));
+
+    const within = this.check();
+    const over = this.check({ maxPending: 3 });
+
+    this.record(
+      'Backlog over its limit fails, last-run failures warn',
+      within.health.status === 'warn' && within.byName.backlog.pending === 4 && within.byName.backlog.failed === 1 &&
+        within.byName.last_run.message === '1 update(s) failed processing; validation at 2026-04-21T03:00:00.000Z found 2 issue(s)' &&
+        over.byName.backlog.status === 'fail',
+      `${within.byName.backlog.message}; ${within.byName.last_run.message}`
+    );
+  }
+
+  testDiskSpace() {
+    this.reset();
+    const { byName } = this.check({ minFreeMb: Number.MAX_SAFE_INTEGER });
+
+    // Node before 18.15 has no fs.statfsSync
+    const statfsSync = fs.statfsSync;
+    delete fs.statfsSync;
+    let older;
+    try {
+      older = this.check().byName.disk_space;
+    } finally {
+      fs.statfsSync = statfsSync;
+    }
+
+    this.record(
+      'Low free space in backups/logs fails, and is only a warning where it cannot be measured',
+      byName.disk_space.status === 'fail' && Object.keys(byName.disk_space.free_mb).join(',') === 'backups,logs' &&
+        older.status === 'warn' && older.message.startsWith('Disk space not checked: needs Node 18.15'),
+      `${byName.disk_space.message}; ${older.message}`
+    );
+  }
+
+  testCliExitCode() {
+    this.reset(0);
+    // The CLI uses the real clock, so make the data current
+    const data = JSON.parse(fs.readFileSync(this.dataPath, 'utf8'));
+    data.metadata.last_updated = new Date().toISOString();
+    writeDataFile(this.dataPath, data);
+
+    const script = path.join(__dirname, 'health-check.js');
+    const healthy = spawnSync('node', [script, `--root=${this.rootDir}`], { encoding: 'utf8' });
+    const strict = spawnSync('node', [script, `--root=${this.rootDir}`, '--max-pending=-1', '--json'], { encoding: 'utf8' });
+
+    this.record(
+      'CLI exits non-zero when a check fails',
+      healthy.status === 0 && healthy.stdout.includes('Health: ok') &&
+        strict.status === 1 && JSON.parse(strict.stdout).status === 'fail',
+      `healthy=${healthy.status}, failing=${strict.status}`
+    );
+  }
+
+  async testHealthzRoute() {
+    const server = new IngestionServer({ rootDir: this.rootDir, authSecret: 'test-secret' });
+    const address = await server.listen(0, '127.0.0.1');
+
+    try {
+      const healthy = await fetch(`http://127.0.0.1:${address.port}/healthz`);
+      const healthyBody = await healthy.json();
+
+      fs.writeFileSync(this.dataPath, 'not json');
+      const broken = await fetch(`http://127.0.0.1:${address.port}/healthz`);
+      const brokenBody = await broken.json();
+
+      this.record(
+        '/healthz returns the checks as JSON with 503 on failure',
+        healthy.status === 200 && healthyBody.status === 'ok' &&
+          broken.status === 503 && brokenBody.checks[0].status === 'fail',
+        `healthy=${healthy.status}, broken=${broken.status}`
+      );
+    } finally {
+      await server.close();
+    }
+  }
+
+  printResults() {
+    console.log('\n' + '='.repeat(60));
+    console.log('HEALTH CHECK TEST RESULTS');
+    console.log('='.repeat(60));
+
+    let passed = 0;
+    let failed = 0;
+
+    this.testResults.forEach((result, index) => {
+      const status = result.passed ? '✅ PASS' : '❌ FAIL';
+      console.log(`${index + 1}. ${status} - ${result.test}`);
+
+      if (result.details) {
+        console.log(`   Details: ${result.details}`);
+      }
+
+      result.passed ? passed++ : failed++;
+    });
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`TOTAL: ${this.testResults.length} tests`);
+    console.log(`PASSED: ${passed}`);
+    console.log(`FAILED: ${failed}`);
+    console.log('='.repeat(60));
+
+    if (failed > 0) {
+      process.exit(1);
+    }
+  }
+}
+
+// Run tests
+(async () => {
+  const tester = new HealthCheckTester();
+  await tester.runAllTests();
+})();
@@ -0,0 +1,226 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { IngestionServer } = require('./server');
+const { signToken } = require('./officer-auth');
+
+const SECRET = 'test-secret';
+
+class IngestionTester {
+  constructor() {
+    this.testResults = [];
+    this.workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'parkir-ingestion-'));
+    this.pendingPath = path.join(this.workDir, 'pending.json');
+    this.receivedIdsPath = path.join(this.workDir, 'received-ids.json');
+  }
+
+  async runAllTests() {
+    console.log('🧪 Running Ingestion Server Tests\n');
+
+    const dataPath = path.join(this.workDir, 'parkir-data.json');
+    fs.writeFileSync(dataPath, JSON.stringify({
+      locations: [{ id: 11, nama: 'GEMBIRA LOKA', bus: { total: 30, available: 30 }, mobil: { total: 60, available: 60 } }]
+    }));
+
+    this.server = new IngestionServer({
+      dataPath,
+      pendingPath: this.pendingPath,
+      receivedIdsPath: this.receivedIdsPath,
+      authSecret: SECRET
+    });
+    const address = await this.server.listen(0, '127.0.0.1');
+    this.baseUrl = `http://127.0.0.1:${address.port}`;
+    this.token = signToken({ sub: 'P011GEM', locations: [11] }, SECRET);
+
+    try {
+      await this.testMalformedBodies();
+      await this.testUnknownLocation();
+      await this.testUpdateAppended();
+      await this.testClientIdKept();
+      await this.testDuplicateIgnored();
+      await this.testDuplicateAfterProcessing();
+      await this.testInvalidClientId();
+      await this.testLocationStatus();
+      await this.testOutboxScriptServed();
+    } finally {
+      await this.server.close();
+    }
+
+    fs.rmSync(this.workDir, { recursive: true, force: true });
+    this.printResults();
+  }
+
+  record(test, passed, details) {
+    this.testResults.push({ test, passed, details });
+  }
+
+  async submit(body) {
+    const response = await fetch(`${this.baseUrl}/api/updates`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${this.token}` },
+      body: JSON.stringify({ location: 'GEMBIRA LOKA', petugas: 'P011GEM', ...body })
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  async post(body) {
+    const response = await fetch(`${this.baseUrl}/api/updates`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${this.token}` },
+      body
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  readPending() {
+    return fs.existsSync(this.pendingPath) ? JSON.parse(fs.readFileSync(this.pendingPath, 'utf8')) : [];
+  }
+
+  async testMalformedBodies() {
+    const results = await Promise.all(['null', '[1, 2]', '42', '{"location": ', '{}'].map(body => this.post(body)));
+
+    this.record(
+      'Bodies that are not a JSON object, or lack a location, get a 400',
+      results.every(result => result.status === 400) &&
+        results[0].body.errors[0] === 'JSON body must be an object' &&
+        results[3].body.errors[0] === 'Invalid JSON body' &&
+        results[4].body.errors[0] === 'Missing location' &&
+        this.readPending().length === 0,
+      results.map(result => `${result.status} ${result.body.errors?.[0]}`).join(', ')
+    );
+  }
+
+  async testUnknownLocation() {
+    const unknown = await this.submit({ location: '<img src=x onerror=alert(1)>', data: { bus: 1 } });
+    const invalid = await this.submit({ data: { bus: '<b>12</b>' }, location_status: '<i>x</i>' });
+
+    this.record(
+      'Unknown locations get a 404 and errors do not repeat the submitted text',
+      unknown.status === 404 && unknown.body.errors[0] === 'Location not found' &&
+        invalid.status === 422 && invalid.body.errors.every(error => !error.includes('<')) &&
+        this.readPending().length === 0,
+      `${unknown.body.errors[0]} | ${invalid.body.errors.join(', ')}`
+    );
+  }
+
+  async testUpdateAppended() {
+    const result = await this.submit({ data: { bus: 12, mobil: 40 }, notes: 'Ramai' });
+    const pending = this.readPending();
+    // Later tests start from an empty queue
+    fs.rmSync(this.pendingPath, { force: true });
+
+    this.record(
+      'A valid submission is appended to the pending queue',
+      result.status === 202 && result.body.accepted && result.body.queue_length === 1 &&
+        pending.length === 1 && pending[0].location_id === 11 && pending[0].petugas_name === 'P011GEM' &&
+        pending[0].bus === 12 && pending[0].mobil === 40,
+      `status=${result.status}, queued=${pending.length}`
+    );
+  }
+
+  async testClientIdKept() {
+    const result = await this.submit({ client_id: 'offline-0001-abcd', data: { bus: 12 } });
+    const pending = this.readPending();
+
+    this.record(
+      'Client id is stored with the queued update',
+      result.status === 202 && pending.length === 1 && pending[0].client_id === 'offline-0001-abcd',
+      `status=${result.status}, client_id=${pending[0]?.client_id}`
+    );
+  }
+
+  async testDuplicateIgnored() {
+    const result = await this.submit({ client_id: 'offline-0001-abcd', data: { bus: 12 } });
+
+    this.record(
+      'Resent update with the same client id is ignored',
+      result.status === 200 && result.body.accepted && result.body.duplicate && this.readPending().length === 1,
+      `status=${result.status}, queued=${this.readPending().length}`
+    );
+  }
+
+  async testDuplicateAfterProcessing() {
+    // process-updates.js empties the queue once the update is handled
+    fs.writeFileSync(this.pendingPath, '[]');
+    const result = await this.submit({ client_id: 'offline-0001-abcd', data: { bus: 12 } });
+
+    this.record(
+      'Client id is remembered after the queue is processed',
+      result.body.duplicate === true && this.readPending().length === 0,
+      `status=${result.status}, queued=${this.readPending().length}`
+    );
+  }
+
+  async testInvalidClientId() {
+    const result = await this.submit({ client_id: '<img src=x>', timestamp: '<b>soon</b>', data: { bus: 12 } });
+
+    this.record(
+      'Malformed client id and timestamp are rejected without echoing them',
+      result.status === 422 && result.body.errors.some(e => e.includes('client_id')) &&
+        result.body.errors.includes('Invalid timestamp') && !JSON.stringify(result.body).includes('<'),
+      `status=${result.status}, errors=${result.body.errors.join(' | ')}`
+    );
+  }
+
+  async testLocationStatus() {
+    const closed = await this.submit({ data: {}, location_status: 'closed', closed_reason: ' Area tergenang ' });
+    const missingReason = await this.submit({ data: {}, location_status: 'closed' });
+    const queued = this.readPending().pop();
+
+    this.record(
+      'Closing a location needs a reason but no vehicle counts',
+      closed.status === 202 && queued.location_status === 'closed' && queued.closed_reason === 'Area tergenang' &&
+        missingReason.status === 422 && missingReason.body.errors.some(e => e.includes('closed_reason')),
+      `closed=${closed.status}, missing reason=${missingReason.status}`
+    );
+  }
+
+  async testOutboxScriptServed() {
+    const response = await fetch(`${this.baseUrl}/outbox.js`);
+    const body = await response.text();
+
+    this.record(
+      'Offline queue script is served for the panel and service worker',
+      response.status === 200 && body.includes('ParkirOutbox'),
+      `status=${response.status}`
+    );
+  }
+
+  printResults() {
+    console.log('\n' + '='.repeat(60));
+    console.log('INGESTION SERVER TEST RESULTS');
+    console.log('='.repeat(60));
+
+    let passed = 0;
+    let failed = 0;
+
+    this.testResults.forEach((result, index) => {
+      const status = result.passed ? '✅ PASS' : '❌ FAIL';
+      console.log(`${index + 1}. ${status} - ${result.test}`);
+
+      if (result.details) {
+        console.log(`   Details: ${result.details}`);
+      }
+
+      result.passed ? passed++ : failed++;
+    });
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`TOTAL: ${this.testResults.length} tests`);
+    console.log(`PASSED: ${passed}`);
+    console.log(`FAILED: ${failed}`);
+    console.log('='.repeat(60));
+
+    if (failed > 0) {
+      process.exit(1);
+    }
+  }
+}
+
+// Run tests
+(async () => {
+  const tester = new IngestionTester();
+  await tester.runAllTests();
+})();
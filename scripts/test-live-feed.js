@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { IngestionServer } = require('./server');
+const { diffLocations } = require('./live-feed');
+
+class LiveFeedTester {
+  constructor() {
+    this.testResults = [];
+    this.workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'parkir-live-'));
+  }
+
+  createData() {
+    return {
+      metadata: { version: '2.0.0', last_updated: '2026-04-21T03:00:00.000Z' },
+      statistics: { available: { bus: 122 } },
+      locations: [
+        { id: 1, nama: 'SENOPATI', bus: { total: 62, available: 62 } },
+        { id: 2, nama: 'NGABEAN', bus: { total: 60, available: 60 } }
+      ]
+    };
+  }
+
+  async runAllTests() {
+    console.log('🧪 Running Live Feed Tests\n');
+
+    this.testDiff();
+    await this.testStream();
+
+    fs.rmSync(this.workDir, { recursive: true, force: true });
+    this.printResults();
+  }
+
+  record(test, passed, details) {
+    this.testResults.push({ test, passed, details });
+  }
+
+  testDiff() {
+    const before = this.createData();
+    const after = this.createData();
+    after.locations[1].bus.available = 12;
+    after.locations.push({ id: 3, nama: 'SRI WEDANI', mobil: { total: 20, available: 20 } });
+
+    const changed = diffLocations(before, after);
+
+    this.record(
+      'Only changed and new locations are reported',
+      changed.map(location => location.id).join(',') === '2,3' && diffLocations(before, this.createData()).length === 0,
+      `changed=${changed.map(location => location.nama).join(', ')}`
+    );
+  }
+
+  /**
+   * Collect SSE events from the stream until `count` have arrived
+   */
+  readEvents(url, count, onFirst) {
+    return new Promise((resolve, reject) => {
+      const events = [];
+      let buffer = '';
+
+      const timer = setTimeout(() => {
+        req.destroy();
+        reject(new Error(`Timed out after ${events.length} event(s)`));
+      }, 5000);
+
+      const req = http.get(url, res => {
+        res.setEncoding('utf8');
+        res.on('data', chunk => {
+          buffer += chunk;
+          let end;
+          while ((end = buffer.indexOf('\n\n')) !== -1) {
+            const block = buffer.substring(0, end);
+            buffer = buffer.substring(end + 2);
+
+            const event = /^event: (.+)$/m.exec(block);
+            const data = /^data: (.+)$/m.exec(block);
+            if (!event) {
+              continue;
+            }
+
+            events.push({ event: event[1], data: JSON.parse(data[1]), contentType: res.headers['content-type'] });
+            if (events.length === 1) {
+              onFirst();
+            }
+            if (events.length === count) {
+              clearTimeout(timer);
+              req.destroy();
+              resolve(events);
+            }
+          }
+        });
+      });
+
+      req.on('error', error => {
+        if (events.length < count) {
+          clearTimeout(timer);
+          reject(error);
+        }
+      });
+    });
+  }
+
+  async testStream() {
+    const dataPath = path.join(this.workDir, 'parkir-data.json');
+    fs.writeFileSync(dataPath, JSON.stringify(this.createData(), null, 2));
+
+    const server = new IngestionServer({ dataPath, authSecret: 'test-secret', watchInterval: 50 });
+    const address = await server.listen(0, '127.0.0.1');
+
+    try {
+      const events = await this.readEvents(`http://127.0.0.1:${address.port}/api/stream`, 2, () => {
+        // What process-updates.js does after applying an update
+        const data = this.createData();
+        data.locations[0].bus.available = 40;
+        data.metadata.last_updated = '2026-04-21T03:02:00.000Z';
+        fs.writeFileSync(dataPath, JSON.stringify(data, null, 2));
+      });
+
+      const [snapshot, delta] = events;
+
+      this.record(
+        'New clients receive the current data',
+        snapshot.event === 'snapshot' && snapshot.contentType.startsWith('text/event-stream') &&
+          snapshot.data.locations.length === 2,
+        `event=${snapshot.event}, locations=${snapshot.data.locations.length}`
+      );
+
+      this.record(
+        'Processed updates are pushed as location deltas',
+        delta.event === 'locations' && delta.data.locations.length === 1 &&
+          delta.data.locations[0].bus.available === 40 &&
+          delta.data.last_updated === '2026-04-21T03:02:00.000Z',
+        `event=${delta.event}, locations=${delta.data.locations.map(l => l.nama).join(', ')}`
+      );
+    } catch (error) {
+      this.record('Stream delivers snapshot and deltas', false, error.message);
+    } finally {
+      await server.close();
+    }
+  }
+
+  printResults() {
+    console.log('\n' + '='.repeat(60));
+    console.log('LIVE FEED TEST RESULTS');
+    console.log('='.repeat(60));
+
+    let passed = 0;
+    let failed = 0;
+
+    this.testResults.forEach((result, index) => {
+      const status = result.passed ? '✅ PASS' : '❌ FAIL';
+      console.log(`${index + 1}. ${status} - ${result.test}`);
+
+      if (result.details) {
+        console.log(`   Details: ${result.details}`);
+      }
+
+      result.passed ? passed++ : failed++;
+    });
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`TOTAL: ${this.testResults.length} tests`);
+    console.log(`PASSED: ${passed}`);
+    console.log(`FAILED: ${failed}`);
+    console.log('='.repeat(60));
+
+    if (failed > 0) {
+      process.exit(1);
+    }
+  }
+}
+
+// Run tests
+(async () => {
+  const tester = new LiveFeedTester();
+  await tester.runAllTests();
+})();
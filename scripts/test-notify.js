@@ -0,0 +1,282 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { execFile } = require('child_process');
+const { notify, detectChanges } = require('./notify-utilization');
+const { ParkingDataValidator } = require('./validate-parking');
+
+const NOW = new Date('2026-04-21T03:00:00.000Z');
+
+class NotifyTester {
+  constructor() {
+    this.testResults = [];
+    this.workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'parkir-notify-'));
+    this.reportPath = path.join(this.workDir, 'report.json');
+    this.statePath = path.join(this.workDir, 'notify-state.json');
+    this.received = [];
+  }
+
+  /**
+   * Local stand-in for Slack, Teams, Telegram and a generic webhook: records
+   * every request and answers 500 on /fail
+   */
+  startReceiver() {
+    this.receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        this.received.push({ path: req.url, body: JSON.parse(body) });
+        res.writeHead(req.url === '/fail' ? 500 : 200);
+        res.end('ok');
+      });
+    });
+
+    return new Promise(resolve => {
+      this.receiver.listen(0, '127.0.0.1', () => {
+        this.baseUrl = `http://127.0.0.1:${this.receiver.address().port}`;
+        resolve();
+      });
+    });
+  }
+
+  env(overrides = {}) {
+    return {
+      SLACK_WEBHOOK_URL: `${this.baseUrl}/slack`,
+      TEAMS_WEBHOOK_URL: `${this.baseUrl}/teams`,
+      NOTIFY_WEBHOOK_URL: `${this.baseUrl}/webhook`,
+      TELEGRAM_BOT_TOKEN: 'TOKEN',
+      TELEGRAM_CHAT_ID: '-100123',
+      TELEGRAM_API_URL: this.baseUrl,
+      ...overrides
+    };
+  }
+
+  createReport(utilization, timestamp = NOW.toISOString()) {
+    return {
+      timestamp,
+      details: {
+        locations: Object.keys(utilization).map((name, index) => ({
+          id: index + 1,
+          name,
+          capacity: 100,
+          available: 100 - utilization[name],
+          utilization: utilization[name]
+        }))
+      },
+      metadata: { config: { threshold: 90 } }
+    };
+  }
+
+  writeReport(report) {
+    fs.writeFileSync(this.reportPath, JSON.stringify(report, null, 2));
+  }
+
+  run(options = {}) {
+    return notify({ reportPath: this.reportPath, statePath: this.statePath, env: this.env(), ...options });
+  }
+
+  async runAllTests() {
+    console.log('🧪 Running Utilization Notifier Tests\n');
+
+    await this.startReceiver();
+
+    try {
+      this.testDetectChanges();
+      await this.testValidatorReport();
+      await this.testTransports();
+      await this.testStateKept();
+      await this.testFailedDelivery();
+      await this.testNoTransports();
+      await this.testCli();
+    } finally {
+      await new Promise(resolve => this.receiver.close(resolve));
+    }
+
+    fs.rmSync(this.workDir, { recursive: true, force: true });
+    this.printResults();
+  }
+
+  record(test, passed, details) {
+    this.testResults.push({ test, passed, details });
+  }
+
+  testDetectChanges() {
+    const first = detectChanges(this.createReport({ SENOPATI: 95, NGABEAN: 50 }), null, { threshold: 90 });
+    const steady = detectChanges(this.createReport({ SENOPATI: 97, NGABEAN: 60 }), first.state, { threshold: 90 });
+    const recovered = detectChanges(this.createReport({ SENOPATI: 80, NGABEAN: 90 }), steady.state, { threshold: 90 });
+
+    this.record(
+      'Crossing and recovering are detected against the last state',
+      first.alerts.map(a => `${a.name}:${a.kind}`).join(',') === 'SENOPATI:crossed' &&
+        steady.alerts.length === 0 &&
+        recovered.alerts.map(a => `${a.name}:${a.kind}`).join(',') === 'SENOPATI:recovered,NGABEAN:crossed',
+      `first=${first.alerts.length}, steady=${steady.alerts.length}, recovered=${recovered.alerts.map(a => a.kind).join(',')}`
+    );
+  }
+
+  async testValidatorReport() {
+    const rootDir = path.join(this.workDir, 'root');
+    fs.mkdirSync(path.join(rootDir, 'data'), { recursive: true });
+    fs.writeFileSync(path.join(rootDir, 'data/parkir-data.json'), JSON.stringify({
+      metadata: { version: '2.0.0', last_updated: NOW.toISOString() },
+      statistics: {},
+      locations: [
+        { id: 1, nama: 'SENOPATI', bus: { total: 62, available: 2 }, mobil: { total: 0, available: 0 }, motor: { total: 0, available: 0 } },
+        { id: 2, nama: 'NGABEAN', bus: { total: 0, available: 0 }, mobil: { total: 80, available: 60 }, motor: { total: 0, available: 0 } }
+      ]
+    }));
+
+    const validator = new ParkingDataValidator({ rootDir, now: () => NOW, mode: 'report-only', backup: false, threshold: '90' });
+    const result = await validator.validate();
+    const locations = result.report?.details.locations || [];
+
+    this.record(
+      'Validation report flags every location against --threshold',
+      result.success && result.report.metadata.config.threshold === 90 &&
+        result.report.summary.locations_over_threshold === 1 &&
+        locations.map(l => `${l.name}:${l.utilization}:${l.over_threshold}`).join(',') === 'SENOPATI:96.8:true,NGABEAN:25:false',
+      locations.map(l => `${l.name}=${l.utilization}%`).join(', ')
+    );
+  }
+
+  async testTransports() {
+    this.received = [];
+    this.writeReport(this.createReport({ SENOPATI: 95 }));
+    const result = await this.run();
+    const byPath = Object.fromEntries(this.received.map(request => [request.path, request.body]));
+
+    this.record(
+      'Alerts reach Slack, Teams, Telegram and the webhook in their formats',
+      result.saved && result.results.every(entry => entry.ok) && this.received.length === 4 &&
+        byPath['/slack'].blocks[1].text.text === '🚨 SENOPATI: 95% terisi (ambang 90%)' &&
+        byPath['/teams']['@type'] === 'MessageCard' && byPath['/teams'].title === 'Parkir hampir penuh di 1 lokasi' &&
+        byPath['/botTOKEN/sendMessage'].chat_id === '-100123' &&
+        byPath['/webhook'].alerts[0].kind === 'crossed' && byPath['/webhook'].threshold === 90,
+      `paths=${this.received.map(request => request.path).join(',')}`
+    );
+  }
+
+  async testStateKept() {
+    this.received = [];
+    const before = fs.readFileSync(this.statePath, 'utf8');
+    this.writeReport(this.createReport({ SENOPATI: 97 }, '2026-04-21T03:30:00.000Z'));
+    const repeat = await this.run();
+    const untouched = fs.readFileSync(this.statePath, 'utf8') === before;
+    this.writeReport(this.createReport({ SENOPATI: 70 }, '2026-04-21T04:00:00.000Z'));
+    const recovery = await this.run({ env: this.env({ TEAMS_WEBHOOK_URL: '', TELEGRAM_BOT_TOKEN: '', NOTIFY_WEBHOOK_URL: '' }) });
+    const state = JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+
+    this.record(
+      'Each crossing is sent once, an unchanged state is not rewritten and recovery is announced',
+      repeat.alerts.length === 0 && repeat.saved && untouched && recovery.alerts[0]?.kind === 'recovered' && this.received.length === 1 &&
+        this.received[0].body.text.startsWith('Parkir kembali normal di 1 lokasi') &&
+        state.transports.slack.locations['1'].over === false &&
+        state.transports.slack.locations['1'].changed_at === '2026-04-21T04:00:00.000Z' &&
+        state.transports.teams.locations['1'].over === true,
+      `repeat=${repeat.alerts.length}, rewritten=${!untouched}, sent=${this.received.length}`
+    );
+  }
+
+  /**
+   * Teams, Telegram and the webhook still owe the recovery; Teams fails
+   */
+  async testFailedDelivery() {
+    this.received = [];
+    const result = await this.run({ env: this.env({ TEAMS_WEBHOOK_URL: `${this.baseUrl}/fail` }) });
+    const state = JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+    const firstPaths = this.received.map(request => request.path).sort().join(',');
+
+    this.received = [];
+    const retry = await this.run();
+
+    this.record(
+      'A failed transport is retried without resending to the others',
+      !result.saved && result.results.find(entry => entry.transport === 'teams').error === 'HTTP 500' &&
+        firstPaths === '/botTOKEN/sendMessage,/fail,/webhook' &&
+        state.transports.teams.locations['1'].over === true && state.transports.webhook.locations['1'].over === false &&
+        retry.saved && this.received.map(request => request.path).join(',') === '/teams',
+      `${result.results.map(entry => `${entry.transport}=${entry.ok ? 'ok' : entry.error}`).join(', ')}; ` +
+        `retry=${this.received.map(request => request.path).join(',')}`
+    );
+  }
+
+  async testNoTransports() {
+    const before = fs.readFileSync(this.statePath, 'utf8');
+    this.writeReport(this.createReport({ SENOPATI: 99 }, '2026-04-21T05:00:00.000Z'));
+    const result = await this.run({ env: {} });
+
+    this.record(
+      'Alerts are not marked as sent while no transport is configured',
+      !result.saved && result.alerts[0]?.kind === 'crossed' && result.results.length === 0 &&
+        fs.readFileSync(this.statePath, 'utf8') === before,
+      `alerts=${result.alerts.length}, saved=${result.saved}`
+    );
+  }
+
+  async testCli() {
+    this.received = [];
+    const run = await new Promise(resolve => {
+      execFile('node', [
+        path.join(__dirname, 'notify-utilization.js'),
+        `--report=${this.reportPath}`,
+        `--state=${this.statePath}`,
+        '--threshold=100'
+      ], { env: { ...process.env, ...this.env({ TEAMS_WEBHOOK_URL: '', TELEGRAM_BOT_TOKEN: '', NOTIFY_WEBHOOK_URL: '' }) } },
+      (error, stdout) => resolve({ code: error ? error.code : 0, stdout }));
+    });
+    const crossed = await new Promise(resolve => {
+      execFile('node', [
+        path.join(__dirname, 'notify-utilization.js'),
+        `--report=${this.reportPath}`,
+        `--state=${this.statePath}`
+      ], { env: { ...process.env, ...this.env({ TEAMS_WEBHOOK_URL: '', TELEGRAM_BOT_TOKEN: '', NOTIFY_WEBHOOK_URL: '' }) } },
+      (error, stdout) => resolve({ code: error ? error.code : 0, stdout }));
+    });
+
+    this.record(
+      'CLI takes --threshold and reports what it sent',
+      run.code === 0 && run.stdout.includes('No threshold crossings (100%)') &&
+        crossed.code === 0 && crossed.stdout.includes('📨 Sent via slack') && this.received.length === 1,
+      `exit=${run.code}/${crossed.code}, sent=${this.received.length}`
+    );
+  }
+
+  printResults() {
+    console.log('\n' + '='.repeat(60));
+    console.log('UTILIZATION NOTIFIER TEST RESULTS');
+    console.log('='.repeat(60));
+
+    let passed = 0;
+    let failed = 0;
+
+    this.testResults.forEach((result, index) => {
+      const status = result.passed ? '✅ PASS' : '❌ FAIL';
+      console.log(`${index + 1}. ${status} - ${result.test}`);
+
+      if (result.details) {
+        console.log(`   Details: ${result.details}`);
+      }
+
+      result.passed ? passed++ : failed++;
+    });
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`TOTAL: ${this.testResults.length} tests`);
+    console.log(`PASSED: ${passed}`);
+    console.log(`FAILED: ${failed}`);
+    console.log('='.repeat(60));
+
+    if (failed > 0) {
+      process.exit(1);
+    }
+  }
+}
+
+// Run tests
+(async () => {
+  const tester = new NotifyTester();
+  await tester.runAllTests();
+})();
@@ -0,0 +1,353 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { OperationStore, formatPeriod } = require('./operations');
+const { operationPaths } = require('./operation-paths');
+const { readDataFile } = require('./data-store');
+const { ReviewQueue } = require('./review-queue');
+
+const NOW = new Date('2026-10-19T08:00:00.000Z');
+
+class OperationsTester {
+  constructor() {
+    this.testResults = [];
+    this.workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'parkir-operations-'));
+    this.sourceData = JSON.parse(fs.readFileSync(path.resolve(__dirname, '../data/parkir-data.json'), 'utf8'));
+  }
+
+  path(relative) {
+    return path.join(this.workDir, 'root', relative);
+  }
+
+  readJson(relative) {
+    return JSON.parse(fs.readFileSync(this.path(relative), 'utf8'));
+  }
+
+  /**
+   * Data from before operations existed: Ops Ketupat with some spaces taken
+   * and no pending updates
+   */
+  reset() {
+    fs.rmSync(path.join(this.workDir, 'root'), { recursive: true, force: true });
+    fs.mkdirSync(this.path('data'), { recursive: true });
+
+    const data = JSON.parse(JSON.stringify(this.sourceData));
+    delete data.metadata.operation;
+    delete data.metadata.checksum;
+    data.metadata.operation_name = 'Operasi Ketupat Progo 2026';
+    data.metadata.operation_period = '20-26 April 2026';
+    data.locations[0].mobil.available = 12;
+    data.locations[1].status = 'closed';
+    data.locations[1].notes = 'Banjir';
+
+    fs.writeFileSync(this.path('data/parkir-data.json'), JSON.stringify(data, null, 2));
+    fs.writeFileSync(this.path('data/pending-updates.json'), '[]');
+
+    return new OperationStore({ rootDir: path.join(this.workDir, 'root'), now: () => NOW });
+  }
+
+  /**
+   * Ops Ketupat registered and Nataru created from it
+   */
+  setUp() {
+    const store = this.reset();
+    store.init({ slug: 'ketupat-progo-2026', start: '2026-04-20', end: '2026-04-26' });
+    store.create({ slug: 'nataru-2026', name: 'Operasi Lilin Progo 2026', start: '2026-12-23', end: '2027-01-02' });
+    return store;
+  }
+
+  cli(...args) {
+    return spawnSync('node', [
+      path.join(__dirname, 'manage-operations.js'),
+      ...args,
+      `--root=${path.join(this.workDir, 'root')}`
+    ], { encoding: 'utf8' });
+  }
+
+  attempt(fn) {
+    try {
+      fn();
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  async runAllTests() {
+    console.log('🧪 Running Operations Tests\n');
+
+    this.testInit();
+    this.testCreateClonesLocations();
+    this.testActivateArchives();
+    this.testActivateRefusesPendingUpdates();
+    this.testInitAdoptsStores();
+    this.testStoresFollowActiveOperation();
+    this.testRecoveryStaysInOperation();
+    this.testCli();
+
+    fs.rmSync(this.workDir, { recursive: true, force: true });
+    this.printResults();
+  }
+
+  record(test, passed, details) {
+    this.testResults.push({ test, passed, details });
+  }
+
+  testInit() {
+    const store = this.reset();
+    const operation = store.init({ slug: 'ketupat-progo-2026', start: '2026-04-20', end: '2026-04-26' });
+    const data = this.readJson('data/parkir-data.json');
+    const active = this.readJson('data/operations/active.json');
+    const again = this.attempt(() => store.init({ slug: 'ketupat-2', start: '2026-04-20', end: '2026-04-26' }));
+
+    this.record(
+      'init registers the live data as the active operation',
+      operation.name === 'Operasi Ketupat Progo 2026' && operation.period.label === '20-26 April 2026' &&
+        active.slug === 'ketupat-progo-2026' && active.period.start === '2026-04-20' &&
+        data.metadata.operation.slug === 'ketupat-progo-2026' && /^sha256:/.test(data.metadata.checksum) &&
+        data.locations[0].mobil.available === 12 &&
+        again === 'Operations already set up (active: ketupat-progo-2026)' &&
+        formatPeriod('2026-12-23', '2027-01-02') === '23 Desember 2026 - 2 Januari 2027' &&
+        formatPeriod('2026-06-28', '2026-07-03') === '28 Juni - 3 Juli 2026',
+      `${active.slug}: ${active.name}, ${active.period.label}; ${again}`
+    );
+  }
+
+  testCreateClonesLocations() {
+    const store = this.reset();
+    store.init({ slug: 'ketupat-progo-2026', start: '2026-04-20', end: '2026-04-26' });
+    const liveBefore = fs.readFileSync(this.path('data/parkir-data.json'), 'utf8');
+
+    const { operation, dropped_schedules: dropped } = store.create({
+      slug: 'nataru-2026', name: 'Operasi Lilin Progo 2026', start: '2026-12-23', end: '2027-01-02'
+    });
+    const data = this.readJson('data/operations/nataru-2026/parkir-data.json');
+    const source = this.sourceData.locations;
+    const scheduled = source.filter(location => location.capacity_schedule).map(location => location.nama);
+
+    const errors = [
+      { slug: 'Nataru 2026', name: 'x', start: '2026-12-23', end: '2027-01-02' },
+      { slug: 'nataru-2027', name: 'x', start: '2027-12-23', end: '2027-12-01' },
+      { slug: 'nataru-2026', name: 'x', start: '2026-12-23', end: '2027-01-02' },
+      { slug: 'lebaran-2027', name: 'x', start: '2027-03-10', end: '2027-03-16', from: 'missing' }
+    ].map(options => this.attempt(() => store.create(options)));
+
+    this.record(
+      'create copies the location set with every space free, without activating it',
+      operation.cloned_from === 'ketupat-progo-2026' && store.active().slug === 'ketupat-progo-2026' &&
+        data.metadata.operation_period === '23 Desember 2026 - 2 Januari 2027' &&
+        data.locations.map(location => `${location.id}:${location.nama}`).join() ===
+          source.map(location => `${location.id}:${location.nama}`).join() &&
+        data.locations.every(location => location.status === 'open' && location.notes === '' && !location.capacity_schedule &&
+          ['bus', 'mobil', 'motor'].every(type => location[type].available === location[type].total)) &&
+        data.locations[0].mobil.total === source[0].mobil.total &&
+        data.statistics.utilization.overall === 0 &&
+        dropped.join() === scheduled.join() && scheduled.length > 0 &&
+        fs.readFileSync(this.path('data/parkir-data.json'), 'utf8') === liveBefore &&
+        errors[0].startsWith('Invalid operation slug') && errors[1].includes('before it starts') &&
+        errors[2] === 'Operation already exists: nataru-2026' && errors[3] === 'Operation not found: missing',
+      `dropped=${dropped.join(', ')}; ${errors.join(' | ')}`
+    );
+  }
+
+  testActivateArchives() {
+    const store = this.setUp();
+    const ketupat = fs.readFileSync(this.path('data/parkir-data.json'), 'utf8');
+
+    const { previous } = store.activate('nataru-2026');
+    const live = this.readJson('data/parkir-data.json');
+    const active = this.readJson('data/operations/active.json');
+    const archived = fs.readFileSync(this.path('data/operations/ketupat-progo-2026/parkir-data.json'), 'utf8');
+
+    store.activate('ketupat-progo-2026');
+    const back = this.readJson('data/parkir-data.json');
+    const again = this.attempt(() => store.activate('ketupat-progo-2026'));
+
+    this.record(
+      'activate archives the live data and switches the pointer, both ways',
+      previous === 'ketupat-progo-2026' && archived === ketupat &&
+        live.metadata.operation.slug === 'nataru-2026' && live.metadata.operation_name === 'Operasi Lilin Progo 2026' &&
+        live.locations[0].mobil.available === live.locations[0].mobil.total &&
+        active.slug === 'nataru-2026' && active.period.label === '23 Desember 2026 - 2 Januari 2027' &&
+        back.locations[0].mobil.available === 12 && back.locations[1].notes === 'Banjir' &&
+        store.list().map(operation => `${operation.slug}:${operation.active}`).join() === 'ketupat-progo-2026:true,nataru-2026:false' &&
+        again === 'Operation ketupat-progo-2026 is already active',
+      `live=${live.metadata.operation.slug}, back=${back.metadata.operation.slug}`
+    );
+  }
+
+  testActivateRefusesPendingUpdates() {
+    const store = this.setUp();
+    fs.writeFileSync(this.path('data/pending-updates.json'), JSON.stringify([{ location: 'SENOPATI', status: 'failed' }]));
+    const before = fs.readFileSync(this.path('data/parkir-data.json'), 'utf8');
+    const pending = this.attempt(() => store.activate('nataru-2026'));
+    const untouched = fs.readFileSync(this.path('data/parkir-data.json'), 'utf8') === before &&
+      store.active().slug === 'ketupat-progo-2026' &&
+      !fs.existsSync(this.path('data/operations/ketupat-progo-2026/parkir-data.json'));
+
+    // Data from before operations existed is never overwritten
+    const unregistered = this.reset();
+    fs.mkdirSync(this.path('data/operations/nataru-2026'), { recursive: true });
+    fs.writeFileSync(this.path('data/operations/nataru-2026/operation.json'), JSON.stringify({ slug: 'nataru-2026' }));
+    const notInit = this.attempt(() => unregistered.activate('nataru-2026'));
+
+    // Nothing active and no live data yet, but a queue left behind
+    fs.rmSync(this.path('data/parkir-data.json'));
+    fs.writeFileSync(this.path('data/pending-updates.json'), JSON.stringify([{ location: 'SENOPATI', status: 'pending' }]));
+    const noData = this.attempt(() => unregistered.activate('nataru-2026'));
+
+    this.record(
+      'activate refuses while updates are pending or the live data is unregistered',
+      pending === '1 update(s) still pending for ketupat-progo-2026; process or clear them first' &&
+        untouched &&
+        notInit === 'The current data is not registered as an operation (run "init" first)' &&
+        noData === '1 update(s) still pending for the current data; process or clear them first' &&
+        !fs.existsSync(this.path('data/operations/active.json')),
+      `${pending} | ${notInit} | ${noData}`
+    );
+  }
+
+  testInitAdoptsStores() {
+    const store = this.reset();
+    ['data/updates/archive/events-2026-04-21.jsonl', 'data/updates/quarantine.json', 'data/timeseries/occupancy-2026-04-21.jsonl',
+      'data/history/1.json', 'data/backups/parkir-data-backup-2026-04-21T02-00-00-000Z.json'].forEach(file => {
+      fs.mkdirSync(path.dirname(this.path(file)), { recursive: true });
+      fs.writeFileSync(this.path(file), file.endsWith('.jsonl') ? '' : '[]');
+    });
+
+    const before = operationPaths(path.join(this.workDir, 'root'));
+    store.init({ slug: 'ketupat-progo-2026', start: '2026-04-20', end: '2026-04-26' });
+    const after = operationPaths(path.join(this.workDir, 'root'));
+    const moved = ['updates/archive/events-2026-04-21.jsonl', 'updates/quarantine.json', 'timeseries/occupancy-2026-04-21.jsonl',
+      'history/1.json', 'backups/parkir-data-backup-2026-04-21T02-00-00-000Z.json'];
+
+    this.record(
+      'init moves the stores kept in data/ into the operation',
+      before.slug === null && before.archiveDir === this.path('data/updates/archive') &&
+        after.slug === 'ketupat-progo-2026' && after.archiveDir === this.path('data/operations/ketupat-progo-2026/updates/archive') &&
+        moved.every(file => fs.existsSync(this.path(`data/operations/ketupat-progo-2026/${file}`))) &&
+        ['updates/archive', 'updates/quarantine.json', 'timeseries', 'history', 'backups'].every(store => !fs.existsSync(this.path(`data/${store}`))),
+      fs.readdirSync(this.path('data/operations/ketupat-progo-2026')).join(', ')
+    );
+  }
+
+  /**
+   * An update processed after activating Nataru lands in Nataru's stores only
+   */
+  testStoresFollowActiveOperation() {
+    const store = this.setUp();
+    store.activate('nataru-2026');
+
+    const location = this.readJson('data/parkir-data.json').locations[0];
+    const type = ['bus', 'mobil', 'motor'].find(vehicle => location[vehicle].total > 0);
+    fs.writeFileSync(this.path('data/pending-updates.json'), JSON.stringify([{
+      location_id: location.id, petugas_name: 'P001', [type]: location[type].total - 1,
+      timestamp: new Date().toISOString(), received_at: new Date().toISOString()
+    }]));
+
+    const run = spawnSync('node', [path.resolve(__dirname, '../process-updates.js')], {
+      cwd: path.join(this.workDir, 'root'), encoding: 'utf8'
+    });
+    const nataru = 'data/operations/nataru-2026';
+    const events = fs.existsSync(this.path(`${nataru}/updates/archive`)) ? fs.readdirSync(this.path(`${nataru}/updates/archive`)) : [];
+    const queue = new ReviewQueue({ rootDir: path.join(this.workDir, 'root') });
+
+    this.record(
+      'Event log, time series, history and review queues follow the active operation',
+      run.status === 0 && events.some(file => file.startsWith('events-')) &&
+        fs.readdirSync(this.path(`${nataru}/timeseries`)).length > 0 && fs.existsSync(this.path(`${nataru}/history/${location.id}.json`)) &&
+        !fs.existsSync(this.path('data/operations/ketupat-progo-2026/updates')) &&
+        !['updates', 'timeseries', 'history'].some(store => fs.existsSync(this.path(`data/${store}`))) &&
+        queue.config.quarantinePath === this.path(`${nataru}/updates/quarantine.json`),
+      `events=${events.join(',')}${run.status === 0 ? '' : `; ${run.stderr}`}`
+    );
+  }
+
+  /**
+   * A torn live file after activating Nataru is never restored from a
+   * Ketupat backup, even one left in Nataru's folder
+   */
+  testRecoveryStaysInOperation() {
+    const store = this.setUp();
+    const ketupat = fs.readFileSync(this.path('data/parkir-data.json'), 'utf8');
+    store.activate('nataru-2026');
+    const nataru = fs.readFileSync(this.path('data/parkir-data.json'), 'utf8');
+
+    const backupDir = this.path('data/operations/nataru-2026/backups');
+    const tear = () => fs.writeFileSync(this.path('data/parkir-data.json'), nataru.slice(0, 200));
+    fs.mkdirSync(backupDir, { recursive: true });
+    fs.writeFileSync(path.join(backupDir, 'parkir-data-backup-2026-10-19T09-00-00-000Z.json'), ketupat);
+
+    tear();
+    const onlyOther = this.attempt(() => readDataFile(this.path('data/parkir-data.json')));
+
+    fs.writeFileSync(path.join(backupDir, 'parkir-data-backup-2026-10-19T08-00-00-000Z.json'), nataru);
+    tear();
+    const { data, recovered } = readDataFile(this.path('data/parkir-data.json'));
+
+    this.record(
+      'A torn file is only restored from a backup of the active operation',
+      onlyOther?.includes(`no usable backup in ${backupDir}`) &&
+        data.metadata.operation.slug === 'nataru-2026' && path.basename(recovered.from) === 'parkir-data-backup-2026-10-19T08-00-00-000Z.json',
+      `${onlyOther}; restored ${recovered && path.basename(recovered.from)}`
+    );
+  }
+
+  testCli() {
+    this.reset();
+    const init = this.cli('init', '--slug=ketupat-progo-2026', '--start=2026-04-20', '--end=2026-04-26');
+    const create = this.cli('create', '--slug=nataru-2026', '--name=Operasi Lilin Progo 2026', '--start=2026-12-23', '--end=2027-01-02');
+    const activate = this.cli('activate', '--slug=nataru-2026');
+    const list = this.cli('list');
+    const bad = this.cli('activate', '--slug=missing');
+
+    this.record(
+      'CLI creates, activates and lists operations',
+      [init, create, activate, list].every(result => result.status === 0) &&
+        create.stdout.includes('⚠️  Capacity schedules not copied') &&
+        activate.stdout.includes('▶️  Operasi Lilin Progo 2026 (23 Desember 2026 - 2 Januari 2027) is now active') &&
+        list.stdout.includes('▶️  nataru-2026') && list.stdout.includes('   ketupat-progo-2026') &&
+        bad.status === 1 && bad.stderr.includes('Operation not found: missing'),
+      list.stdout.trim().replace(/\n/g, ' | ') || `${init.stderr}${create.stderr}${activate.stderr}`
+    );
+  }
+
+  printResults() {
+    console.log('\n' + '='.repeat(60));
+    console.log('OPERATIONS TEST RESULTS');
+    console.log('='.repeat(60));
+
+    let passed = 0;
+    let failed = 0;
+
+    this.testResults.forEach((result, index) => {
+      const status = result.passed ? '✅ PASS' : '❌ FAIL';
+      console.log(`${index + 1}. ${status} - ${result.test}`);
+
+      if (result.details) {
+        console.log(`   Details: ${result.details}`);
+      }
+
+      result.passed ? passed++ : failed++;
+    });
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`TOTAL: ${this.testResults.length} tests`);
+    console.log(`PASSED: ${passed}`);
+    console.log(`FAILED: ${failed}`);
+    console.log('='.repeat(60));
+
+    if (failed > 0) {
+      process.exit(1);
+    }
+  }
+}
+
+// Run tests
+(async () => {
+  const tester = new OperationsTester();
+  await tester.runAllTests();
+})();
@@ -0,0 +1,382 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { applyUpdates, isDue } = require('./update-processor');
+
+const NOW = new Date('2026-04-21T03:00:00.000Z');
+
+class ProcessorTester {
+  constructor() {
+    this.testResults = [];
+  }
+
+  createData() {
+    return {
+      metadata: { version: '2.0.0', last_updated: '2026-04-20T00:00:00.000Z' },
+      statistics: {},
+      locations: [
+        {
+          id: 1,
+          nama: 'SENOPATI',
+          bus: { total: 62, available: 62 },
+          mobil: { total: 200, available: 200 },
+          motor: { total: 0, available: 0 }
+        },
+        {
+          id: 2,
+          nama: 'NGABEAN',
+          aliases: ['NGABEAN BARAT'],
+          bus: { total: 60, available: 60 },
+          mobil: { total: 80, available: 80 },
+          motor: { total: 100, available: 100 }
+        }
+      ]
+    };
+  }
+
+  async runAllTests() {
+    console.log('🧪 Running Update Processor Tests\n');
+
+    await this.testAppliesUpdates();
+    await this.testNoChanges();
+    await this.testFailures();
+    await this.testSkipsHandledUpdates();
+    await this.testOffHoursFlag();
+    await this.testLocationStatus();
+    await this.testLastWriterWins();
+    await this.testConfirmationKeepsOrder();
+    await this.testConflicts();
+    await this.testRetryBackoff();
+    await this.testDeadLetter();
+    await this.testRetryRun();
+    await this.testIdleRunSamples();
+
+    this.printResults();
+  }
+
+  record(test, passed, details) {
+    this.testResults.push({ test, passed, details });
+  }
+
+  async testAppliesUpdates() {
+    const data = this.createData();
+    const report = applyUpdates(data, [
+      { location_id: 1, petugas_name: 'P001SEN', bus: 40, timestamp: '2026-04-21T02:59:00Z' },
+      { location_id: 'ngabean barat', petugas_name: 'P002NGA', motor: 10 }
+    ], { now: NOW });
+
+    this.record(
+      'Applies updates by id and alias',
+      report.processed.length === 2 && data.locations[0].bus.available === 40 && data.locations[1].motor.available === 10,
+      `processed=${report.processed.length}, bus=${data.locations[0].bus.available}, motor=${data.locations[1].motor.available}`
+    );
+
+    this.record(
+      'Stamps counts with the report time and the run with the injected clock',
+      data.locations[0].bus.last_update === '2026-04-21T02:59:00.000Z' &&
+        data.locations[1].motor.last_update === NOW.toISOString() && data.metadata.last_updated === NOW.toISOString(),
+      `${data.locations[0].bus.last_update} / ${data.metadata.last_updated}`
+    );
+
+    this.record(
+      'Reports updated locations and statistics',
+      report.updated_locations.join(',') === 'SENOPATI,NGABEAN' && report.statistics.available.motor === 10,
+      `${report.updated_locations.join(',')} / ${JSON.stringify(report.statistics.available)}`
+    );
+  }
+
+  async testNoChanges() {
+    const data = this.createData();
+    const report = applyUpdates(data, [
+      { location_id: 2, petugas_name: 'P002NGA', mobil: 80 }
+    ], { now: NOW });
+
+    this.record(
+      'Unchanged values are reported as no_changes',
+      report.no_changes.length === 1 && report.processed.length === 0 && report.statistics === null &&
+        data.metadata.last_updated === '2026-04-20T00:00:00.000Z',
+      `no_changes=${report.no_changes.length}, status=${report.no_changes[0]?.status}`
+    );
+  }
+
+  async testFailures() {
+    const data = this.createData();
+    const report = applyUpdates(data, [
+      { location_id: 99, petugas_name: 'P099', bus: 1 },
+      { location_id: 1, bus: 1 },
+      { location_id: 1, petugas_name: 'P001SEN', bus: 'abc' }
+    ], { now: NOW });
+
+    this.record(
+      'Invalid updates are reported as failed',
+      report.failed.length === 3 && report.failed.every(u => u.status === 'failed' && u.error),
+      report.failed.map(u => u.error).join(' | ')
+    );
+  }
+
+  async testSkipsHandledUpdates() {
+    const data = this.createData();
+    const report = applyUpdates(data, [
+      { location_id: 1, petugas_name: 'P001SEN', bus: 1, status: 'processed', processed_at: '2026-04-20T00:00:00Z' }
+    ], { now: NOW });
+
+    this.record(
+      'Already processed updates are skipped',
+      report.skipped.length === 1 && data.locations[0].bus.available === 62,
+      `skipped=${report.skipped.length}`
+    );
+  }
+
+  async testOffHoursFlag() {
+    const data = this.createData();
+    data.locations[0].operational_hours = '06:00-22:00';
+    const report = applyUpdates(data, [
+      // 03:00 WIB
+      { location_id: 1, petugas_name: 'P001SEN', bus: 30, timestamp: '2026-04-20T20:00:00Z' },
+      { location_id: 1, petugas_name: 'P001SEN', bus: 20, timestamp: '2026-04-21T02:59:00Z' }
+    ], { now: NOW });
+
+    this.record(
+      'Updates submitted outside opening hours are applied and flagged',
+      report.processed.length === 2 && report.off_hours.length === 1 &&
+        report.off_hours[0].flags.join(',') === 'off_hours' && report.events[0].flags[0] === 'off_hours' &&
+        !report.events[1].flags && report.operating_status.SENOPATI === 'open',
+      `off_hours=${report.off_hours.length}, status=${report.operating_status.SENOPATI}`
+    );
+  }
+
+  async testLocationStatus() {
+    const data = this.createData();
+    const closed = applyUpdates(data, [
+      { location_id: 2, petugas_name: 'P002NGA', location_status: 'closed', closed_reason: 'Area tergenang' }
+    ], { now: NOW });
+    const closedState = { ...data.locations[1] };
+
+    const reopened = applyUpdates(data, [
+      { location_id: 2, petugas_name: 'P002NGA', location_status: 'open' }
+    ], { now: NOW });
+
+    this.record(
+      'Officers can close a location with a reason and reopen it',
+      closedState.status === 'closed' && closedState.closed_reason === 'Area tergenang' &&
+        closed.operating_status.NGABEAN === 'closed' && closed.events[0].values.status.value === 'closed' &&
+        data.locations[1].status === 'open' && data.locations[1].closed_reason === undefined &&
+        reopened.operating_status.NGABEAN === 'open',
+      `closed=${closed.operating_status.NGABEAN}, reopened=${reopened.operating_status.NGABEAN}`
+    );
+  }
+
+  async testLastWriterWins() {
+    const data = this.createData();
+    const batch = applyUpdates(data, [
+      { location_id: 1, petugas_name: 'P001SEN', bus: 20, timestamp: '2026-04-21T02:50:00Z' },
+      // Reached the queue later, but was reported earlier
+      { location_id: 1, petugas_name: 'P001SEN', bus: 35, mobil: 150, timestamp: '2026-04-21T02:40:00Z' }
+    ], { now: NOW });
+
+    const delayed = applyUpdates(data, [
+      { location_id: 1, petugas_name: 'P001SEN', bus: 50, timestamp: '2026-04-21T02:45:00Z' }
+    ], { now: new Date('2026-04-21T03:10:00Z') });
+
+    this.record(
+      'Newest report wins regardless of queue order',
+      data.locations[0].bus.available === 20 && data.locations[0].mobil.available === 150 &&
+        batch.processed.length === 2 && batch.events[1].values.bus.value === 20,
+      `bus=${data.locations[0].bus.available}, mobil=${data.locations[0].mobil.available}`
+    );
+
+    this.record(
+      'Delayed older report is superseded',
+      delayed.superseded.length === 1 && delayed.superseded[0].status === 'superseded' &&
+        delayed.superseded[0].superseded_fields.join(',') === 'bus' && delayed.events.length === 0 &&
+        data.locations[0].bus.available === 20,
+      `status=${delayed.superseded[0]?.status}, bus=${data.locations[0].bus.available}`
+    );
+  }
+
+  async testConfirmationKeepsOrder() {
+    const data = this.createData();
+    applyUpdates(data, [
+      { location_id: 2, petugas_name: 'P002NGA', mobil: 40, timestamp: '2026-04-21T02:00:00Z' },
+      { location_id: 2, petugas_name: 'P002NGA', mobil: 40, timestamp: '2026-04-21T02:30:00Z' }
+    ], { now: NOW });
+    const delayed = applyUpdates(data, [
+      { location_id: 2, petugas_name: 'P002NGA', mobil: 55, timestamp: '2026-04-21T02:15:00Z' }
+    ], { now: NOW });
+
+    this.record(
+      'A confirmed count is newer than reports made before the confirmation',
+      data.locations[1].mobil.last_update === '2026-04-21T02:30:00.000Z' &&
+        delayed.superseded.length === 1 && data.locations[1].mobil.available === 40,
+      `last_update=${data.locations[1].mobil.last_update}, superseded=${delayed.superseded.length}`
+    );
+  }
+
+  async testConflicts() {
+    const data = this.createData();
+    const report = applyUpdates(data, [
+      { location_id: 2, petugas_name: 'P002NGA', bus: 30, timestamp: '2026-04-21T02:50:00Z', client_id: 'ngabean-a-0001' },
+      { location_id: 2, petugas_name: 'P016', bus: 12, timestamp: '2026-04-21T02:51:00Z', client_id: 'ngabean-b-0001' },
+      // Same officer correcting, and another officer well outside the window
+      { location_id: 2, petugas_name: 'P016', bus: 10, timestamp: '2026-04-21T02:51:30Z' },
+      { location_id: 2, petugas_name: 'P002NGA', bus: 8, timestamp: '2026-04-21T02:58:00Z' }
+    ], { now: NOW });
+
+    const [conflict] = report.conflicts;
+
+    this.record(
+      'Different counts from two officers within the window are flagged',
+      report.conflicts.length === 1 && conflict.type === 'bus' &&
+        conflict.reports.map(r => `${r.officer}=${r.value}`).join(',') === 'P016=12,P002NGA=30' &&
+        report.processed.filter(u => u.flags?.includes('conflict')).length === 1 &&
+        data.locations[1].bus.available === 8,
+      report.conflicts.map(c => c.reports.map(r => `${r.officer}=${r.value}`).join(' vs ')).join('; ')
+    );
+  }
+
+  async testRetryBackoff() {
+    const later = minutes => new Date(NOW.getTime() + minutes * 60000);
+
+    const first = applyUpdates(this.createData(), [{ location_id: 99, petugas_name: 'P099', bus: 1 }], { now: NOW });
+    const [failed] = first.failed;
+    const early = applyUpdates(this.createData(), [failed], { now: later(1) });
+    const second = applyUpdates(this.createData(), [failed], { now: later(2) });
+    const [again] = second.failed;
+
+    // A failed update that succeeds once the cause is fixed
+    const recovered = applyUpdates(this.createData(), [
+      { location_id: 1, petugas_name: 'P001SEN', bus: 10, status: 'failed', attempts: 2, error: 'Location 1 not found', next_retry_at: later(-1).toISOString() }
+    ], { now: NOW });
+
+    this.record(
+      'Failed updates wait for an exponential backoff before the next attempt',
+      failed.attempts === 1 && failed.next_retry_at === later(2).toISOString() &&
+        !isDue(failed, later(1)) && isDue(failed, later(2)) &&
+        early.waiting.length === 1 && early.failed.length === 0 && early.retries.length === 0 &&
+        again.attempts === 2 && again.next_retry_at === later(6).toISOString() &&
+        second.retries[0].attempt === 2 && second.retries[0].status === 'failed' &&
+        recovered.processed.length === 1 && recovered.processed[0].next_retry_at === undefined &&
+        recovered.retries[0].attempt === 3 && recovered.retries[0].status === 'processed' && recovered.retries[0].error === null,
+      `next=${failed.next_retry_at}, then=${again.next_retry_at}, recovered=${recovered.retries[0].status}`
+    );
+  }
+
+  async testDeadLetter() {
+    const report = applyUpdates(this.createData(), [
+      { location_id: 99, petugas_name: 'P099', bus: 1, status: 'failed', attempts: 2, error: 'Location 99 not found' },
+      { location_id: 1, bus: 1, status: 'failed', attempts: 1, error: 'Missing required fields' }
+    ], { now: NOW, retry: { maxAttempts: 3 } });
+
+    const [dead] = report.dead_letter;
+
+    this.record(
+      'Updates out of attempts move to the dead letter',
+      report.dead_letter.length === 1 && dead.status === 'dead_letter' && dead.attempts === 3 &&
+        dead.dead_lettered_at === NOW.toISOString() && dead.next_retry_at === undefined && !isDue(dead, NOW) &&
+        report.failed.length === 1 && report.failed[0].attempts === 2 &&
+        report.retries.map(r => r.status).join(',') === 'dead_letter,failed',
+      report.retries.map(r => `${r.location}:${r.attempt}/${r.max_attempts}:${r.status}`).join(', ')
+    );
+  }
+
+  async testRetryRun() {
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'parkir-retry-'));
+    const future = new Date(Date.now() + 30 * 60000).toISOString();
+
+    try {
+      const data = this.createData();
+      data.locations[0].bus.last_update = '2026-04-21T00:00:00.000Z';
+      fs.mkdirSync(path.join(workDir, 'data'));
+      fs.writeFileSync(path.join(workDir, 'data/parkir-data.json'), JSON.stringify(data));
+      fs.writeFileSync(path.join(workDir, 'data/pending-updates.json'), JSON.stringify([
+        { location_id: 99, petugas_name: 'P099', bus: 1, status: 'failed', attempts: 4, error: 'Location 99 not found' },
+        // Older than the stored count by the time it is retried: held back, not recovered
+        { location_id: 1, petugas_name: 'P001SEN', bus: 10, timestamp: '2026-04-20T23:00:00.000Z', status: 'failed', attempts: 1, error: 'Write failed' },
+        { location_id: 98, petugas_name: 'P098', bus: 1, status: 'failed', attempts: 1, error: 'Location 98 not found', next_retry_at: future }
+      ]));
+
+      const output = execFileSync('node', [path.resolve(__dirname, '../process-updates.js')], { cwd: workDir, encoding: 'utf8', stdio: 'pipe' });
+      const pending = JSON.parse(fs.readFileSync(path.join(workDir, 'data/pending-updates.json'), 'utf8'));
+      const deadLetter = JSON.parse(fs.readFileSync(path.join(workDir, 'data/updates/dead-letter.json'), 'utf8'));
+
+      this.record(
+        'Retry runs keep waiting updates, dead-letter exhausted ones and summarise each retry',
+        pending.length === 1 && pending[0].location_id === 98 && pending[0].next_retry_at === future &&
+          deadLetter.length === 1 && deadLetter[0].location_id === 99 &&
+          output.includes('(1 waiting to retry)') &&
+          output.includes('🔁 Retry 5/5 of 99 from P099: dead_letter (Location 99 not found)') &&
+          output.includes('🔁 Retried: 2 (0 recovered, 1 held back, 0 failed again, 1 dead-lettered)'),
+        `pending=${pending.length}, dead letter=${deadLetter.length}`
+      );
+    } finally {
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
+  }
+
+  async testIdleRunSamples() {
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'parkir-idle-'));
+
+    try {
+      fs.mkdirSync(path.join(workDir, 'data'));
+      fs.writeFileSync(path.join(workDir, 'data/parkir-data.json'), JSON.stringify(this.createData()));
+      fs.writeFileSync(path.join(workDir, 'data/pending-updates.json'), '[]');
+
+      const run = () => execFileSync('node', [path.resolve(__dirname, '../process-updates.js')], { cwd: workDir, encoding: 'utf8', stdio: 'pipe' });
+      const first = run();
+      const second = run();
+
+      const timeseriesDir = path.join(workDir, 'data/timeseries');
+      const samples = fs.readdirSync(timeseriesDir)
+        .flatMap(file => fs.readFileSync(path.join(timeseriesDir, file), 'utf8').split('\n').filter(Boolean));
+
+      this.record(
+        'Runs with nothing to process still sample, at most once per interval',
+        first.includes('No updates to process') && first.includes('📈 Sampled occupancy') &&
+          !second.includes('📈 Sampled occupancy') && samples.length === 1 &&
+          fs.existsSync(path.join(workDir, 'data/history/1.json')),
+        `samples=${samples.length}`
+      );
+    } finally {
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
+  }
+
+  printResults() {
+    console.log('\n' + '='.repeat(60));
+    console.log('UPDATE PROCESSOR TEST RESULTS');
+    console.log('='.repeat(60));
+
+    let passed = 0;
+    let failed = 0;
+
+    this.testResults.forEach((result, index) => {
+      const status = result.passed ? '✅ PASS' : '❌ FAIL';
+      console.log(`${index + 1}. ${status} - ${result.test}`);
+
+      if (result.details) {
+        console.log(`   Details: ${result.details}`);
+      }
+
+      result.passed ? passed++ : failed++;
+    });
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`TOTAL: ${this.testResults.length} tests`);
+    console.log(`PASSED: ${passed}`);
+    console.log(`FAILED: ${failed}`);
+    console.log('='.repeat(60));
+
+    if (failed > 0) {
+      process.exit(1);
+    }
+  }
+}
+
+// Run tests
+(async () => {
+  const tester = new ProcessorTester();
+  await tester.runAllTests();
+})();
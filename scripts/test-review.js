@@ -0,0 +1,387 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ReviewQueue } = require('./review-queue');
+const { applyUpdates } = require('./update-processor');
+const { IngestionServer } = require('./server');
+const { OfficerStore } = require('./officer-auth');
+
+const NOW = new Date('2026-04-21T03:00:00.000Z');
+
+function minutesAgo(minutes) {
+  return new Date(NOW.getTime() - minutes * 60000).toISOString();
+}
+
+class ReviewQueueTester {
+  constructor() {
+    this.testResults = [];
+    this.workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'parkir-review-'));
+    this.rootDir = path.join(this.workDir, 'root');
+    this.sourceData = fs.readFileSync(path.resolve(__dirname, '../data/parkir-data.json'), 'utf8');
+  }
+
+  path(relative) {
+    return path.join(this.rootDir, relative);
+  }
+
+  readJson(relative) {
+    return JSON.parse(fs.readFileSync(this.path(relative), 'utf8'));
+  }
+
+  /**
+   * One entry in each queue: a waiting and a failed update in
+   * pending-updates.json, a quarantined jump, an invalid submission and an
+   * update out of retry attempts; two open conflicts and a resolved one
+   */
+  reset() {
+    fs.rmSync(this.rootDir, { recursive: true, force: true });
+    fs.mkdirSync(this.path('data/updates/invalid'), { recursive: true });
+    fs.writeFileSync(this.path('data/parkir-data.json'), this.sourceData);
+
+    fs.writeFileSync(this.path('data/pending-updates.json'), JSON.stringify([
+      { location_id: 2, petugas_name: 'P002NGA', mobil: 40, timestamp: minutesAgo(3), status: 'pending' },
+      { location_id: 1, petugas_name: 'P001SEN', motor: 5, timestamp: minutesAgo(20), status: 'failed', error: 'SENOPATI has no motor parking', failed_at: minutesAgo(18) }
+    ], null, 2));
+
+    fs.writeFileSync(this.path('data/updates/quarantine.json'), JSON.stringify([{
+      location_id: 1,
+      petugas_name: 'P001SEN',
+      mobil: 195,
+      timestamp: minutesAgo(2),
+      status: 'quarantined',
+      location_name: 'SENOPATI',
+      anomalies: [{ rule: 'sudden_jump', type: 'mobil', reason: 'mobil jumped by 185 in 3 min' }],
+      anomaly_score: 1,
+      quarantined_at: minutesAgo(1)
+    }], null, 2));
+
+    fs.writeFileSync(this.path('data/updates/invalid/invalid-1776740000000.json'), JSON.stringify([{
+      original: { location_id: 'Ngabean', petugas_name: 'P002NGA', bus: -4, mobil: 30, timestamp: minutesAgo(30) },
+      errors: ['Invalid bus value'],
+      failed_at: minutesAgo(29)
+    }], null, 2));
+
+    fs.writeFileSync(this.path('data/updates/dead-letter.json'), JSON.stringify([{
+      location_id: 'PASAR KEMBANG', petugas_name: 'P020', mobil: 12, timestamp: minutesAgo(200), status: 'dead_letter',
+      error: 'Location PASAR KEMBANG not found', attempts: 5, failed_at: minutesAgo(10), dead_lettered_at: minutesAgo(10)
+    }], null, 2));
+
+    const conflict = (type, [first, second], status = 'open') => ({
+      detected_at: minutesAgo(4),
+      location_id: 2,
+      location_name: 'NGABEAN',
+      type,
+      reports: [
+        { officer: 'P002NGA', reported_at: minutesAgo(5), value: first, client_id: null },
+        { officer: 'P010NGA', reported_at: minutesAgo(6), value: second }
+      ],
+      status
+    });
+    fs.writeFileSync(this.path('data/updates/conflicts.json'), JSON.stringify([
+      conflict('bus', [20, 25], 'resolved'),
+      conflict('bus', [20, 25]),
+      conflict('motor', [60, 52])
+    ], null, 2));
+
+    return new ReviewQueue({ rootDir: this.rootDir, now: () => NOW });
+  }
+
+  async runAllTests() {
+    console.log('🧪 Running Review Queue Tests\n');
+
+    this.testListQueues();
+    this.testApproveSkipsRules();
+    this.testEditsValidated();
+    this.testRequeueAndReject();
+    this.testHandledEntryGone();
+    this.testResolveConflicts();
+    this.testSupervisorAccounts();
+    await this.testApi();
+
+    fs.rmSync(this.workDir, { recursive: true, force: true });
+    this.printResults();
+  }
+
+  record(test, passed, details) {
+    this.testResults.push({ test, passed, details });
+  }
+
+  testListQueues() {
+    const queues = this.reset().list();
+    const counts = Object.entries(queues).map(([queue, entries]) => `${queue}=${entries.length}`).join(',');
+
+    this.record(
+      'Pending, failed, quarantined, invalid and dead-lettered updates and open conflicts are listed with their errors',
+      counts === 'pending=1,failed=1,quarantined=1,invalid=1,dead_letter=1,conflicts=2' &&
+        queues.conflicts[0].errors[0] === 'Conflicting bus counts: P002NGA=20, P010NGA=25' &&
+        queues.conflicts[0].update.bus === 20 && queues.conflicts[0].update.petugas_name === 'P002NGA' &&
+        queues.failed[0].errors[0] === 'SENOPATI has no motor parking' &&
+        queues.quarantined[0].errors[0] === 'mobil jumped by 185 in 3 min' &&
+        queues.invalid[0].update.bus === -4 && queues.invalid[0].source === path.join('data/updates/invalid', 'invalid-1776740000000.json') &&
+        queues.dead_letter[0].errors[0] === 'Location PASAR KEMBANG not found',
+      counts
+    );
+  }
+
+  testApproveSkipsRules() {
+    const queue = this.reset();
+    const [entry] = queue.list().quarantined;
+    const result = queue.act(entry.id, 'approve', { supervisor: 'SPV01', changes: { mobil: '150' } });
+
+    const pending = this.readJson('data/pending-updates.json');
+    const approved = pending[pending.length - 1];
+
+    // A report of 10 four minutes ago makes 150 a sudden jump for unapproved updates
+    const recentData = () => {
+      const data = JSON.parse(this.sourceData);
+      Object.assign(data.locations[0].mobil, { available: 10, last_update: minutesAgo(4), updated_by: 'P001SEN' });
+      return data;
+    };
+    const unapproved = { ...approved };
+    delete unapproved.approved_by;
+    const held = applyUpdates(recentData(), [unapproved], { now: NOW });
+    const applied = applyUpdates(recentData(), [approved], { now: NOW });
+
+    const audit = queue.readAudit();
+
+    this.record(
+      'Approving releases an edited update that skips the anomaly rules',
+      this.readJson('data/updates/quarantine.json').length === 0 &&
+        approved.mobil === 150 && approved.approved_by === 'SPV01' && approved.approved_at === NOW.toISOString() &&
+        approved.status === 'pending' && approved.anomalies === undefined && result.update.mobil === 150 &&
+        held.quarantined.length === 1 && applied.processed.length === 1 &&
+        audit.length === 1 && audit[0].action === 'approve' && audit[0].before.mobil === 195 && audit[0].after.mobil === 150,
+      `held=${held.quarantined.length}, applied=${applied.processed.length}, audit=${audit.map(a => a.action).join(',')}`
+    );
+  }
+
+  testEditsValidated() {
+    const queue = this.reset();
+    const [entry] = queue.list().quarantined;
+    const before = fs.readFileSync(this.path('data/updates/quarantine.json'), 'utf8');
+
+    const attempt = options => {
+      try {
+        queue.act(entry.id, 'approve', { supervisor: 'SPV01', ...options });
+        return null;
+      } catch (error) {
+        return error;
+      }
+    };
+
+    const overCapacity = attempt({ changes: { mobil: 500 } });
+    const notEditable = attempt({ changes: { petugas_name: 'SPV01' } });
+
+    this.record(
+      'Edits are validated against capacity and editable fields',
+      overCapacity?.statusCode === 422 && overCapacity.errors[0] === 'mobil value (500) exceeds capacity (200)' &&
+        notEditable?.statusCode === 400 &&
+        fs.readFileSync(this.path('data/updates/quarantine.json'), 'utf8') === before &&
+        queue.readAudit().length === 0,
+      `${overCapacity?.message}; ${notEditable?.message}`
+    );
+  }
+
+  testRequeueAndReject() {
+    const queue = this.reset();
+    const { invalid: [invalid], failed: [failed] } = queue.list();
+
+    const requeued = queue.act(invalid.id, 'requeue', { supervisor: 'SPV01', changes: { bus: null } });
+    const missingReason = (() => {
+      try {
+        queue.act(queue.list().failed[0].id, 'reject', { supervisor: 'SPV01' });
+      } catch (error) {
+        return error.statusCode;
+      }
+    })();
+    queue.act(queue.list().failed[0].id, 'reject', { supervisor: 'SPV01', reason: 'Lokasi tidak punya parkir motor' });
+    const revived = queue.act(queue.list().dead_letter[0].id, 'requeue', { supervisor: 'SPV01', changes: { location_id: 1 } });
+
+    const pending = this.readJson('data/pending-updates.json');
+    const audit = queue.readAudit();
+
+    this.record(
+      'Re-queued updates wait for normal processing, rejected ones leave with a reason',
+      !fs.existsSync(this.path('data/updates/invalid/invalid-1776740000000.json')) &&
+        requeued.update.location_id === 2 && requeued.update.bus === undefined && requeued.update.approved_by === undefined &&
+        missingReason === 400 &&
+        revived.update.location_id === 1 && revived.update.attempts === undefined && revived.update.status === 'pending' &&
+        this.readJson('data/updates/dead-letter.json').length === 0 &&
+        pending.length === 3 && !pending.some(update => update.status === 'failed') &&
+        audit.map(record => `${record.action}:${record.queue}`).join(',') === 'requeue:dead_letter,reject:failed,requeue:invalid' &&
+        audit[1].reason === 'Lokasi tidak punya parkir motor' && audit[1].errors[0] === failed.errors[0],
+      `pending=${pending.length}, audit=${audit.map(record => record.action).join(',')}`
+    );
+  }
+
+  testHandledEntryGone() {
+    const queue = this.reset();
+    const [entry] = queue.list().pending;
+    queue.act(entry.id, 'approve', { supervisor: 'SPV01' });
+
+    let error = null;
+    try {
+      queue.act(entry.id, 'reject', { supervisor: 'SPV02', reason: 'Duplikat' });
+    } catch (caught) {
+      error = caught;
+    }
+
+    this.record(
+      'An entry handled by someone else cannot be acted on again',
+      error?.statusCode === 404 && queue.readAudit().length === 1 &&
+        this.readJson('data/pending-updates.json')[0].approved_by === 'SPV01',
+      error?.message
+    );
+  }
+
+  testResolveConflicts() {
+    const queue = this.reset();
+    const { conflicts: [bus, motor], quarantined: [quarantined] } = queue.list();
+
+    const attempt = (id, action) => {
+      try {
+        queue.act(id, action, { supervisor: 'SPV01', reason: 'Cek ulang' });
+        return null;
+      } catch (error) {
+        return error.statusCode;
+      }
+    };
+    const wrongActions = [attempt(bus.id, 'approve'), attempt(quarantined.id, 'resolve')];
+
+    queue.act(bus.id, 'resolve', { supervisor: 'SPV01', reason: 'Hitungan P002NGA benar' });
+    const corrected = queue.act(motor.id, 'resolve', { supervisor: 'SPV01', changes: { motor: '55' } });
+
+    const stored = this.readJson('data/updates/conflicts.json');
+    const pending = this.readJson('data/pending-updates.json');
+
+    // The correction keeps the officer of the stored count, so it is not a new conflict
+    const data = JSON.parse(this.sourceData);
+    Object.assign(data.locations[1].motor, { available: 60, last_update: minutesAgo(5), updated_by: 'P002NGA' });
+    const applied = applyUpdates(data, [corrected.update], { now: NOW });
+
+    this.record(
+      'Resolving closes a conflict and queues a corrected count as approved',
+      wrongActions.join(',') === '400,400' && queue.list().conflicts.length === 0 &&
+        stored[1].status === 'resolved' && stored[1].resolved_by === 'SPV01' && stored[1].resolution === 'Hitungan P002NGA benar' &&
+        stored[1].corrected_value === null && stored[2].corrected_value === 55 &&
+        pending.length === 3 && pending[2].motor === 55 && pending[2].approved_by === 'SPV01' &&
+        applied.processed.length === 1 && applied.conflicts.length === 0 && data.locations[1].motor.available === 55 &&
+        queue.readAudit().map(record => `${record.action}:${record.queue}`).join(',') === 'resolve:conflicts,resolve:conflicts',
+      `wrong actions=${wrongActions.join(',')}, pending=${pending.length}, applied=${applied.processed.length}, conflicts=${applied.conflicts.length}`
+    );
+  }
+
+  testSupervisorAccounts() {
+    const store = new OfficerStore([]);
+    const supervisor = store.upsert({ code: 'spv01', pin: '778812', locations: [], role: 'supervisor' });
+    const errors = [
+      () => store.upsert({ code: 'P009', pin: '123456', locations: [] }),
+      () => store.upsert({ code: 'P009', pin: '123456', locations: [1], role: 'admin' })
+    ].map(run => {
+      try {
+        run();
+        return null;
+      } catch (error) {
+        return error.message;
+      }
+    });
+
+    this.record(
+      'Supervisor accounts need no locations, officers still do',
+      supervisor.role === 'supervisor' && supervisor.code === 'SPV01' &&
+        errors[0] === 'Officer P009 has no assigned locations' && errors[1].startsWith('Invalid role "admin"'),
+      errors.join('; ')
+    );
+  }
+
+  async testApi() {
+    this.reset();
+    const officersPath = this.path('data/officers.json');
+    const store = new OfficerStore([]);
+    store.upsert({ code: 'SPV01', pin: '778812', locations: [], role: 'supervisor' });
+    store.upsert({ code: 'P001SEN', pin: '482193', locations: [1] });
+    store.save(officersPath);
+    fs.copyFileSync(path.resolve(__dirname, '../supervisor.html'), this.path('supervisor.html'));
+
+    const server = new IngestionServer({ rootDir: this.rootDir, officersPath, authSecret: 'test-secret' });
+    const address = await server.listen(0, '127.0.0.1');
+    const base = `http://127.0.0.1:${address.port}`;
+
+    const login = async (petugas, pin) => (await fetch(`${base}/api/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ petugas, pin })
+    })).json();
+    const request = (pathname, token, body) => fetch(`${base}${pathname}`, {
+      method: body ? 'POST' : 'GET',
+      headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+      ...(body ? { body: JSON.stringify(body) } : {})
+    });
+
+    try {
+      const officer = await login('P001SEN', '482193');
+      const supervisor = await login('SPV01', '778812');
+
+      const anonymous = await request('/api/review');
+      const forbidden = await request('/api/review', officer.token);
+      const listed = await request('/api/review', supervisor.token);
+      const { counts, queues } = await listed.json();
+
+      const invalidEdit = await request(`/api/review/${queues.quarantined[0].id}/approve`, supervisor.token, { changes: { mobil: 999 } });
+      const invalidBody = await invalidEdit.json();
+      const approved = await request(`/api/review/${queues.quarantined[0].id}/approve`, supervisor.token, { changes: { mobil: 150 } });
+      const audit = await (await request('/api/review/audit', supervisor.token)).json();
+      const page = await fetch(`${base}/supervisor.html`);
+
+      this.record(
+        'Review API is for supervisors only and records who acted',
+        supervisor.role === 'supervisor' && officer.role === 'officer' &&
+          anonymous.status === 401 && forbidden.status === 403 && listed.status === 200 && counts.quarantined === 1 &&
+          invalidEdit.status === 422 && invalidBody.errors[0] === 'mobil value (999) exceeds capacity (200)' &&
+          approved.status === 200 && audit.audit[0].supervisor === 'SPV01' && audit.audit[0].action === 'approve' &&
+          page.status === 200,
+        `anonymous=${anonymous.status}, officer=${forbidden.status}, supervisor=${listed.status}, approve=${approved.status}, page=${page.status}`
+      );
+    } finally {
+      await server.close();
+    }
+  }
+
+  printResults() {
+    console.log('\n' + '='.repeat(60));
+    console.log('REVIEW QUEUE TEST RESULTS');
+    console.log('='.repeat(60));
+
+    let passed = 0;
+    let failed = 0;
+
+    this.testResults.forEach((result, index) => {
+      const status = result.passed ? '✅ PASS' : '❌ FAIL';
+      console.log(`${index + 1}. ${status} - ${result.test}`);
+
+      if (result.details) {
+        console.log(`   Details: ${result.details}`);
+      }
+
+      result.passed ? passed++ : failed++;
+    });
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`TOTAL: ${this.testResults.length} tests`);
+    console.log(`PASSED: ${passed}`);
+    console.log(`FAILED: ${failed}`);
+    console.log('='.repeat(60));
+
+    if (failed > 0) {
+      process.exit(1);
+    }
+  }
+}
+
+// Run tests
+(async () => {
+  const tester = new ReviewQueueTester();
+  await tester.runAllTests();
+})();
@@ -0,0 +1,333 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+const { writeJsonAtomic, readJson, acquireLock, acquireLockAsync, withLock, lockPathFor } = require('./storage');
+const { readDataFile, writeDataFile } = require('./data-store');
+
+const STORAGE_MODULE = path.join(__dirname, 'storage.js');
+
+class StorageTester {
+  constructor() {
+    this.testResults = [];
+    this.workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'parkir-storage-'));
+    this.sourceData = fs.readFileSync(path.resolve(__dirname, '../data/parkir-data.json'), 'utf8');
+  }
+
+  path(relative) {
+    return path.join(this.workDir, relative);
+  }
+
+  /**
+   * Run a node script in a child process; resolves with its output once it
+   * exits, onLine sees each line as it is printed
+   */
+  runChild(script, onLine = () => {}) {
+    return new Promise((resolve, reject) => {
+      const child = spawn('node', ['-e', script], { stdio: ['ignore', 'pipe', 'pipe'] });
+      let output = '';
+      child.stdout.on('data', chunk => {
+        output += chunk;
+        chunk.toString().split('\n').filter(Boolean).forEach(onLine);
+      });
+      child.stderr.on('data', chunk => {
+        output += chunk;
+      });
+      child.on('error', reject);
+      child.on('exit', code => resolve({ code, output }));
+    });
+  }
+
+  async runAllTests() {
+    console.log('🧪 Running Storage Tests\n');
+
+    this.testAtomicWrite();
+    await this.testLockExcludesOtherProcesses();
+    await this.testAsyncLockWait();
+    this.testStaleLocks();
+    this.testReentrantLock();
+    await this.testConcurrentWriters();
+    this.testChecksum();
+    this.testTornFileRecovery();
+
+    fs.rmSync(this.workDir, { recursive: true, force: true });
+    this.printResults();
+  }
+
+  record(test, passed, details) {
+    this.testResults.push({ test, passed, details });
+  }
+
+  testAtomicWrite() {
+    const filePath = this.path('atomic/pending.json');
+    writeJsonAtomic(filePath, [{ id: 1 }]);
+    writeJsonAtomic(filePath, [{ id: 1 }, { id: 2 }]);
+
+    // Renaming onto a directory fails; the old file and no temp file remain
+    fs.mkdirSync(this.path('atomic/blocked.json'));
+    let failed = false;
+    try {
+      writeJsonAtomic(this.path('atomic/blocked.json'), { id: 3 });
+    } catch (error) {
+      failed = true;
+    }
+
+    const leftovers = fs.readdirSync(this.path('atomic')).filter(file => file.endsWith('.tmp'));
+
+    this.record(
+      'Writes replace the file whole and leave no temp files behind',
+      readJson(filePath, []).length === 2 && failed && leftovers.length === 0 &&
+        fs.statSync(this.path('atomic/blocked.json')).isDirectory(),
+      `leftovers=${leftovers.length}`
+    );
+  }
+
+  async testLockExcludesOtherProcesses() {
+    const filePath = this.path('locked/parkir-data.json');
+    fs.mkdirSync(path.dirname(filePath));
+
+    let timeoutError = null;
+    let waitedMs = null;
+
+    const child = this.runChild(`
+      const { acquireLock } = require(${JSON.stringify(STORAGE_MODULE)});
+      const release = acquireLock(${JSON.stringify(filePath)});
+      console.log('locked');
+      setTimeout(() => { release(); console.log('released'); }, 600);
+    `, line => {
+      if (line !== 'locked') {
+        return;
+      }
+      try {
+        acquireLock(filePath, { timeoutMs: 100 });
+      } catch (error) {
+        timeoutError = error.message;
+      }
+      const started = Date.now();
+      acquireLock(filePath, { timeoutMs: 5000 })();
+      waitedMs = Date.now() - started;
+    });
+
+    const { code, output } = await child;
+
+    this.record(
+      'A lock held by another process makes writers wait, then time out',
+      code === 0 && /^Timed out after 100ms waiting for lock on parkir-data\.json \(held by pid \d+ since /.test(timeoutError) &&
+        waitedMs > 0 && !fs.existsSync(lockPathFor(filePath)),
+      `${timeoutError}; waited ${waitedMs}ms; child: ${output.trim().replace(/\n/g, ', ')}`
+    );
+  }
+
+  async testAsyncLockWait() {
+    const filePath = this.path('async/pending-updates.json');
+    fs.mkdirSync(path.dirname(filePath));
+
+    let waiting = null;
+    let ticks = 0;
+
+    const child = this.runChild(`
+      const { acquireLock } = require(${JSON.stringify(STORAGE_MODULE)});
+      const release = acquireLock(${JSON.stringify(filePath)});
+      console.log('locked');
+      setTimeout(() => { release(); console.log('released'); }, 400);
+    `, line => {
+      if (line === 'locked') {
+        waiting = acquireLockAsync(filePath, { timeoutMs: 5000 });
+      }
+    });
+
+    // Timers keep firing while the lock is awaited
+    const ticker = setInterval(() => ticks++, 20);
+    const { code } = await child;
+    const release = await waiting;
+    clearInterval(ticker);
+    const held = fs.existsSync(lockPathFor(filePath));
+    release();
+
+    this.record(
+      'Waiting for a lock asynchronously leaves the event loop free',
+      code === 0 && held && ticks >= 5 && !fs.existsSync(lockPathFor(filePath)),
+      `ticks while waiting=${ticks}`
+    );
+  }
+
+  testStaleLocks() {
+    const deadPid = spawnSync('node', ['-e', '']).pid;
+    const crashed = this.path('stale/crashed.json');
+    const abandoned = this.path('stale/abandoned.json');
+    fs.mkdirSync(this.path('stale'));
+
+    fs.writeFileSync(lockPathFor(crashed), JSON.stringify({ pid: deadPid, host: os.hostname(), acquired_at: new Date().toISOString() }));
+    fs.writeFileSync(lockPathFor(abandoned), JSON.stringify({ pid: 1, host: 'runner-elsewhere', acquired_at: '2026-04-21T00:00:00.000Z' }));
+
+    const taken = [crashed, abandoned].map(filePath => {
+      try {
+        acquireLock(filePath, { timeoutMs: 200 })();
+        return true;
+      } catch (error) {
+        return error.message;
+      }
+    });
+
+    this.record(
+      'Locks of dead processes and old locks are taken over',
+      taken.every(result => result === true),
+      taken.join(', ')
+    );
+  }
+
+  testReentrantLock() {
+    const filePath = this.path('reentrant.json');
+    const outer = acquireLock(filePath);
+    const inner = acquireLock(filePath, { timeoutMs: 100 });
+    inner();
+    const heldAfterInner = fs.existsSync(lockPathFor(filePath));
+    outer();
+
+    let thrown = null;
+    try {
+      withLock(filePath, () => {
+        throw new Error('write failed');
+      });
+    } catch (error) {
+      thrown = error.message;
+    }
+
+    this.record(
+      'Locks are re-entrant and released when the work throws',
+      heldAfterInner && thrown === 'write failed' && !fs.existsSync(lockPathFor(filePath)),
+      `held after inner release=${heldAfterInner}`
+    );
+  }
+
+  async testConcurrentWriters() {
+    const filePath = this.path('concurrent/pending-updates.json');
+    writeJsonAtomic(filePath, []);
+
+    const writer = name => this.runChild(`
+      const { withLock, readJson, writeJsonAtomic } = require(${JSON.stringify(STORAGE_MODULE)});
+      for (let i = 0; i < 25; i++) {
+        withLock(${JSON.stringify(filePath)}, () => {
+          const pending = readJson(${JSON.stringify(filePath)}, []);
+          pending.push({ writer: '${name}', i });
+          writeJsonAtomic(${JSON.stringify(filePath)}, pending);
+        });
+      }
+    `);
+
+    const results = await Promise.all(['a', 'b', 'c'].map(writer));
+    const pending = readJson(filePath, []);
+
+    this.record(
+      'Concurrent read-modify-write cycles under the lock lose nothing',
+      results.every(result => result.code === 0) && pending.length === 75 &&
+        ['a', 'b', 'c'].every(name => pending.filter(update => update.writer === name).length === 25),
+      `records=${pending.length}`
+    );
+  }
+
+  testChecksum() {
+    const dataPath = this.path('checksum/data/parkir-data.json');
+    fs.mkdirSync(path.dirname(dataPath), { recursive: true });
+
+    const data = JSON.parse(this.sourceData);
+    writeDataFile(dataPath, data);
+    const written = readDataFile(dataPath);
+
+    // A hand edit keeps valid JSON, so it is only reported
+    const edited = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
+    edited.locations[0].mobil.available = 7;
+    fs.writeFileSync(dataPath, JSON.stringify(edited, null, 2));
+    const afterEdit = readDataFile(dataPath);
+
+    this.record(
+      'Writes store a checksum that reads verify',
+      /^sha256:[0-9a-f]{64}$/.test(written.data.metadata.checksum) && written.integrity === 'ok' &&
+        afterEdit.integrity === 'mismatch' && afterEdit.recovered === null &&
+        afterEdit.data.locations[0].mobil.available === 7,
+      `written=${written.integrity}, edited=${afterEdit.integrity}`
+    );
+  }
+
+  testTornFileRecovery() {
+    const dataDir = this.path('torn/data');
+    const dataPath = path.join(dataDir, 'parkir-data.json');
+    const backupDir = path.join(dataDir, 'backups');
+    fs.mkdirSync(backupDir, { recursive: true });
+
+    const good = JSON.parse(this.sourceData);
+    writeDataFile(path.join(backupDir, 'parkir-data-backup-2026-04-21T02-00-00-000Z.json'), good);
+    const goodChecksum = good.metadata.checksum;
+    // The newest backup is torn too and must be skipped
+    fs.writeFileSync(path.join(backupDir, 'parkir-data-backup-2026-04-21T02-30-00-000Z.json'), this.sourceData.slice(0, 300));
+
+    const torn = this.sourceData.slice(0, this.sourceData.length / 2);
+    fs.writeFileSync(dataPath, torn);
+
+    let readOnlyError = null;
+    try {
+      readDataFile(dataPath, { recover: false });
+    } catch (error) {
+      readOnlyError = error.message;
+    }
+
+    const { data, recovered, integrity } = readDataFile(dataPath);
+    const restored = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
+
+    fs.writeFileSync(path.join(this.path('torn'), 'lonely.json'), '{"metadata": ');
+    let noBackupError = null;
+    try {
+      readDataFile(path.join(this.path('torn'), 'lonely.json'));
+    } catch (error) {
+      noBackupError = error.message;
+    }
+
+    this.record(
+      'Torn files are restored from the newest usable backup',
+      readOnlyError?.startsWith('Invalid JSON format') &&
+        path.basename(recovered.from) === 'parkir-data-backup-2026-04-21T02-00-00-000Z.json' &&
+        fs.readFileSync(recovered.torn_copy, 'utf8') === torn &&
+        integrity === 'ok' && data.metadata.checksum === goodChecksum && restored.metadata.checksum === goodChecksum &&
+        /no usable backup in .*torn\/backups\)$/.test(noBackupError),
+      `${recovered && path.basename(recovered.from)}; ${noBackupError}`
+    );
+  }
+
+  printResults() {
+    console.log('\n' + '='.repeat(60));
+    console.log('STORAGE TEST RESULTS');
+    console.log('='.repeat(60));
+
+    let passed = 0;
+    let failed = 0;
+
+    this.testResults.forEach((result, index) => {
+      const status = result.passed ? '✅ PASS' : '❌ FAIL';
+      console.log(`${index + 1}. ${status} - ${result.test}`);
+
+      if (result.details) {
+        console.log(`   Details: ${result.details}`);
+      }
+
+      result.passed ? passed++ : failed++;
+    });
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`TOTAL: ${this.testResults.length} tests`);
+    console.log(`PASSED: ${passed}`);
+    console.log(`FAILED: ${failed}`);
+    console.log('='.repeat(60));
+
+    if (failed > 0) {
+      process.exit(1);
+    }
+  }
+}
+
+// Run tests
+(async () => {
+  const tester = new StorageTester();
+  await tester.runAllTests();
+})();
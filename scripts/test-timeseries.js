@@ -0,0 +1,235 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { TimeSeriesStore } = require('./timeseries');
+const { publishHistory } = require('./location-history');
+
+// 21 April 2026, 00:00 WIB
+const DAY_START = new Date('2026-04-20T17:00:00.000Z');
+const MINUTE = 60 * 1000;
+
+class TimeSeriesTester {
+  constructor() {
+    this.testResults = [];
+    this.workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'parkir-timeseries-'));
+    this.dir = path.join(this.workDir, 'timeseries');
+    this.store = new TimeSeriesStore({ dir: this.dir });
+  }
+
+  createData(ngabean, senopati) {
+    return {
+      metadata: {},
+      statistics: {},
+      locations: [
+        {
+          id: 1,
+          nama: 'SENOPATI',
+          bus: { total: 62, available: senopati },
+          mobil: { total: 0, available: 0 },
+          motor: { total: 0, available: 0 }
+        },
+        {
+          id: 2,
+          nama: 'NGABEAN',
+          aliases: ['Ngabean Timur'],
+          bus: { total: 0, available: 0 },
+          mobil: { total: 80, available: ngabean.mobil },
+          motor: { total: 100, available: ngabean.motor }
+        }
+      ]
+    };
+  }
+
+  at(minutes) {
+    return new Date(DAY_START.getTime() + minutes * MINUTE);
+  }
+
+  /**
+   * NGABEAN filling up between 08:00 and 10:00 WIB, with one sample the
+   * evening before and a quiet hour without runs at 09:00
+   */
+  recordDay() {
+    [
+      [-120, { mobil: 70, motor: 90 }, 60],
+      [8 * 60, { mobil: 60, motor: 80 }, 50],
+      [8 * 60 + 5, { mobil: 40, motor: 70 }, 50],
+      [8 * 60 + 20, { mobil: 20, motor: 40 }, 55],
+      [10 * 60 + 10, { mobil: 40, motor: 60 }, 30]
+    ].forEach(([minutes, ngabean, senopati]) => {
+      this.store.record(this.createData(ngabean, senopati), this.at(minutes));
+    });
+  }
+
+  async runAllTests() {
+    console.log('🧪 Running Time Series Tests\n');
+
+    this.recordDay();
+
+    this.testDailyFiles();
+    this.testRange();
+    this.testBuckets();
+    this.testPeakHours();
+    this.testPublishHistory();
+    this.testCorruptFile();
+    this.testCli();
+
+    fs.rmSync(this.workDir, { recursive: true, force: true });
+    this.printResults();
+  }
+
+  record(test, passed, details) {
+    this.testResults.push({ test, passed, details });
+  }
+
+  testDailyFiles() {
+    const files = fs.readdirSync(this.dir).sort();
+    const first = JSON.parse(fs.readFileSync(path.join(this.dir, files[1]), 'utf8').split('\n')[0]);
+
+    this.record(
+      'Samples go to one file per WIB day without empty vehicle types',
+      files.join(',') === 'occupancy-2026-04-20.jsonl,occupancy-2026-04-21.jsonl' &&
+        JSON.stringify(first.s) === JSON.stringify({ 1: { bus: [50, 62] }, 2: { mobil: [60, 80], motor: [80, 100] } }),
+      `files=${files.join(',')}`
+    );
+  }
+
+  testRange() {
+    const rows = this.store.range(this.at(8 * 60), this.at(9 * 60), { locationId: 2, type: 'mobil' });
+
+    this.record(
+      'Range returns the samples of one site and vehicle type',
+      rows.map(row => row.available).join(',') === '60,40,20' &&
+        rows.every(row => row.location_id === 2 && row.type === 'mobil' && row.total === 80),
+      rows.map(row => `${row.t}=${row.available}`).join(', ')
+    );
+  }
+
+  testBuckets() {
+    const [series] = this.store.buckets(this.at(7 * 60), this.at(11 * 60), { interval: 60, locationId: 2, type: 'mobil' });
+    const points = series.points;
+
+    this.record(
+      'Buckets summarise each interval and carry the last value through gaps',
+      points.length === 4 &&
+        points[0].samples === 0 && points[0].last === 70 &&
+        points[1].samples === 3 && points[1].min === 20 && points[1].max === 60 && points[1].avg === 40 &&
+        points[1].utilization === 50 &&
+        points[2].samples === 0 && points[2].last === 20 && points[2].utilization === 75 &&
+        points[3].last === 40,
+      points.map(point => `${point.start}: ${point.samples}x avg=${point.avg} last=${point.last}`).join(', ')
+    );
+  }
+
+  testPeakHours() {
+    const peaks = this.store.peakHours(this.at(0), this.at(24 * 60 - 1));
+    const ngabean = peaks.find(peak => peak.location_id === 2);
+    const senopati = peaks.find(peak => peak.location_id === 1);
+
+    this.record(
+      'Peak hour is the busiest hour per site in WIB',
+      peaks.length === 2 && ngabean.hour === '09:00' && ngabean.utilization === 66.7 &&
+        ngabean.date === '2026-04-21' && senopati.hour === '10:00',
+      peaks.map(peak => `${peak.location_id}@${peak.hour}=${peak.utilization}%`).join(', ')
+    );
+  }
+
+  testPublishHistory() {
+    const historyDir = path.join(this.workDir, 'history');
+    const written = publishHistory(this.createData({ mobil: 40, motor: 60 }, 30), this.store, historyDir, this.at(10 * 60 + 30));
+    const ngabean = JSON.parse(fs.readFileSync(path.join(historyDir, '2.json'), 'utf8'));
+    const mobil = ngabean.series.mobil;
+
+    this.record(
+      'History of today is published per location for the charts',
+      written === 2 && ngabean.from === DAY_START.toISOString() && ngabean.interval === 15 &&
+        Object.keys(ngabean.series).join(',') === 'mobil,motor' && mobil.length === 42 &&
+        JSON.stringify(mobil[0]) === JSON.stringify([DAY_START.toISOString(), 70, 80]) &&
+        mobil[mobil.length - 1][1] === 40,
+      `files=${fs.readdirSync(historyDir).join(',')}, mobil points=${mobil.length}`
+    );
+  }
+
+  testCorruptFile() {
+    const file = path.join(this.dir, 'occupancy-2026-04-22.jsonl');
+    fs.writeFileSync(file, '{"t":"2026-04-22T01:00:00.000Z","s":{}}\n{"t":\n');
+
+    let message = '';
+    try {
+      this.store.range(this.at(24 * 60), this.at(48 * 60));
+    } catch (error) {
+      message = error.message;
+    }
+    fs.unlinkSync(file);
+
+    this.record(
+      'Corrupt lines are reported with file and line',
+      message.startsWith('Corrupt sample in occupancy-2026-04-22.jsonl line 2'),
+      message
+    );
+  }
+
+  testCli() {
+    const dataFile = path.join(this.workDir, 'parkir-data.json');
+    fs.writeFileSync(dataFile, JSON.stringify(this.createData({ mobil: 0, motor: 0 }, 0), null, 2));
+
+    try {
+      const output = execFileSync('node', [
+        path.join(__dirname, 'query-timeseries.js'),
+        'peak',
+        '--date=2026-04-21',
+        '--location=ngabean timur',
+        `--dir=${this.dir}`,
+        `--data=${dataFile}`
+      ], { stdio: 'pipe' }).toString();
+      const result = JSON.parse(output);
+
+      this.record(
+        'CLI resolves site names and prints JSON',
+        result.from === DAY_START.toISOString() && result.peak.length === 1 &&
+          result.peak[0].location_name === 'NGABEAN' && result.peak[0].hour === '09:00',
+        `peak=${JSON.stringify(result.peak)}`
+      );
+    } catch (error) {
+      this.record('CLI resolves site names and prints JSON', false, error.stderr ? error.stderr.toString() : error.message);
+    }
+  }
+
+  printResults() {
+    console.log('\n' + '='.repeat(60));
+    console.log('TIME SERIES TEST RESULTS');
+    console.log('='.repeat(60));
+
+    let passed = 0;
+    let failed = 0;
+
+    this.testResults.forEach((result, index) => {
+      const status = result.passed ? '✅ PASS' : '❌ FAIL';
+      console.log(`${index + 1}. ${status} - ${result.test}`);
+
+      if (result.details) {
+        console.log(`   Details: ${result.details}`);
+      }
+
+      result.passed ? passed++ : failed++;
+    });
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`TOTAL: ${this.testResults.length} tests`);
+    console.log(`PASSED: ${passed}`);
+    console.log(`FAILED: ${failed}`);
+    console.log('='.repeat(60));
+
+    if (failed > 0) {
+      process.exit(1);
+    }
+  }
+}
+
+// Run tests
+(async () => {
+  const tester = new TimeSeriesTester();
+  await tester.runAllTests();
+})();
@@ -1,13 +1,30 @@
 #!/usr/bin/env node
 
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
-const { execSync } = require('child_process');
+const { execSync, spawnSync } = require('child_process');
 
 class ValidatorTester {
   constructor() {
     this.testResults = [];
-    this.testDataPath = path.join(__dirname, '../data/test-data.json');
+    this.workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'parkir-tests-'));
+    this.testDataPath = path.join(this.workDir, 'test-data.json');
+    this.backupDir = path.join(this.workDir, 'backups');
+  }
+
+  /**
+   * Validator command line writing all output into the test work directory
+   */
+  validatorCommand(args = '', dataPath = this.testDataPath) {
+    return [
+      `node ${path.join(__dirname, 'validate-parking.js')}`,
+      `--data=${dataPath}`,
+      `--backup-dir=${this.backupDir}`,
+      `--report-dir=${path.join(this.workDir, 'reports')}`,
+      `--log-dir=${path.join(this.workDir, 'logs')}`,
+      args
+    ].join(' ');
   }
 
   async runAllTests() {
@@ -19,10 +36,154 @@ class ValidatorTester {
     await this.testStatisticsCalculation();
     await this.testBackupFunctionality();
     await this.testErrorHandling();
+    await this.testStrictMode();
+    await this.testFixMode();
+    await this.testReportOnlyMode();
+    await this.testProgrammaticUse();
     
+    fs.rmSync(this.workDir, { recursive: true, force: true });
     this.printResults();
   }
 
+  /**
+   * Data set with one negative and one over-total availability value
+   */
+  createFaultyData() {
+    return {
+      locations: [
+        {
+          name: "Faulty",
+          bus: { total: 10, available: -3 },
+          mobil: { total: 20, available: 25 },
+          motor: { total: 0, available: 0 }
+        }
+      ],
+      statistics: {}
+    };
+  }
+
+  /**
+   * Run the validator CLI against an isolated working directory
+   */
+  runInSandbox(data, extraArgs) {
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'parkir-validator-'));
+    const dataFile = path.join(workDir, 'data.json');
+    const original = JSON.stringify(data, null, 2);
+    fs.writeFileSync(dataFile, original);
+    
+    const result = spawnSync('node', [
+      path.join(__dirname, 'validate-parking.js'),
+      `--data=${dataFile}`,
+      `--backup-dir=${path.join(workDir, 'backups')}`,
+      `--report-dir=${path.join(workDir, 'reports')}`,
+      `--log-dir=${path.join(workDir, 'logs')}`,
+      ...extraArgs
+    ], { encoding: 'utf8' });
+    
+    const sandbox = {
+      status: result.status,
+      output: result.stdout + result.stderr,
+      original,
+      current: fs.readFileSync(dataFile, 'utf8'),
+      backups: fs.existsSync(path.join(workDir, 'backups')) ? fs.readdirSync(path.join(workDir, 'backups')) : [],
+      report: null
+    };
+    
+    const reportFile = path.join(workDir, 'reports/validation-report-latest.json');
+    if (fs.existsSync(reportFile)) {
+      sandbox.report = JSON.parse(fs.readFileSync(reportFile, 'utf8'));
+    }
+    
+    fs.rmSync(workDir, { recursive: true, force: true });
+    return sandbox;
+  }
+
+  async testStrictMode() {
+    try {
+      const run = this.runInSandbox(this.createFaultyData(), ['--mode=strict']);
+      const passed = run.status !== 0 && run.current === run.original && run.backups.length === 0;
+      
+      this.testResults.push({
+        test: 'Mode strict - Fails without writing',
+        passed,
+        details: `exit=${run.status}, data unchanged=${run.current === run.original}, backups=${run.backups.length}`
+      });
+    } catch (error) {
+      this.testResults.push({ test: 'Mode strict - Fails without writing', passed: false, error: error.message });
+    }
+  }
+
+  async testFixMode() {
+    try {
+      const run = this.runInSandbox(this.createFaultyData(), ['--mode=fix']);
+      const fixed = JSON.parse(run.current);
+      const location = fixed.locations[0];
+      const diffs = (run.report?.issues_fixed || []).flatMap(entry => entry.fixes);
+      const busDiff = diffs.find(diff => diff.vehicle === 'bus' && diff.field === 'available');
+      
+      const passed = run.status === 0 &&
+        location.bus.available === 0 &&
+        location.mobil.available === 20 &&
+        busDiff && busDiff.before === -3 && busDiff.after === 0 &&
+        run.backups.length === 1;
+      
+      this.testResults.push({
+        test: 'Mode fix - Applies corrections with diffs',
+        passed: Boolean(passed),
+        details: `exit=${run.status}, bus=${location.bus.available}, mobil=${location.mobil.available}, diffs=${diffs.length}, backups=${run.backups.length}`
+      });
+    } catch (error) {
+      this.testResults.push({ test: 'Mode fix - Applies corrections with diffs', passed: false, error: error.message });
+    }
+  }
+
+  async testReportOnlyMode() {
+    try {
+      const run = this.runInSandbox(this.createFaultyData(), ['--mode=report-only']);
+      const passed = run.status === 0 &&
+        run.current === run.original &&
+        run.backups.length === 0 &&
+        run.report && run.report.summary.issues_found === 2 && run.report.data_written === false;
+      
+      this.testResults.push({
+        test: 'Mode report-only - Reports without touching data',
+        passed: Boolean(passed),
+        details: `exit=${run.status}, data unchanged=${run.current === run.original}, backups=${run.backups.length}, issues=${run.report?.summary.issues_found}`
+      });
+    } catch (error) {
+      this.testResults.push({ test: 'Mode report-only - Reports without touching data', passed: false, error: error.message });
+    }
+  }
+
+  async testProgrammaticUse() {
+    try {
+      const { ParkingDataValidator } = require('./validate-parking');
+      const rootDir = path.join(this.workDir, 'root');
+      const now = new Date('2026-04-21T03:00:00.000Z');
+      
+      fs.mkdirSync(path.join(rootDir, 'data'), { recursive: true });
+      fs.writeFileSync(path.join(rootDir, 'data/parkir-data.json'), JSON.stringify(this.createFaultyData()));
+      
+      const validator = new ParkingDataValidator({ rootDir, now: () => now, mode: 'fix', backup: false });
+      const result = await validator.validate();
+      const saved = JSON.parse(fs.readFileSync(path.join(rootDir, 'data/parkir-data.json'), 'utf8'));
+      
+      const passed = result.success &&
+        result.report.timestamp === now.toISOString() &&
+        saved.metadata.last_updated === now.toISOString() &&
+        saved.locations[0].bus.available === 0 &&
+        fs.existsSync(path.join(rootDir, 'data/reports/validation-report-latest.json'));
+      
+      this.testResults.push({
+        test: 'Programmatic use - Injected root and clock',
+        passed,
+        details: `success=${result.success}, timestamp=${result.report?.timestamp}, last_updated=${saved.metadata.last_updated}`
+      });
+    } catch (error) {
+      this.testResults.push({ test: 'Programmatic use - Injected root and clock', passed: false, error: error.message });
+    }
+  }
+
   async testStructureValidation() {
     try {
       // Test 1: Valid structure
@@ -32,7 +193,7 @@ class ValidatorTester {
       };
       
       fs.writeFileSync(this.testDataPath, JSON.stringify(validData));
-      execSync('node scripts/validate-parking.js --dry-run --data=data/test-data.json', { stdio: 'pipe' });
+      execSync(this.validatorCommand('--dry-run'), { stdio: 'pipe' });
       
       this.testResults.push({ test: 'Structure Validation - Valid', passed: true });
     } catch (error) {
@@ -44,7 +205,7 @@ class ValidatorTester {
       const invalidData = { statistics: {} };
       fs.writeFileSync(this.testDataPath, JSON.stringify(invalidData));
       
-      execSync('node scripts/validate-parking.js --dry-run --data=data/test-data.json', { stdio: 'pipe' });
+      execSync(this.validatorCommand('--dry-run'), { stdio: 'pipe' });
       this.testResults.push({ test: 'Structure Validation - Invalid', passed: false });
     } catch (error) {
       // Should throw error - this is expected
@@ -101,7 +262,7 @@ class ValidatorTester {
       fs.writeFileSync(this.testDataPath, JSON.stringify(data));
       
       const output = execSync(
-        'node scripts/validate-parking.js --dry-run --mode=fix --data=data/test-data.json', 
+        this.validatorCommand('--dry-run --mode=fix'),
         { encoding: 'utf8' }
       );
 
@@ -130,7 +291,7 @@ class ValidatorTester {
 
       fs.writeFileSync(this.testDataPath, JSON.stringify(data));
       
-      execSync('node scripts/validate-parking.js --dry-run --data=data/test-data.json', { stdio: 'pipe' });
+      execSync(this.validatorCommand(), { stdio: 'pipe' });
       
       // Load and verify results
       const result = JSON.parse(fs.readFileSync(this.testDataPath, 'utf8'));
@@ -155,12 +316,14 @@ class ValidatorTester {
 
   async testBackupFunctionality() {
     try {
-      const backupDir = path.join(__dirname, '../data/backups');
-      const initialBackupCount = fs.readdirSync(backupDir).filter(f => f.includes('backup')).length;
+      const countBackups = () => fs.existsSync(this.backupDir)
+        ? fs.readdirSync(this.backupDir).filter(f => f.includes('backup')).length
+        : 0;
+      const initialBackupCount = countBackups();
       
-      execSync('node scripts/validate-parking.js --data=data/test-data.json --max-backups=3', { stdio: 'pipe' });
+      execSync(this.validatorCommand('--max-backups=3'), { stdio: 'pipe' });
       
-      const finalBackupCount = fs.readdirSync(backupDir).filter(f => f.includes('backup')).length;
+      const finalBackupCount = countBackups();
       const backupCreated = finalBackupCount > initialBackupCount;
       
       this.testResults.push({ 
@@ -176,7 +339,7 @@ class ValidatorTester {
   async testErrorHandling() {
     try {
       // Test with non-existent file
-      execSync('node scripts/validate-parking.js --data=data/non-existent.json', { stdio: 'pipe' });
+      execSync(this.validatorCommand('', path.join(this.workDir, 'non-existent.json')), { stdio: 'pipe' });
       this.testResults.push({ test: 'Error Handling - Missing File', passed: false });
     } catch (error) {
       // Should throw error - this is expected
@@ -191,9 +354,10 @@ class ValidatorTester {
     }
 
     try {
-      // Test with invalid JSON
+      // Test with invalid JSON (with no backup to recover it from)
+      fs.rmSync(this.backupDir, { recursive: true, force: true });
       fs.writeFileSync(this.testDataPath, 'invalid json {');
-      execSync('node scripts/validate-parking.js --data=data/test-data.json', { stdio: 'pipe' });
+      execSync(this.validatorCommand(), { stdio: 'pipe' });
       this.testResults.push({ test: 'Error Handling - Invalid JSON', passed: false });
     } catch (error) {
       // Should throw error - this is expected
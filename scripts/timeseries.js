@@ -0,0 +1,276 @@
+/**
+ * Occupancy Time Series
+ * Samples every location's available/total per vehicle type on each
+ * processing run (and now and then when idle, see process-updates.js) into
+ * one JSON-lines file per (Asia/Jakarta) day:
+ *
+ *   data/operations/<slug>/timeseries/occupancy-2026-04-21.jsonl
+ *   {"t":"2026-04-21T03:00:00.000Z","s":{"2":{"bus":[12,60],"mobil":[40,80]}}}
+ *
+ * and answers range, bucket and peak-hour queries for reports and charts
+ * (see scripts/query-timeseries.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { VEHICLE_TYPES, utilizationPercent } = require('./statistics');
+const { jakartaTime } = require('./capacity-schedule');
+const { operationPaths } = require('./operation-paths');
+
+const FILE_PATTERN = /^occupancy-(\d{4}-\d{2}-\d{2})\.jsonl$/;
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Compact sample of the current data: { locationId: { type: [available, total] } }
+ * (vehicle types without capacity are left out)
+ */
+function sampleOf(data) {
+  const sample = {};
+
+  (data.locations || []).forEach(location => {
+    const counts = {};
+    VEHICLE_TYPES.forEach(type => {
+      const block = location[type];
+      if (block && block.total > 0) {
+        counts[type] = [block.available, block.total];
+      }
+    });
+    if (Object.keys(counts).length > 0) {
+      sample[location.id] = counts;
+    }
+  });
+
+  return sample;
+}
+
+/**
+ * Split sorted samples into the last one before `start` and the rest
+ */
+function seedAndRest(samples, start) {
+  let seed = null;
+  const rest = [];
+  samples.forEach(sample => {
+    if (sample.t < start) {
+      seed = sample;
+    } else {
+      rest.push(sample);
+    }
+  });
+  return { seed, rest };
+}
+
+/**
+ * Fixed-width buckets over [from, to). A bucket without samples carries the
+ * last known value forward so charts stay continuous.
+ *
+ * @param {Array<{t: number, available: number, total: number}>} samples - sorted
+ * @returns {Array<{start, samples, min, max, avg, last, total, utilization}>}
+ */
+function bucketize(samples, from, to, interval) {
+  const start = Math.floor(from / interval) * interval;
+  let { seed: last, rest } = seedAndRest(samples, start);
+  const points = [];
+
+  for (let bucketStart = start; bucketStart < to; bucketStart += interval) {
+    const inBucket = [];
+    while (rest.length > 0 && rest[0].t < bucketStart + interval) {
+      inBucket.push(rest.shift());
+    }
+
+    if (inBucket.length === 0 && !last) {
+      continue;
+    }
+
+    const values = inBucket.length > 0 ? inBucket : [last];
+    last = values[values.length - 1];
+    const available = values.map(sample => sample.available);
+    const avg = available.reduce((sum, value) => sum + value, 0) / available.length;
+
+    points.push({
+      start: new Date(bucketStart).toISOString(),
+      samples: inBucket.length,
+      min: Math.min(...available),
+      max: Math.max(...available),
+      avg: round(avg),
+      last: last.available,
+      total: last.total,
+      utilization: utilizationPercent(last.total, avg)
+    });
+  }
+
+  return points;
+}
+
+class TimeSeriesStore {
+  /**
+   * @param {Object} config
+   * @param {string} config.dir - directory holding the per-day files
+   *   (default: the active operation's)
+   */
+  constructor({ dir } = {}) {
+    this.dir = dir || operationPaths().timeseriesDir;
+  }
+
+  fileFor(date) {
+    return path.join(this.dir, `occupancy-${date}.jsonl`);
+  }
+
+  /**
+   * Append a sample of the current data taken at `now`
+   */
+  record(data, now = new Date()) {
+    if (!fs.existsSync(this.dir)) {
+      fs.mkdirSync(this.dir, { recursive: true });
+    }
+
+    const line = { t: now.toISOString(), s: sampleOf(data) };
+    fs.appendFileSync(this.fileFor(jakartaTime(now).date), JSON.stringify(line) + '\n');
+    return line;
+  }
+
+  /**
+   * Raw sample lines between two dates (inclusive), oldest first. The day
+   * before `from` is read too so queries can start from the last known value.
+   */
+  readLines(from, to) {
+    if (!fs.existsSync(this.dir)) {
+      return [];
+    }
+
+    const firstDay = jakartaTime(new Date(from.getTime() - DAY)).date;
+    const lastDay = jakartaTime(to).date;
+    const lines = [];
+
+    fs.readdirSync(this.dir)
+      .map(file => FILE_PATTERN.exec(file))
+      .filter(match => match && match[1] >= firstDay && match[1] <= lastDay)
+      .map(match => match[0])
+      .sort()
+      .forEach(file => {
+        fs.readFileSync(path.join(this.dir, file), 'utf8').split('\n').forEach((line, index) => {
+          if (!line.trim()) {
+            return;
+          }
+          try {
+            lines.push(JSON.parse(line));
+          } catch (error) {
+            throw new Error(`Corrupt sample in ${file} line ${index + 1}: ${error.message}`);
+          }
+        });
+      });
+
+    return lines
+      .filter(line => new Date(line.t) <= to)
+      .sort((a, b) => a.t.localeCompare(b.t));
+  }
+
+  /**
+   * Samples per location and vehicle type ("all" sums the vehicle types)
+   *
+   * @returns {Map<string, {location_id: number, type: string, samples: Array}>}
+   */
+  series(from, to, { locationId, type } = {}) {
+    const series = new Map();
+    const add = (id, seriesType, t, available, total) => {
+      const key = `${id}:${seriesType}`;
+      if (!series.has(key)) {
+        series.set(key, { location_id: Number(id), type: seriesType, samples: [] });
+      }
+      series.get(key).samples.push({ t, available, total });
+    };
+
+    this.readLines(from, to).forEach(line => {
+      const t = new Date(line.t).getTime();
+
+      Object.keys(line.s).forEach(id => {
+        if (locationId !== undefined && Number(id) !== Number(locationId)) {
+          return;
+        }
+
+        const counts = line.s[id];
+        if (type === 'all') {
+          const types = Object.keys(counts);
+          add(id, 'all', t,
+            types.reduce((sum, key) => sum + counts[key][0], 0),
+            types.reduce((sum, key) => sum + counts[key][1], 0));
+          return;
+        }
+
+        Object.keys(counts)
+          .filter(key => !type || key === type)
+          .forEach(key => add(id, key, t, counts[key][0], counts[key][1]));
+      });
+    });
+
+    return series;
+  }
+
+  /**
+   * Every sample in [from, to]
+   *
+   * @returns {Array<{t: string, location_id: number, type: string, available: number, total: number}>}
+   */
+  range(from, to, filter = {}) {
+    const rows = [];
+
+    this.series(from, to, filter).forEach(({ location_id, type, samples }) => {
+      samples
+        .filter(sample => sample.t >= from.getTime())
+        .forEach(sample => rows.push({
+          t: new Date(sample.t).toISOString(),
+          location_id,
+          type,
+          available: sample.available,
+          total: sample.total
+        }));
+    });
+
+    return rows.sort((a, b) => a.t.localeCompare(b.t) || a.location_id - b.location_id);
+  }
+
+  /**
+   * Downsampled series for charts
+   *
+   * @param {Object} options
+   * @param {number} options.interval - bucket width in minutes
+   * @returns {Array<{location_id: number, type: string, points: Array}>}
+   */
+  buckets(from, to, { interval = 15, ...filter } = {}) {
+    return Array.from(this.series(from, to, filter).values()).map(({ location_id, type, samples }) => ({
+      location_id,
+      type,
+      points: bucketize(samples, from.getTime(), to.getTime(), interval * MINUTE)
+    }));
+  }
+
+  /**
+   * Hour (WIB) with the highest utilization of each location, all vehicle
+   * types combined
+   *
+   * @returns {Array<{location_id: number, hour: string, start: string, utilization: number}>}
+   */
+  peakHours(from, to, { locationId } = {}) {
+    return this.buckets(from, to, { interval: 60, locationId, type: 'all' })
+      .filter(({ points }) => points.length > 0)
+      .map(({ location_id, points }) => {
+        const peak = points.reduce((best, point) => (point.utilization > best.utilization ? point : best));
+        const local = jakartaTime(new Date(peak.start));
+
+        return {
+          location_id,
+          date: local.date,
+          hour: local.time,
+          start: peak.start,
+          utilization: peak.utilization
+        };
+      })
+      .sort((a, b) => a.location_id - b.location_id);
+  }
+}
+
+module.exports = { TimeSeriesStore, sampleOf, bucketize };
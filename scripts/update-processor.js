@@ -0,0 +1,511 @@
+/**
+ * Update Processor
+ * Applies pending officer updates to the parking data. Shared by
+ * process-updates.js and the "Process Parking Updates" workflow.
+ */
+
+const { LocationRegistry, displayName } = require('./location-registry');
+const { computeStatistics, VEHICLE_TYPES } = require('./statistics');
+const { resolveCapacity, applySchedule, operatingStatus } = require('./capacity-schedule');
+const { detectAnomalies, resolveRules, QUARANTINE_SCORE } = require('./anomaly-rules');
+
+// Statuses that mean an update has already been handled
+const DONE_STATUSES = ['processed', 'no_changes', 'superseded', 'quarantined', 'dead_letter'];
+
+// Failed updates are retried after a delay that doubles with every attempt;
+// after maxAttempts they move to the dead-letter file
+const RETRY_POLICY = { maxAttempts: 5, baseDelayMinutes: 2, maxDelayMinutes: 60 };
+
+// Different counts for the same vehicle type reported by two officers this
+// close together (by their own clocks) are flagged for supervisor review
+const CONFLICT_WINDOW = 2 * 60 * 1000;
+
+// Values an officer may set with `location_status`
+const LOCATION_STATUSES = ['open', 'closed'];
+
+/**
+ * Whether an update still needs to be applied
+ */
+function isUnprocessed(update) {
+  return !update.processed_at && !DONE_STATUSES.includes(update.status);
+}
+
+/**
+ * Whether an update should be applied in a run at `now`: unprocessed, and
+ * for failed updates past their next_retry_at
+ */
+function isDue(update, now = new Date()) {
+  return isUnprocessed(update) && !(update.next_retry_at && new Date(update.next_retry_at) > now);
+}
+
+/**
+ * Minutes to wait before the next attempt after `attempts` failures
+ */
+function retryDelayMinutes(attempts, policy = RETRY_POLICY) {
+  return Math.min(policy.baseDelayMinutes * 2 ** (attempts - 1), policy.maxDelayMinutes);
+}
+
+/**
+ * Record a failed attempt: failed with a next_retry_at, or dead_letter once
+ * the attempts run out
+ */
+function markFailed(update, error, attempts, now, policy) {
+  update.error = error.message;
+  update.attempts = attempts;
+  update.failed_at = now.toISOString();
+
+  if (attempts >= policy.maxAttempts) {
+    update.status = 'dead_letter';
+    update.dead_lettered_at = now.toISOString();
+  } else {
+    update.status = 'failed';
+    update.next_retry_at = new Date(now.getTime() + retryDelayMinutes(attempts, policy) * 60000).toISOString();
+  }
+
+  return update;
+}
+
+/**
+ * Recalculate the statistics block from the current locations
+ */
+function updateStatistics(mainData, now, reportCount) {
+  const previous = mainData.statistics || {};
+
+  mainData.statistics = {
+    ...previous,
+    ...computeStatistics(mainData.locations),
+    update_count_today: (previous.update_count_today || 0) + reportCount,
+    last_processed: now.toISOString()
+  };
+
+  mainData.metadata = mainData.metadata || {};
+  mainData.metadata.last_updated = now.toISOString();
+  mainData.metadata.updated_by = 'GitHub Actions';
+
+  return mainData.statistics;
+}
+
+/**
+ * When the officer made the report: the client timestamp, falling back to
+ * the time the server received it. Future timestamps count as `now`.
+ */
+function reportedTime(update, now) {
+  const reported = new Date(update.timestamp || update.received_at || now);
+  return isNaN(reported.getTime()) || reported > now ? now : reported;
+}
+
+/**
+ * Stored count a report conflicts with: a different value from another
+ * officer reported within the conflict window, or null
+ */
+function findConflict(block, update, value, reportedAt, conflictWindow) {
+  if (!block.last_update || !block.updated_by || block.updated_by === update.petugas_name || block.available === value) {
+    return null;
+  }
+  if (Math.abs(reportedAt - new Date(block.last_update)) > conflictWindow) {
+    return null;
+  }
+  return { officer: block.updated_by, reported_at: block.last_update, value: block.available };
+}
+
+/**
+ * Apply one update to its location, last writer wins per vehicle type: a
+ * count reported before the stored one (by client time) is not applied
+ *
+ * @param {Object} options
+ * @param {Date} options.reportedAt - when the officer made the report
+ * @param {Object} options.capacity - resolveCapacity() of the location
+ * @param {number} options.conflictWindow - see CONFLICT_WINDOW
+ * @returns {{changes: Array<string>, values: Object, superseded: Array<string>,
+ *            conflicts: Array<Object>, refreshed: boolean}} readable change list;
+ *   the applied fields as { field: { previous, value } } (vehicle fields also
+ *   keep the previous last_update/updated_by and their new updated_at so
+ *   replay can restore them); vehicle types that were superseded; conflicts
+ *   as { type, value, other }; whether a count was confirmed by a newer report
+ */
+function applyToLocation(location, update, { reportedAt, capacity, conflictWindow }) {
+  const changes = [];
+  const values = {};
+  const submitted = [];
+  const conflicts = [];
+  let refreshed = false;
+
+  VEHICLE_TYPES.forEach(type => {
+    if (update[type] === undefined) {
+      return;
+    }
+
+    const newValue = parseInt(update[type]);
+    if (isNaN(newValue)) {
+      throw new Error(`Invalid ${type} value: ${update[type]}`);
+    }
+
+    if (!location[type]) {
+      throw new Error(`${displayName(location)} has no ${type} parking`);
+    }
+
+    if (newValue < 0 || newValue > capacity[type]) {
+      throw new Error(`${type} value (${newValue}) outside capacity 0-${capacity[type]}`);
+    }
+
+    submitted.push({ type, value: newValue });
+  });
+
+  submitted.forEach(({ type, value }) => {
+    const other = findConflict(location[type], update, value, reportedAt, conflictWindow);
+    if (other) {
+      conflicts.push({ type, value, other });
+    }
+  });
+
+  const superseded = submitted
+    .filter(({ type }) => location[type].last_update && reportedAt < new Date(location[type].last_update))
+    .map(({ type }) => type);
+
+  // A report that is older than every count it carries changes nothing
+  if (submitted.length > 0 && superseded.length === submitted.length) {
+    return { changes, values, superseded, conflicts, refreshed };
+  }
+
+  const updatedAt = reportedAt.toISOString();
+
+  submitted
+    .filter(({ type }) => !superseded.includes(type))
+    .forEach(({ type, value }) => {
+      const block = location[type];
+
+      values[type] = {
+        previous: block.available,
+        previous_update: block.last_update ?? null,
+        previous_by: block.updated_by ?? null,
+        value,
+        updated_at: updatedAt
+      };
+
+      if (block.available !== value) {
+        changes.push(`${type}: ${value}`);
+      } else if (block.last_update === updatedAt && block.updated_by === update.petugas_name) {
+        return;
+      } else {
+        refreshed = true;
+      }
+
+      block.available = value;
+      block.last_update = updatedAt;
+      block.updated_by = update.petugas_name;
+    });
+
+  if (update.notes) {
+    values.notes = { previous: location.notes ?? null, value: update.notes };
+
+    if (update.notes !== location.notes) {
+      location.notes = update.notes;
+      changes.push('notes');
+    }
+  }
+
+  if (update.location_status !== undefined) {
+    if (!LOCATION_STATUSES.includes(update.location_status)) {
+      throw new Error(`Invalid location_status: ${update.location_status}`);
+    }
+
+    // Reopening clears the reason
+    const reason = update.location_status === 'closed' ? (update.closed_reason || null) : null;
+    values.status = { previous: location.status ?? null, value: update.location_status };
+    values.closed_reason = { previous: location.closed_reason ?? null, value: reason };
+
+    if (location.status !== update.location_status || (location.closed_reason ?? null) !== reason) {
+      location.status = update.location_status;
+      if (reason) {
+        location.closed_reason = reason;
+      } else {
+        delete location.closed_reason;
+      }
+      changes.push(`status: ${update.location_status}`);
+    }
+  }
+
+  return { changes, values, superseded, conflicts, refreshed };
+}
+
+/**
+ * Event-log entry for an accepted update (sequence is assigned by the event log)
+ */
+function toEvent(update, location, values, timestamp) {
+  return {
+    type: 'update_applied',
+    recorded_at: timestamp,
+    occurred_at: update.timestamp || update.received_at || timestamp,
+    location_id: location.id,
+    location_name: displayName(location),
+    officer: update.petugas_name,
+    source: update.source || 'unknown',
+    client_id: update.client_id || null,
+    ...(update.flags ? { flags: update.flags } : {}),
+    values
+  };
+}
+
+/**
+ * Flags for an update submitted while its location was outside opening
+ * hours or schedule windows. Status changes are never flagged, so a site
+ * can be opened early or closed late.
+ */
+function updateFlags(update, location, reportedAt) {
+  if (update.location_status !== undefined) {
+    return [];
+  }
+
+  const status = operatingStatus(location, reportedAt);
+
+  return status.state === 'closed' && !status.manual ? ['off_hours'] : [];
+}
+
+/**
+ * Effective operating status (open / closing_soon / closed) of every location
+ */
+function operatingStatuses(mainData, now) {
+  const statuses = {};
+
+  mainData.locations.forEach(location => {
+    statuses[displayName(location)] = operatingStatus(location, now).state;
+  });
+
+  return statuses;
+}
+
+/**
+ * Whether a run is needed without new updates: a scheduled location moved
+ * to another capacity window since the last run
+ */
+function hasDueTransitions(mainData, now = new Date()) {
+  return mainData.locations.some(location => {
+    const capacity = resolveCapacity(location, now);
+    return capacity.scheduled && VEHICLE_TYPES.some(type => (location[type]?.total || 0) !== capacity[type]);
+  });
+}
+
+/**
+ * Apply pending updates to mainData (in place) and report what happened
+ *
+ * @param {Object} mainData - parsed parkir-data.json
+ * @param {Array} pending - records from pending-updates.json
+ * @param {Object} options
+ * @param {Date} options.now - clock used for processing timestamps
+ * @param {number} options.conflictWindow - see CONFLICT_WINDOW
+ * @param {Array} options.history - recent event-log entries for anomaly rules
+ * @param {Object} options.rules - anomaly rule overrides (see anomaly-rules.js)
+ * @param {Object} options.retry - retry policy overrides (see RETRY_POLICY)
+ * @returns {{processed: Array, failed: Array, dead_letter: Array, waiting: Array, retries: Array,
+ *            no_changes: Array, superseded: Array,
+ *            quarantined: Array, skipped: Array, updated_locations: Array, refreshed_locations: Array,
+ *            schedule_changes: Array, off_hours: Array, conflicts: Array,
+ *            operating_status: Object, statistics: Object|null, events: Array}}
+ *   updates are applied in order of their client timestamps;
+ *   failed holds updates to retry at their next_retry_at, dead_letter those
+ *   out of attempts and waiting failed updates not yet due;
+ *   retries lists the outcome of every failed update tried again;
+ *   superseded holds updates older than every count they carry;
+ *   quarantined holds updates held back by the anomaly rules (updates with
+ *   approved_by were released by a supervisor and skip the rules);
+ *   refreshed_locations lists locations whose counts were only confirmed;
+ *   conflicts lists counts that disagree within the conflict window;
+ *   events holds one unsequenced event-log entry per accepted update;
+ *   schedule_changes lists locations whose totals followed capacity_schedule;
+ *   off_hours holds accepted updates submitted while the location was closed;
+ *   operating_status maps each location to its status after the run
+ */
+function applyUpdates(mainData, pending, options = {}) {
+  const { now = new Date(), conflictWindow = CONFLICT_WINDOW, history = [] } = options;
+  const rules = resolveRules(options.rules);
+  const retry = { ...RETRY_POLICY, ...options.retry };
+  const timestamp = now.toISOString();
+  const registry = LocationRegistry.fromData(mainData);
+
+  const report = {
+    processed: [],
+    failed: [],
+    dead_letter: [],
+    waiting: [],
+    retries: [],
+    no_changes: [],
+    superseded: [],
+    quarantined: [],
+    skipped: [],
+    updated_locations: [],
+    refreshed_locations: [],
+    schedule_changes: [],
+    off_hours: [],
+    conflicts: [],
+    operating_status: {},
+    statistics: null,
+    events: []
+  };
+
+  // Scheduled locations take the capacity of the current window first
+  mainData.locations.forEach(location => {
+    if (applySchedule(location, now).length > 0) {
+      report.schedule_changes.push(displayName(location));
+    }
+  });
+
+  const updatedLocations = new Set();
+  const refreshedLocations = new Set();
+  const retried = new Map();
+
+  // Oldest report first, so a delayed report cannot overwrite a newer one
+  const ordered = [...pending].sort((a, b) => reportedTime(a, now) - reportedTime(b, now));
+
+  for (const original of ordered) {
+    if (!isUnprocessed(original)) {
+      report.skipped.push(original);
+      continue;
+    }
+    if (!isDue(original, now)) {
+      report.waiting.push(original);
+      continue;
+    }
+
+    const update = { ...original };
+    const attempt = (original.attempts || 0) + 1;
+    delete update.error;
+    delete update.failed_at;
+    delete update.next_retry_at;
+
+    if (original.status === 'failed') {
+      retried.set(update, attempt);
+    }
+
+    try {
+      if (update.location_id === undefined || update.location_id === null || !update.petugas_name) {
+        throw new Error('Missing required fields');
+      }
+
+      const location = registry.resolve(update.location_id);
+      if (!location) {
+        throw new Error(`Location ${update.location_id} not found`);
+      }
+
+      const reportedAt = reportedTime(update, now);
+      const capacity = resolveCapacity(location, now);
+      update.location_name = displayName(location);
+
+      if (!update.approved_by) {
+        const { score, anomalies } = detectAnomalies(update, location, {
+          reportedAt,
+          capacity,
+          events: history.concat(report.events),
+          rules
+        });
+
+        if (anomalies.length > 0) {
+          update.anomalies = anomalies;
+          update.anomaly_score = score;
+        }
+
+        if (score >= QUARANTINE_SCORE) {
+          update.status = 'quarantined';
+          update.quarantined_at = timestamp;
+          report.quarantined.push(update);
+          continue;
+        }
+      }
+
+      const flags = updateFlags(update, location, reportedAt);
+      const result = applyToLocation(location, update, { reportedAt, capacity, conflictWindow });
+      update.processed_at = timestamp;
+
+      if (result.conflicts.length > 0) {
+        flags.push('conflict');
+        result.conflicts.forEach(conflict => {
+          report.conflicts.push({
+            detected_at: timestamp,
+            location_id: location.id,
+            location_name: displayName(location),
+            type: conflict.type,
+            reports: [
+              { officer: update.petugas_name, reported_at: reportedAt.toISOString(), value: conflict.value, client_id: update.client_id || null },
+              conflict.other
+            ]
+          });
+        });
+      }
+
+      if (flags.length > 0) {
+        update.flags = flags;
+      }
+      if (flags.includes('off_hours')) {
+        report.off_hours.push(update);
+      }
+
+      if (result.superseded.length > 0) {
+        update.superseded_fields = result.superseded;
+      }
+
+      if (Object.keys(result.values).length === 0 && result.superseded.length > 0) {
+        update.status = 'superseded';
+        report.superseded.push(update);
+        continue;
+      }
+
+      report.events.push(toEvent(update, location, result.values, timestamp));
+
+      if (result.refreshed) {
+        refreshedLocations.add(displayName(location));
+      }
+
+      const { changes } = result;
+      if (changes.length > 0) {
+        update.status = 'processed';
+        update.changes = changes;
+        updatedLocations.add(displayName(location));
+        report.processed.push(update);
+      } else {
+        update.status = 'no_changes';
+        report.no_changes.push(update);
+      }
+
+    } catch (error) {
+      markFailed(update, error, attempt, now, retry);
+      report[update.status].push(update);
+    }
+  }
+
+  retried.forEach((attempt, update) => {
+    report.retries.push({
+      location: update.location_name || String(update.location_id),
+      petugas_name: update.petugas_name || null,
+      attempt,
+      max_attempts: retry.maxAttempts,
+      status: update.status,
+      error: update.error || null,
+      next_retry_at: update.next_retry_at || null
+    });
+  });
+
+  report.updated_locations = Array.from(updatedLocations);
+  report.refreshed_locations = Array.from(refreshedLocations).filter(name => !updatedLocations.has(name));
+  report.operating_status = operatingStatuses(mainData, now);
+
+  if (report.updated_locations.length > 0 || report.schedule_changes.length > 0) {
+    report.statistics = updateStatistics(
+      mainData,
+      now,
+      report.processed.length + report.no_changes.length
+    );
+  }
+
+  return report;
+}
+
+module.exports = {
+  applyUpdates,
+  isUnprocessed,
+  isDue,
+  retryDelayMinutes,
+  hasDueTransitions,
+  VEHICLE_TYPES,
+  LOCATION_STATUSES,
+  CONFLICT_WINDOW,
+  RETRY_POLICY
+};
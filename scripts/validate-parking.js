@@ -3,46 +3,116 @@
 /**
  * Parking Data Validator - Full Features Version
  * Validates, fixes, and reports on parking data statistics
+ *
+ * Usage: node scripts/validate-parking.js [--data=file] [--report-dir=dir]
+ *        [--backup-dir=dir] [--log-dir=dir] [--mode=strict|fix|report-only]
+ *        [--stale-after=minutes]
+ *        node scripts/validate-parking.js backup list|diff <a> <b>|verify|restore <file>
+ *        (see backup-manager.js)
+ *
+ * Also usable as a module: new ParkingDataValidator({ dataPath, now }).validate()
  */
 
 const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
+const { LocationRegistry, displayName } = require('./location-registry');
+const { readDataFile, writeDataFile, listBackups } = require('./data-store');
+const { acquireLock, writeFileAtomic } = require('./storage');
+const { BackupManager, runBackupCommand } = require('./backup-manager');
+const { operationPaths } = require('./operation-paths');
+const { computeStatistics } = require('./statistics');
+const { resolveCapacity } = require('./capacity-schedule');
+const { TREND_MINUTES } = require('./forecast');
+const { locationFreshness, officerFreshness, STALE_AFTER_MINUTES } = require('./data-freshness');
 
-// Command line arguments parser
-const args = require('minimist')(process.argv.slice(2), {
-  string: ['mode', 'log-level', 'threshold'],
-  number: ['max-backups'],
-  boolean: ['dry-run', 'force', 'verbose', 'backup'],
-  alias: {
-    m: 'mode',
-    t: 'threshold',
-    b: 'max-backups',
-    d: 'dry-run',
-    f: 'force',
-    v: 'verbose',
-    l: 'log-level'
-  },
-  default: {
-    mode: 'strict',
-    'max-backups': 10,
-    threshold: 85,
-    'dry-run': false,
-    force: false,
-    verbose: false,
-    backup: true,
-    'log-level': 'info'
-  }
-});
+/**
+ * Parse command line arguments into validator config
+ */
+function parseArgs(argv) {
+  const args = require('minimist')(argv, {
+    string: ['mode', 'log-level', 'threshold', 'data', 'report-dir', 'backup-dir', 'log-dir'],
+    number: ['max-backups', 'stale-after'],
+    boolean: ['dry-run', 'force', 'verbose', 'backup'],
+    alias: {
+      m: 'mode',
+      t: 'threshold',
+      b: 'max-backups',
+      d: 'dry-run',
+      f: 'force',
+      v: 'verbose',
+      l: 'log-level'
+    },
+    default: {
+      mode: 'strict',
+      'max-backups': 10,
+      'stale-after': STALE_AFTER_MINUTES,
+      threshold: 85,
+      'dry-run': false,
+      force: false,
+      verbose: false,
+      backup: true,
+      'log-level': 'info'
+    }
+  });
+  
+  const config = {
+    mode: args.mode,
+    threshold: args.threshold,
+    'max-backups': args['max-backups'],
+    staleAfterMinutes: args['stale-after'],
+    'dry-run': args['dry-run'],
+    force: args.force,
+    verbose: args.verbose,
+    backup: args.backup,
+    'log-level': args['log-level']
+  };
+  
+  // Paths given on the command line are relative to the working directory
+  const pathOptions = {
+    data: 'dataPath',
+    'report-dir': 'reportDir',
+    'backup-dir': 'backupDir',
+    'log-dir': 'logDir'
+  };
+  
+  Object.entries(pathOptions).forEach(([option, key]) => {
+    if (args[option]) {
+      config[key] = path.resolve(args[option]);
+    }
+  });
+  
+  return config;
+}
+
+const VALIDATION_MODES = ['strict', 'fix', 'report-only'];
 
 class ParkingDataValidator {
+  /**
+   * @param {Object} config - overrides; besides the settings below this accepts
+   *   rootDir (base for the default data/ paths) and now (clock returning a Date)
+   */
   constructor(config = {}) {
+    const rootDir = config.rootDir || path.resolve(__dirname, '..');
+    
+    this.now = config.now || (() => new Date());
+    
     this.config = {
       // File paths
-      dataPath: path.resolve(__dirname, '../data/parkir-data.json'),
-      backupDir: path.resolve(__dirname, '../data/backups'),
-      reportDir: path.resolve(__dirname, '../data/reports'),
-      logDir: path.resolve(__dirname, '../data/logs'),
+      dataPath: path.join(rootDir, 'data/parkir-data.json'),
+      backupDir: operationPaths(rootDir).backupDir,
+      reportDir: path.join(rootDir, 'data/reports'),
+      logDir: path.join(rootDir, 'data/logs'),
+      
+      // Run options (overridden by parseArgs for the CLI)
+      mode: 'strict',
+      threshold: 85,
+      'max-backups': 10,
+      'dry-run': false,
+      force: false,
+      verbose: false,
+      backup: true,
+      'log-level': 'info',
       
       // Validation settings
       allowedVehicleTypes: ['bus', 'mobil', 'motor'],
@@ -52,17 +122,22 @@ class ParkingDataValidator {
       // Notification thresholds
       utilizationWarning: 80,  // 80% - warning level
       utilizationCritical: 95, // 95% - critical level
+      forecastWarningMinutes: 60, // Warn when critical is forecast within this
       capacityThreshold: 10,   // Minimum capacity to consider
       
+      // Data freshness
+      staleAfterMinutes: STALE_AFTER_MINUTES, // Open locations without an officer report for this long are stale
+      
       // Performance settings
       maxProcessingTime: 30000, // 30 seconds
       batchSize: 50,           // Process locations in batches
       
       // Merge with user config
-      ...config,
-      ...args
+      ...config
     };
     
+    delete this.config.now;
+    
     // Initialize state
     this.metrics = {
       startTime: Date.now(),
@@ -138,7 +213,7 @@ class ParkingDataValidator {
     const currentLevel = logLevels[level];
     
     if (currentLevel <= this.logLevel) {
-      const timestamp = new Date().toISOString();
+      const timestamp = this.now().toISOString();
       const logEntry = {
         timestamp,
         level: level.toUpperCase(),
@@ -171,7 +246,7 @@ class ParkingDataValidator {
    * Write log entry to file
    */
   writeToLogFile(entry) {
-    const logFile = path.join(this.config.logDir, `validation-${new Date().toISOString().split('T')[0]}.log`);
+    const logFile = path.join(this.config.logDir, `validation-${this.now().toISOString().split('T')[0]}.log`);
     const logLine = JSON.stringify(entry) + '\n';
     
     try {
@@ -183,34 +258,68 @@ class ParkingDataValidator {
 
   /**
    * Main validation process
+   *
+   * Modes:
+   *  - strict:      never corrects data; any issue fails the run (non-zero exit)
+   *                 and leaves the data file and backups untouched
+   *  - fix:         applies corrections (capacity changes also need --force)
+   *                 and records a before/after diff for each one
+   *  - report-only: only writes the report; never touches the data file or backups
    */
   async validate() {
+    let releaseLock = null;
     try {
-      this.logger.info('Starting parking data validation');
+      this.assertValidMode();
+      this.logger.info(`Starting parking data validation (mode: ${this.config.mode})`);
       
-      // Create backup
-      if (this.config.backup) {
-        await this.createBackup();
+      // Hold the data file from load to save so no other writer lands in between
+      if (this.config.mode !== 'report-only' && !this.config['dry-run']) {
+        releaseLock = acquireLock(this.config.dataPath);
       }
       
       // Load and validate data
       const data = await this.loadData();
       
-      // Process data
+      // Process data (in memory)
       await this.processData(data);
       
-      // Generate reports
-      const report = await this.generateReport(data);
+      const strictFailure = this.config.mode === 'strict' && this.metrics.issuesFound > 0;
+      const writeData = this.config.mode !== 'report-only' && !strictFailure && !this.config['dry-run'];
       
-      // Cleanup old files
-      await this.cleanup();
+      if (writeData) {
+        // Create backup
+        if (this.config.backup) {
+          await this.createBackup();
+        }
+        
+        await this.saveData(data);
+        
+        // Cleanup old files
+        await this.cleanup();
+      } else {
+        this.logger.info(`Data file not modified (${this.describeSkippedWrite(strictFailure)})`);
+      }
       
+      this.results.dataWritten = writeData;
       this.metrics.processingTime = Date.now() - this.metrics.startTime;
       
+      // Generate reports
+      const report = await this.generateReport(data);
+      
       this.logger.info(`Validation completed in ${this.metrics.processingTime}ms`);
       this.logger.info(`Processed ${this.metrics.locationsProcessed} locations`);
       this.logger.info(`Found ${this.metrics.issuesFound} issues, applied ${this.metrics.fixesApplied} fixes`);
       
+      if (strictFailure) {
+        return {
+          success: false,
+          error: `Strict mode: ${this.metrics.issuesFound} issue(s) found, data not modified`,
+          report,
+          metrics: this.metrics,
+          results: this.results
+        };
+      }
+      
       return {
         success: true,
         report,
@@ -227,9 +336,38 @@ class ParkingDataValidator {
         metrics: this.metrics,
         results: this.results
       };
+    } finally {
+      if (releaseLock) {
+        releaseLock();
+      }
+    }
+  }
+
+  /**
+   * Reject unknown --mode values and unusable thresholds before touching any file
+   */
+  assertValidMode() {
+    if (!VALIDATION_MODES.includes(this.config.mode)) {
+      throw new Error(`Unknown mode "${this.config.mode}" (expected one of: ${VALIDATION_MODES.join(', ')})`);
+    }
+    
+    const threshold = Number(this.config.threshold);
+    if (this.config.threshold === '' || isNaN(threshold) || threshold < 0 || threshold > 100) {
+      throw new Error(`Invalid threshold "${this.config.threshold}" (expected a percentage from 0 to 100)`);
+    }
+    
+    if (!(Number(this.config.staleAfterMinutes) > 0)) {
+      throw new Error(`Invalid stale-after "${this.config.staleAfterMinutes}" (expected minutes greater than 0)`);
     }
   }
 
+  describeSkippedWrite(strictFailure) {
+    if (this.config['dry-run']) return 'dry-run';
+    if (this.config.mode === 'report-only') return 'report-only mode';
+    if (strictFailure) return 'strict mode found issues';
+    return 'no changes';
+  }
+
   /**
    * Create backup of current data
    */
@@ -243,21 +381,14 @@ class ParkingDataValidator {
       throw new Error(`Data file not found: ${this.config.dataPath}`);
     }
     
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const backupFile = path.join(this.config.backupDir, `parkir-data-backup-${timestamp}.json`);
-    
     try {
-      const data = fs.readFileSync(this.config.dataPath, 'utf8');
-      fs.writeFileSync(backupFile, data);
+      const backups = new BackupManager({ dataPath: this.config.dataPath, backupDir: this.config.backupDir, now: this.now });
+      const backup = backups.create();
       
-      this.logger.info(`Backup created: ${backupFile}`);
+      this.logger.info(`Backup created: ${backup.file}`);
       
       // Add to results
-      this.results.backup = {
-        file: backupFile,
-        timestamp,
-        size: Buffer.byteLength(data, 'utf8')
-      };
+      this.results.backup = backup;
       
     } catch (error) {
       throw new Error(`Failed to create backup: ${error.message}`);
@@ -270,23 +401,28 @@ class ParkingDataValidator {
   async loadData() {
     this.logger.debug('Loading data file');
     
-    try {
-      const rawData = fs.readFileSync(this.config.dataPath, 'utf8');
-      const data = JSON.parse(rawData);
-      
-      // Validate structure
-      this.validateStructure(data);
-      
-      this.logger.info(`Data loaded: ${data.locations?.length || 0} locations`);
-      
-      return data;
-      
-    } catch (error) {
-      if (error instanceof SyntaxError) {
-        throw new Error(`Invalid JSON format: ${error.message}`);
-      }
-      throw error;
+    const { data, migrations, integrity, recovered } = readDataFile(this.config.dataPath, {
+      now: this.now(),
+      backupDir: this.config.backupDir
+    });
+    
+    if (recovered) {
+      this.logger.warn(`Data file was torn, restored from backup ${recovered.from} (torn copy kept as ${recovered.torn_copy})`);
+    }
+    if (integrity === 'mismatch') {
+      this.logger.warn('Data checksum does not match its contents (edited by hand?)');
     }
+    
+    migrations.forEach(migration => {
+      this.logger.info(`Migrated data ${migration.from} → ${migration.to}: ${migration.description}`);
+    });
+    
+    // Validate structure
+    this.validateStructure(data);
+    
+    this.logger.info(`Data loaded: ${data.locations?.length || 0} locations`);
+    
+    return data;
   }
 
   /**
@@ -307,17 +443,26 @@ class ParkingDataValidator {
     // Validate each location
     if (data.locations && Array.isArray(data.locations)) {
       data.locations.forEach((location, index) => {
-        if (!location.name) {
-          errors.push(`Location at index ${index} missing "name"`);
+        if (!displayName(location)) {
+          errors.push(`Location at index ${index} missing "nama"`);
         }
         
         this.config.allowedVehicleTypes.forEach(type => {
           if (!location[type]) {
-            this.logger.warn(`Location "${location.name}" missing "${type}" data`);
+            this.logger.warn(`Location "${displayName(location)}" missing "${type}" data`);
             location[type] = { total: 0, available: 0 };
           }
         });
       });
+      
+      // Ids, names and aliases must resolve to exactly one location
+      if (errors.length === 0) {
+        try {
+          new LocationRegistry(data.locations);
+        } catch (error) {
+          errors.push(error.message);
+        }
+      }
     }
     
     if (errors.length > 0) {
@@ -337,7 +482,7 @@ class ParkingDataValidator {
     
     for (let i = 0; i < locations.length; i += batchSize) {
       const batch = locations.slice(i, i + batchSize);
-      await this.processBatch(batch, data);
+      await this.processBatch(batch);
       
       // Check processing time
       if (Date.now() - this.metrics.startTime > this.config.maxProcessingTime) {
@@ -347,17 +492,12 @@ class ParkingDataValidator {
     
     // Update statistics
     this.updateStatistics(data);
-    
-    // Save changes if not in dry-run mode
-    if (!this.config['dry-run']) {
-      await this.saveData(data);
-    }
   }
 
   /**
    * Process a batch of locations
    */
-  async processBatch(batch, data) {
+  async processBatch(batch) {
     for (const location of batch) {
       this.metrics.locationsProcessed++;
       
@@ -369,6 +509,7 @@ class ParkingDataValidator {
         const result = this.processVehicleType(location, vehicleType);
         
         if (result.issues.length > 0) {
+          result.issues.forEach(issue => this.logger.warn(`${displayName(location)}: ${issue}`));
           locationIssues.push(...result.issues);
           this.metrics.issuesFound += result.issues.length;
         }
@@ -379,34 +520,40 @@ class ParkingDataValidator {
         }
         
         // Update running totals
-        this.results.totals[vehicleType] += location[vehicleType].total;
-        this.results.available[vehicleType] += location[vehicleType].available;
+        this.results.totals[vehicleType] += this.parseNumber(location[vehicleType]?.total, 0);
+        this.results.available[vehicleType] += this.parseNumber(location[vehicleType]?.available, 0);
       }
       
       // Update location metadata
-      location.lastValidated = new Date().toISOString();
+      location.lastValidated = this.now().toISOString();
       location.validationIssues = locationIssues.length;
       
       // Record issues and fixes
       if (locationIssues.length > 0) {
         this.results.issues.push({
-          location: location.name,
+          location: displayName(location),
           issues: locationIssues
         });
       }
       
       if (locationFixes.length > 0) {
         this.results.fixes.push({
-          location: location.name,
+          location: displayName(location),
           fixes: locationFixes
         });
       }
       
+      const freshness = this.getFreshness(location);
+      if (freshness.stale) {
+        this.logger.warn(`${displayName(location)}: ${this.describeStale(freshness)}`);
+        this.metrics.warnings++;
+      }
+      
       // Add recommendations
       const recommendations = this.generateRecommendations(location);
       if (recommendations.length > 0) {
         this.results.recommendations.push({
-          location: location.name,
+          location: displayName(location),
           recommendations
         });
       }
@@ -418,58 +565,68 @@ class ParkingDataValidator {
    */
   processVehicleType(location, vehicleType) {
     const result = { issues: [], fixes: [] };
-    const vehicleData = location[vehicleType];
+    const applyFixes = this.config.mode === 'fix';
+    let vehicleData = location[vehicleType];
+    
+    // Record a correction as a before/after diff (fix mode only)
+    const correct = (field, after, reason, { requiresForce = false } = {}) => {
+      if (!applyFixes || (requiresForce && !this.config.force)) {
+        return;
+      }
+      
+      const before = vehicleData[field];
+      if (before === after) {
+        return;
+      }
+      
+      vehicleData[field] = after;
+      result.fixes.push({ vehicle: vehicleType, field, before, after, reason });
+    };
     
     // Ensure data structure
     if (!vehicleData || typeof vehicleData !== 'object') {
+      result.issues.push(`${vehicleType}: Missing data structure`);
+      if (!applyFixes) {
+        return result;
+      }
       vehicleData = { total: 0, available: 0 };
       location[vehicleType] = vehicleData;
-      result.fixes.push(`Created missing ${vehicleType} data structure`);
+      result.fixes.push({ vehicle: vehicleType, field: '*', before: null, after: { total: 0, available: 0 }, reason: 'Created missing data structure' });
     }
     
-    // Parse and validate values
-    const originalTotal = vehicleData.total;
-    const originalAvailable = vehicleData.available;
-    
-    const total = this.parseNumber(vehicleData.total, 0);
-    const available = this.parseNumber(vehicleData.available, 0);
+    const rawTotal = Number(vehicleData.total);
+    const rawAvailable = Number(vehicleData.available);
     
     // Apply validation rules
-    if (total < this.config.minCapacity) {
-      result.issues.push(`${vehicleType}: Total capacity (${total}) below minimum (${this.config.minCapacity})`);
-      if (this.config.force) {
-        vehicleData.total = this.config.minCapacity;
-        result.fixes.push(`Forced total capacity to minimum: ${this.config.minCapacity}`);
-      }
-    }
-    
-    if (total > this.config.maxCapacity) {
-      result.issues.push(`${vehicleType}: Total capacity (${total}) exceeds maximum (${this.config.maxCapacity})`);
-      if (this.config.force) {
-        vehicleData.total = this.config.maxCapacity;
-        result.fixes.push(`Capped total capacity to maximum: ${this.config.maxCapacity}`);
-      }
+    if (!Number.isInteger(rawTotal)) {
+      result.issues.push(`${vehicleType}: Invalid total capacity (${vehicleData.total})`);
+      correct('total', this.parseNumber(vehicleData.total, 0), 'Normalised total capacity to a whole number');
+    } else if (rawTotal < this.config.minCapacity) {
+      result.issues.push(`${vehicleType}: Total capacity (${rawTotal}) below minimum (${this.config.minCapacity})`);
+      correct('total', this.config.minCapacity, 'Raised total capacity to minimum', { requiresForce: true });
+    } else if (rawTotal > this.config.maxCapacity) {
+      result.issues.push(`${vehicleType}: Total capacity (${rawTotal}) exceeds maximum (${this.config.maxCapacity})`);
+      correct('total', this.config.maxCapacity, 'Capped total capacity to maximum', { requiresForce: true });
     }
     
-    if (available < 0) {
-      result.issues.push(`${vehicleType}: Negative available spaces (${available})`);
-      vehicleData.available = 0;
-      result.fixes.push(`Fixed negative available spaces to 0`);
+    // Scheduled locations must carry the capacity of the current window
+    const capacity = resolveCapacity(location, this.now());
+    if (capacity.scheduled && Number.isInteger(rawTotal) && rawTotal !== capacity[vehicleType]) {
+      result.issues.push(`${vehicleType}: Total capacity (${rawTotal}) does not match schedule (${capacity[vehicleType]})`);
+      correct('total', capacity[vehicleType], 'Set total capacity from capacity_schedule');
     }
     
-    if (available > total) {
-      result.issues.push(`${vehicleType}: Available (${available}) exceeds total (${total})`);
-      vehicleData.available = total;
-      result.fixes.push(`Fixed available spaces to match total: ${total}`);
-    }
-    
-    // Update with validated values
-    vehicleData.total = vehicleData.total || total;
-    vehicleData.available = vehicleData.available || Math.min(available, vehicleData.total);
+    const total = Number.isInteger(Number(vehicleData.total)) ? Number(vehicleData.total) : this.parseNumber(vehicleData.total, 0);
     
-    // Check if values were changed
-    if (originalTotal !== vehicleData.total || originalAvailable !== vehicleData.available) {
-      result.fixes.push(`Updated ${vehicleType}: ${originalTotal}→${vehicleData.total}, ${originalAvailable}→${vehicleData.available}`);
+    if (!Number.isInteger(rawAvailable)) {
+      result.issues.push(`${vehicleType}: Invalid available spaces (${vehicleData.available})`);
+      correct('available', Math.min(this.parseNumber(vehicleData.available, 0), Math.max(total, 0)), 'Normalised available spaces to a whole number');
+    } else if (rawAvailable < 0) {
+      result.issues.push(`${vehicleType}: Negative available spaces (${rawAvailable})`);
+      correct('available', 0, 'Raised negative available spaces to 0');
+    } else if (rawAvailable > total) {
+      result.issues.push(`${vehicleType}: Available (${rawAvailable}) exceeds total (${total})`);
+      correct('available', Math.max(total, 0), 'Lowered available spaces to total capacity');
     }
     
     return result;
@@ -501,13 +658,19 @@ class ParkingDataValidator {
     const recommendations = [];
     
     this.config.allowedVehicleTypes.forEach(type => {
-      const data = location[type];
+      const data = location[type] || { total: 0, available: 0 };
       const utilization = data.total > 0 ? ((data.total - data.available) / data.total) * 100 : 0;
       
       if (data.total > 0 && utilization >= this.config.utilizationCritical) {
         recommendations.push(`${type}: Critical utilization (${utilization.toFixed(1)}%) - Consider adding capacity`);
-      } else if (data.total > 0 && utilization >= this.config.utilizationWarning) {
-        recommendations.push(`${type}: High utilization (${utilization.toFixed(1)}%) - Monitor closely`);
+      } else {
+        const minutes = this.minutesUntilCritical(location, type);
+        if (minutes !== null && minutes <= this.config.forecastWarningMinutes) {
+          const full = location.forecast[type].minutes_until_full;
+          recommendations.push(`${type}: Forecast to reach critical utilization (${this.config.utilizationCritical}%) in ~${minutes} min (full in ~${full} min) - Prepare overflow parking`);
+        } else if (data.total > 0 && utilization >= this.config.utilizationWarning) {
+          recommendations.push(`${type}: High utilization (${utilization.toFixed(1)}%) - Monitor closely`);
+        }
       }
       
       if (data.total === 0 && data.available === 0) {
@@ -515,9 +678,48 @@ class ParkingDataValidator {
       }
     });
     
+    const freshness = this.getFreshness(location);
+    if (freshness.stale) {
+      recommendations.push(`${this.describeStale(freshness)} - Contact the officer on duty`);
+    }
+    
     return recommendations;
   }
 
+  /**
+   * Officer report freshness of a location against staleAfterMinutes
+   */
+  getFreshness(location) {
+    return locationFreshness(location, this.now(), Number(this.config.staleAfterMinutes));
+  }
+
+  describeStale(freshness) {
+    return freshness.age_minutes === null
+      ? 'Stale data: no officer report yet'
+      : `Stale data: last officer report ${freshness.age_minutes} min ago by ${freshness.updated_by} (limit ${this.config.staleAfterMinutes} min)`;
+  }
+
+  /**
+   * Minutes until a vehicle type reaches critical utilization at the rate
+   * of its stored fill-up forecast, or null without a recent forecast
+   */
+  minutesUntilCritical(location, type) {
+    const forecast = location.forecast;
+    const data = location[type];
+    if (!forecast?.[type] || !data || !(data.total > 0)) {
+      return null;
+    }
+
+    const age = (this.now() - new Date(forecast.computed_at)) / 60000;
+    if (!(age <= TREND_MINUTES)) {
+      return null;
+    }
+
+    const criticalAvailable = data.total * (1 - this.config.utilizationCritical / 100);
+    const perMinute = -forecast[type].rate_per_hour / 60;
+    return Math.max(0, Math.ceil((data.available - criticalAvailable) / perMinute));
+  }
+
   /**
    * Update global statistics
    */
@@ -539,46 +741,17 @@ class ParkingDataValidator {
         ((this.results.totals.total - this.results.available.total) / this.results.totals.total) * 100;
     }
     
-    // Update data statistics
+    // Update data statistics (schema 2.0.0 shape, shared with the update processor)
     data.statistics = {
-      // Capacity data
-      capacity: {
-        bus: this.results.totals.bus,
-        mobil: this.results.totals.mobil,
-        motor: this.results.totals.motor,
-        total: this.results.totals.total
-      },
-      
-      // Availability data
-      available: {
-        bus: this.results.available.bus,
-        mobil: this.results.available.mobil,
-        motor: this.results.available.motor,
-        total: this.results.available.total
-      },
-      
-      // Utilization data
-      utilization: {
-        bus: this.results.utilization.bus.toFixed(1),
-        mobil: this.results.utilization.mobil.toFixed(1),
-        motor: this.results.utilization.motor.toFixed(1),
-        overall: this.results.utilization.overall.toFixed(1)
-      },
-      
-      // Metadata
-      metadata: {
-        lastUpdated: new Date().toISOString(),
-        validatedAt: new Date().toISOString(),
-        totalLocations: data.locations.length,
-        validationMode: this.config.mode,
-        issuesFound: this.metrics.issuesFound,
-        fixesApplied: this.metrics.fixesApplied
-      },
-      
-      // Performance metrics
-      performance: {
-        updateCount: (data.statistics?.metadata?.updateCount || 0) + 1,
-        lastProcessingTime: this.metrics.processingTime
+      ...data.statistics,
+      ...computeStatistics(data.locations),
+      update_count_today: data.statistics?.update_count_today || 0,
+      last_processed: data.statistics?.last_processed || null,
+      validation: {
+        validated_at: this.now().toISOString(),
+        mode: this.config.mode,
+        issues_found: this.metrics.issuesFound,
+        fixes_applied: this.metrics.fixesApplied
       }
     };
     
@@ -590,11 +763,10 @@ class ParkingDataValidator {
    */
   async saveData(data) {
     try {
-      const jsonString = JSON.stringify(data, null, 2);
-      fs.writeFileSync(this.config.dataPath, jsonString);
+      const size = writeDataFile(this.config.dataPath, data);
       
       this.logger.info(`Data saved to: ${this.config.dataPath}`);
-      this.logger.debug(`File size: ${Buffer.byteLength(jsonString, 'utf8')} bytes`);
+      this.logger.debug(`File size: ${size} bytes`);
       
     } catch (error) {
       throw new Error(`Failed to save data: ${error.message}`);
@@ -605,8 +777,14 @@ class ParkingDataValidator {
    * Generate comprehensive report
    */
   async generateReport(data) {
+    const locations = this.getLocationUtilization(data);
+    const freshness = data.locations.map(location => ({
+      id: location.id,
+      name: displayName(location),
+      ...this.getFreshness(location)
+    }));
     const report = {
-      timestamp: new Date().toISOString(),
+      timestamp: this.now().toISOString(),
       summary: {
         total_locations: data.locations.length,
         total_capacity: this.results.totals.total,
@@ -614,7 +792,9 @@ class ParkingDataValidator {
         utilization_percent: this.results.utilization.overall.toFixed(1),
         issues_found: this.metrics.issuesFound,
         fixes_applied: this.metrics.fixesApplied,
-        processing_time_ms: this.metrics.processingTime
+        processing_time_ms: this.metrics.processingTime,
+        locations_over_threshold: locations.filter(location => location.over_threshold).length,
+        stale_locations: freshness.filter(location => location.stale).length
       },
       
       details: {
@@ -627,6 +807,9 @@ class ParkingDataValidator {
           return acc;
         }, {}),
         
+        locations,
+        freshness,
+        officers: officerFreshness(data.locations, this.now(), Number(this.config.staleAfterMinutes)),
         top_utilized_locations: this.getTopUtilizedLocations(data, 5),
         most_available_locations: this.getMostAvailableLocations(data, 5),
         
@@ -641,6 +824,9 @@ class ParkingDataValidator {
         }
       },
       
+      mode: this.config.mode,
+      data_written: Boolean(this.results.dataWritten),
+      issues: this.results.issues,
       issues_fixed: this.results.fixes,
       recommendations: this.results.recommendations,
       
@@ -649,7 +835,8 @@ class ParkingDataValidator {
         config: {
           mode: this.config.mode,
           max_backups: this.config['max-backups'],
-          threshold: this.config.threshold
+          threshold: Number(this.config.threshold),
+          stale_after_minutes: Number(this.config.staleAfterMinutes)
         },
         git_info: this.getGitInfo(),
         system_info: {
@@ -661,11 +848,11 @@ class ParkingDataValidator {
     };
     
     // Save report to file
-    const reportFile = path.join(this.config.reportDir, `validation-report-${new Date().toISOString().split('T')[0]}.json`);
+    const reportFile = path.join(this.config.reportDir, `validation-report-${this.now().toISOString().split('T')[0]}.json`);
     const latestReport = path.join(this.config.reportDir, 'validation-report-latest.json');
     
-    fs.writeFileSync(reportFile, JSON.stringify(report, null, 2));
-    fs.writeFileSync(latestReport, JSON.stringify(report, null, 2));
+    writeFileAtomic(reportFile, JSON.stringify(report, null, 2));
+    writeFileAtomic(latestReport, JSON.stringify(report, null, 2));
     
     this.logger.info(`Report generated: ${reportFile}`);
     
@@ -693,7 +880,7 @@ class ParkingDataValidator {
           ((totalCapacity - totalAvailable) / totalCapacity) * 100 : 0;
         
         return {
-          name: location.name,
+          name: displayName(location),
           capacity: totalCapacity,
           available: totalAvailable,
           utilization: utilization.toFixed(1)
@@ -704,6 +891,37 @@ class ParkingDataValidator {
       .slice(0, limit);
   }
 
+  /**
+   * Utilization of every location with capacity, flagged against the
+   * notification threshold (read by scripts/notify-utilization.js)
+   */
+  getLocationUtilization(data) {
+    const threshold = Number(this.config.threshold);
+    
+    return data.locations
+      .map(location => {
+        let capacity = 0;
+        let available = 0;
+        
+        this.config.allowedVehicleTypes.forEach(type => {
+          capacity += location[type]?.total || 0;
+          available += location[type]?.available || 0;
+        });
+        
+        const utilization = capacity > 0 ? Math.round(((capacity - available) / capacity) * 1000) / 10 : 0;
+        
+        return {
+          id: location.id,
+          name: displayName(location),
+          capacity,
+          available,
+          utilization,
+          over_threshold: utilization >= threshold
+        };
+      })
+      .filter(location => location.capacity > 0);
+  }
+
   /**
    * Get locations with most available spaces
    */
@@ -717,7 +935,7 @@ class ParkingDataValidator {
         });
         
         return {
-          name: location.name,
+          name: displayName(location),
           available: totalAvailable
         };
       })
@@ -775,6 +993,12 @@ ${report.details.top_utilized_locations.map((loc, i) =>
   `${i + 1}. ${loc.name}: ${loc.utilization}% (${loc.available}/${loc.capacity})`
 ).join('\n')}
 
+DATA FRESHNESS (${report.summary.stale_locations} stale, limit ${report.metadata.config.stale_after_minutes} min)
+--------------
+${report.details.freshness.filter(loc => loc.stale).map(loc =>
+  `• ${loc.name}: ${loc.age_minutes === null ? 'no officer report' : `${loc.age_minutes} min since ${loc.updated_by}`}`
+).join('\n') || 'All open locations reported recently.'}
+
 ISSUES SUMMARY
 --------------
 • Critical: ${report.details.issues_by_severity.critical}
@@ -792,14 +1016,15 @@ ${report.recommendations.length > 0 ?
 VALIDATION CONFIG
 -----------------
 • Mode: ${report.metadata.config.mode}
-• Threshold: ${report.metadata.config.threshold}%
+• Data Written: ${report.data_written ? 'yes' : 'no'}
+• Threshold: ${report.metadata.config.threshold}% (${report.summary.locations_over_threshold} location(s) at or above)
 • Max Backups: ${report.metadata.config.max_backups}
 
 ================================
-Validation completed successfully
+${report.mode === 'strict' && report.summary.issues_found > 0 ? 'Validation failed (strict mode)' : 'Validation completed successfully'}
     `;
     
-    fs.writeFileSync(summaryFile, summary.trim());
+    writeFileAtomic(summaryFile, summary.trim());
     this.logger.info(`Text summary generated: ${summaryFile}`);
   }
 
@@ -814,20 +1039,13 @@ Validation completed successfully
     try {
       // Cleanup old backups
       const maxBackups = this.config['max-backups'];
-      const backupFiles = fs.readdirSync(this.config.backupDir)
-        .filter(file => file.startsWith('parkir-data-backup-') && file.endsWith('.json'))
-        .map(file => ({
-          name: file,
-          path: path.join(this.config.backupDir, file),
-          time: fs.statSync(path.join(this.config.backupDir, file)).mtime.getTime()
-        }))
-        .sort((a, b) => b.time - a.time);
+      const backupFiles = listBackups(this.config.dataPath, this.config.backupDir);
       
       if (backupFiles.length > maxBackups) {
         const toDelete = backupFiles.slice(maxBackups);
         toDelete.forEach(file => {
-          fs.unlinkSync(file.path);
-          this.logger.debug(`Removed old backup: ${file.name}`);
+          fs.unlinkSync(file);
+          this.logger.debug(`Removed old backup: ${path.basename(file)}`);
         });
       }
       
@@ -840,7 +1058,7 @@ Validation completed successfully
           time: fs.statSync(path.join(this.config.reportDir, file)).mtime.getTime()
         }));
       
-      const thirtyDaysAgo = Date.now() - (30 * 24 * 60 * 60 * 1000);
+      const thirtyDaysAgo = this.now().getTime() - (30 * 24 * 60 * 60 * 1000);
       const oldReports = reportFiles.filter(file => file.time < thirtyDaysAgo);
       
       oldReports.forEach(file => {
@@ -885,15 +1103,21 @@ Validation completed successfully
     }
     
     console.log('\n' + '='.repeat(80));
-    console.log(`✅ Validation completed at ${new Date().toLocaleTimeString()}`);
+    console.log(`✅ Validation completed at ${this.now().toLocaleTimeString()}`);
     console.log('='.repeat(80) + '\n');
   }
 }
 
+module.exports = { ParkingDataValidator, parseArgs, VALIDATION_MODES };
+
 // Main execution
-(async () => {
+if (require.main === module) (async () => {
+  if (process.argv[2] === 'backup') {
+    process.exit(runBackupCommand(process.argv.slice(3)));
+  }
+  
   try {
-    const validator = new ParkingDataValidator();
+    const validator = new ParkingDataValidator(parseArgs(process.argv.slice(2)));
     const result = await validator.validate();
     
     if (result.success) {
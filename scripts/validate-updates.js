@@ -1,6 +1,9 @@
 // scripts/validate-updates.js
 const fs = require('fs');
 const path = require('path');
+const { LocationRegistry } = require('./location-registry');
+const { withLock, writeJsonAtomic } = require('./storage');
+const { operationPaths } = require('./operation-paths');
 
 async function validateAndCleanUpdates() {
   const pendingPath = path.join(process.cwd(), 'data/pending-updates.json');
@@ -9,12 +12,14 @@ async function validateAndCleanUpdates() {
     console.log('No pending updates file found');
     return { valid: 0, invalid: 0, cleaned: [] };
   }
-  const parkirDataPath = path.join(process.cwd(), 'data/parkir-data.json');
-let validLocations = [];
-if (fs.existsSync(parkirDataPath)) {
-  const parkirData = JSON.parse(fs.readFileSync(parkirDataPath, 'utf8'));
-  validLocations = parkirData.locations.map(l => l.nama);
+  
+  // process-updates.js, the ingestion server and the review queue rewrite it too
+  return withLock(pendingPath, () => cleanPendingUpdates(pendingPath));
 }
+
+function cleanPendingUpdates(pendingPath) {
+  const parkirDataPath = path.join(process.cwd(), 'data/parkir-data.json');
+  const registry = LocationRegistry.fromFile(parkirDataPath);
   let updates = JSON.parse(fs.readFileSync(pendingPath, 'utf8'));
   const originalCount = updates.length;
   
@@ -26,11 +31,13 @@ if (fs.existsSync(parkirDataPath)) {
     const errors = [];
     
     // Required fields
-    if (!update.location_id || typeof update.location_id !== 'string') {
+    const locationId = registry.resolveId(update.location_id);
+    
+    if (update.location_id === undefined || update.location_id === null || update.location_id === '' ||
+        !['string', 'number'].includes(typeof update.location_id)) {
       errors.push('Missing or invalid location_id');
-    }
-    if (update.location_id && !validLocations.includes(update.location_id)) {
-  errors.push(`Invalid location_id: ${update.location_id}`);
+    } else if (locationId === null) {
+      errors.push(`Invalid location_id: ${update.location_id}`);
     }
     if (!update.petugas_name || typeof update.petugas_name !== 'string') {
       errors.push('Missing or invalid petugas_name');
@@ -57,10 +64,10 @@ if (fs.existsSync(parkirDataPath)) {
     if (errors.length === 0) {
       // Clean data
       const cleanedUpdate = {
-        location_id: update.location_id.trim(),
+        location_id: locationId,
         petugas_name: update.petugas_name.trim(),
         timestamp: update.timestamp || new Date().toISOString(),
-        status: 'pending'
+        status: update.status === 'failed' ? 'failed' : 'pending'
       };
       
       if (update.bus !== undefined) cleanedUpdate.bus = parseInt(update.bus);
@@ -68,6 +75,12 @@ if (fs.existsSync(parkirDataPath)) {
       if (update.motor !== undefined) cleanedUpdate.motor = parseInt(update.motor);
       if (update.notes) cleanedUpdate.notes = update.notes.substring(0, 500); // Limit length
       
+      // Keep what ordering, dedupe, status changes, supervisor approval and retries rely on
+      ['client_id', 'received_at', 'source', 'location_status', 'closed_reason', 'approved_by', 'approved_at',
+        'attempts', 'error', 'failed_at', 'next_retry_at'].forEach(field => {
+        if (update[field] !== undefined) cleanedUpdate[field] = update[field];
+      });
+      
       validUpdates.push(cleanedUpdate);
     } else {
       invalidUpdates.push({
@@ -79,17 +92,13 @@ if (fs.existsSync(parkirDataPath)) {
   });
   
   // Save cleaned updates
-  fs.writeFileSync(pendingPath, JSON.stringify(validUpdates, null, 2));
+  writeJsonAtomic(pendingPath, validUpdates);
   
-  // Archive invalid updates for debugging
+  // Archive invalid updates for debugging, with the active operation's review queues
   if (invalidUpdates.length > 0) {
-    const invalidDir = path.join(process.cwd(), 'data/updates/invalid');
-    if (!fs.existsSync(invalidDir)) {
-      fs.mkdirSync(invalidDir, { recursive: true });
-    }
-    
+    const { invalidDir } = operationPaths(process.cwd());
     const invalidFile = path.join(invalidDir, `invalid-${Date.now()}.json`);
-    fs.writeFileSync(invalidFile, JSON.stringify(invalidUpdates, null, 2));
+    writeJsonAtomic(invalidFile, invalidUpdates);
   }
   
   console.log(`✅ Validated updates: ${validUpdates.length} valid, ${invalidUpdates.length} invalid`);
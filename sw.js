@@ -1,8 +1,14 @@
-// Service Worker untuk caching
-const CACHE_NAME = 'parkir-cache-v2';
+// Service Worker untuk caching dan pengiriman ulang data petugas
+importScripts('/outbox.js');
+
+const CACHE_NAME = 'parkir-cache-v5';
 const urlsToCache = [
   '/',
   '/index.html',
+  '/admin-petugas.html',
+  '/outbox.js',
+  '/scripts/capacity-schedule.js',
+  '/scripts/data-freshness.js',
   '/manifest.json'
 ];
 
@@ -24,3 +30,24 @@ self.addEventListener('fetch', event => {
       })
   );
 });
+
+// Kirim ulang antrian offline saat koneksi kembali
+self.addEventListener('sync', event => {
+  if (event.tag !== ParkirOutbox.SYNC_TAG) {
+    return;
+  }
+
+  event.waitUntil(
+    ParkirOutbox.flush(notifyClients).then(summary => {
+      if (summary.remaining > 0) {
+        // Browser akan mencoba lagi nanti
+        throw new Error(`${summary.remaining} kiriman masih antre`);
+      }
+    })
+  );
+});
+
+async function notifyClients(result) {
+  const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  clients.forEach(client => client.postMessage({ type: 'outbox-result', ...result }));
+}